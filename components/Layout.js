@@ -1,7 +1,10 @@
 import Head from 'next/head';
 import { useState, useEffect } from 'react';
+import LanguageSwitcher from '../src/components/LanguageSwitcher';
+import { useTranslation } from '../lib/i18n';
 
-const Layout = ({ children, title = 'Halloween AR Experience', showARUI = false }) => {
+const Layout = ({ children, title, showARUI = false }) => {
+  const { t } = useTranslation();
   const [isARSupported, setIsARSupported] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
 
@@ -37,8 +40,8 @@ const Layout = ({ children, title = 'Halloween AR Experience', showARUI = false
   return (
     <>
       <Head>
-        <title>{title}</title>
-        <meta name="description" content="Halloween AR Experience - QR Code Vampire Hunt" />
+        <title>{title || t('layout.title')}</title>
+        <meta name="description" content={t('layout.description')} />
         <meta name="viewport" content="width=device-width, initial-scale=1" />
         <link rel="icon" href="/favicon.ico" />
         
@@ -60,14 +63,17 @@ const Layout = ({ children, title = 'Halloween AR Experience', showARUI = false
       <div className="min-h-screen bg-gradient-to-b from-purple-900 via-black to-purple-900">
         {/* Header */}
         <header className="p-4 text-center">
+          <div className="flex justify-end mb-2">
+            <LanguageSwitcher />
+          </div>
           <h1 className="text-2xl md:text-4xl font-bold text-orange-400 mb-2">
-            🎃 Halloween AR Hunt
+            {t('layout.heading')}
           </h1>
           {!isLoading && (
             <p className="text-purple-300 text-sm md:text-base">
               {isARSupported 
-                ? "AR Ready - Scan QR codes to reveal hidden messages" 
-                : "Camera access required for AR experience"
+                ? t('layout.arReady')
+                : t('layout.cameraRequired')
               }
             </p>
           )}
@@ -79,7 +85,7 @@ const Layout = ({ children, title = 'Halloween AR Experience', showARUI = false
             <div className="flex items-center justify-center min-h-64">
               <div className="text-center">
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-orange-400 mx-auto mb-4"></div>
-                <p className="text-purple-300">Checking AR capabilities...</p>
+                <p className="text-purple-300">{t('layout.checking')}</p>
               </div>
             </div>
           ) : (
@@ -89,7 +95,7 @@ const Layout = ({ children, title = 'Halloween AR Experience', showARUI = false
 
         {/* Footer */}
         <footer className="text-center p-4 text-purple-400 text-sm">
-          <p>Follow the vampire's trail... if you dare 🧛‍♂️</p>
+          <p>{t('layout.footer')}</p>
         </footer>
 
         {/* AR Status Indicator */}
@@ -100,7 +106,7 @@ const Layout = ({ children, title = 'Halloween AR Experience', showARUI = false
                 ? 'bg-green-600 text-white' 
                 : 'bg-red-600 text-white'
             }`}>
-              {isARSupported ? '📱 AR Ready' : '❌ AR Unavailable'}
+              {isARSupported ? t('layout.badgeReady') : t('layout.badgeUnavailable')}
             </div>
           </div>
         )}
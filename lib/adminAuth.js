@@ -0,0 +1,78 @@
+/**
+ * Admin Authentication for API Routes
+ * Protects authoring endpoints with a shared admin token (ADMIN_TOKEN)
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Extract admin token from request
+ * Accepts "Authorization: Bearer <token>", an "X-Admin-Token" header or, only when
+ * allowed for EventSource streams that cannot set headers, a "token" query parameter
+ * @param {NextApiRequest} req - API request
+ * @param {Object} options - { allowQueryToken }
+ * @returns {string} Provided token or empty string
+ */
+function getRequestToken(req, { allowQueryToken = false } = {}) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  if (req.headers['x-admin-token']) {
+    return req.headers['x-admin-token'];
+  }
+  // Query strings end up in logs and browser history, so other endpoints only take headers
+  return allowQueryToken && typeof req.query?.token === 'string' ? req.query.token : '';
+}
+
+/**
+ * Compare tokens in constant time
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured admin token
+ * @returns {boolean} True if tokens match
+ */
+function tokensMatch(provided, expected) {
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+/**
+ * Check whether a request carries the admin token
+ * @param {NextApiRequest} req - API request
+ * @param {Object} options - { allowQueryToken: true for stream routes }
+ * @returns {boolean} True if authorized
+ */
+export function isAdminRequest(req, options = {}) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return false;
+  }
+  return tokensMatch(getRequestToken(req, options), expected);
+}
+
+/**
+ * Require admin token, responding with an error when missing or invalid
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ * @param {Object} options - { allowQueryToken: true for stream routes }
+ * @returns {boolean} True if the request may proceed
+ */
+export function requireAdmin(req, res, options = {}) {
+  if (!process.env.ADMIN_TOKEN) {
+    res.status(503).json({
+      error: 'Admin access not configured',
+      message: 'Set ADMIN_TOKEN to enable authoring endpoints'
+    });
+    return false;
+  }
+
+  if (!isAdminRequest(req, options)) {
+    res.status(401).json({ error: 'Invalid or missing admin token' });
+    return false;
+  }
+
+  return true;
+}
+
+export default requireAdmin;
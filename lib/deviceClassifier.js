@@ -0,0 +1,166 @@
+/**
+ * Device Classifier
+ * Assigns AR device classes from client-reported hardware, the WebGL renderer, the user agent and a measured benchmark
+ *
+ * Rules are checked in order and the first match wins. A condition on a signal the browser did not
+ * report never matches (Safari and Firefox hide deviceMemory, Safari masks its GPU as "Apple GPU"),
+ * so later rules catch devices with fewer signals. Bump the version whenever rules or thresholds change;
+ * it is returned with each classification so telemetry can be compared across versions.
+ */
+
+// GPU tiers by WebGL renderer string, checked in order (matched lowercase)
+// e.g. "Adreno (TM) 740", "ANGLE (ARM, Mali-G57 MC2, OpenGL ES 3.2)", "Apple GPU", "Google SwiftShader"
+export const GPU_TIERS = [
+  { tier: 'software', pattern: /swiftshader|llvmpipe|softpipe|software|basic render/ },
+  {
+    tier: 'high',
+    pattern: /adreno\D*(6[4-9]\d|[7-9]\d\d)\b|mali-g(7[6-9]|71\d|72\d|61\d|62\d)\b|immortalis|xclipse|apple m\d|geforce (rtx|gtx)|radeon (rx|pro)|intel.*arc/
+  },
+  {
+    tier: 'medium',
+    pattern: /adreno\D*(5\d\d|6[0-3]\d)\b|mali-g(5[5-9]|6\d|7[1-5])\b|apple (gpu|a\d)|iris|uhd graphics|intel.*xe|powervr.*(gm|gt|gx)|radeon|geforce/
+  },
+  // Older Intel "HD Graphics" only, "UHD Graphics" (2017 on) is medium
+  { tier: 'low', pattern: /adreno\D*[1-4]\d\d\b|mali-(t|4|g3\d|g5[0-4])|powervr|intel.*\bhd graphics/ }
+];
+
+// Platforms by user agent, checked in order (matched lowercase). iPadOS Safari reports itself as a Mac.
+export const PLATFORMS = [
+  { platform: 'ios', pattern: /iphone|ipod|ipad/ },
+  { platform: 'android', pattern: /android/ },
+  { platform: 'desktop', pattern: /windows nt|macintosh|cros|x11|linux/ }
+];
+
+// Classification rules, first match wins
+// Conditions: a list of allowed values, or { min, max } for numbers. benchmarkMs is lower on faster devices.
+// 1 guessed RAM from screen size and cores from RAM; 2 checked low_gpu before fast_benchmark and had no user agent rules
+export const CLASSIFICATION_RULES = {
+  version: 3,
+  rules: [
+    { id: 'software_gpu', class: 'low_end', when: { gpuTier: ['software'] } },
+    { id: 'slow_benchmark', class: 'low_end', when: { benchmarkMs: { min: 45 } } },
+    { id: 'low_memory', class: 'low_end', when: { deviceMemory: { max: 2 } } },
+    { id: 'fast_benchmark', class: 'high_end', when: { benchmarkMs: { max: 10 } } },
+    { id: 'low_gpu', class: 'low_end', when: { gpuTier: ['low'] } },
+    // iPhones that stop at iOS 15 or earlier (6s, 7, first SE) have 2 GB of RAM, which Safari does not report
+    { id: 'old_ios', class: 'low_end', when: { platform: ['ios'], iosVersion: { max: 15 } } },
+    {
+      id: 'high_gpu_memory',
+      class: 'high_end',
+      when: { gpuTier: ['high'], deviceMemory: { min: 6 }, hardwareConcurrency: { min: 6 } }
+    },
+    { id: 'high_gpu_benchmark', class: 'high_end', when: { gpuTier: ['high'], benchmarkMs: { max: 15 } } },
+    // Chrome caps deviceMemory at 8, so this is the most a desktop can report
+    {
+      id: 'desktop_memory',
+      class: 'high_end',
+      when: { platform: ['desktop'], deviceMemory: { min: 8 }, hardwareConcurrency: { min: 8 } }
+    },
+    { id: 'mid_gpu', class: 'mid_range', when: { gpuTier: ['medium', 'high'] } },
+    { id: 'mid_memory', class: 'mid_range', when: { deviceMemory: { min: 4 }, hardwareConcurrency: { min: 4 } } },
+    { id: 'mid_benchmark', class: 'mid_range', when: { benchmarkMs: { max: 25 } } },
+    { id: 'default', class: 'low_end', when: {} }
+  ]
+};
+
+/**
+ * Get the GPU tier of a WebGL renderer string
+ * @param {string} renderer - WebGL renderer (unmasked when the browser allows it)
+ * @returns {string|null} 'high', 'medium', 'low', 'software', or null if unknown
+ */
+export function getGPUTier(renderer) {
+  if (!renderer || typeof renderer !== 'string') {
+    return null;
+  }
+
+  const name = renderer.toLowerCase();
+  const match = GPU_TIERS.find(({ pattern }) => pattern.test(name));
+  return match ? match.tier : null;
+}
+
+/**
+ * Get the platform of a user agent string
+ * @param {string} userAgent - Browser user agent
+ * @returns {string|null} 'ios', 'android', 'desktop', or null if unknown
+ */
+export function getPlatform(userAgent) {
+  if (!userAgent || typeof userAgent !== 'string') {
+    return null;
+  }
+
+  const ua = userAgent.toLowerCase();
+  const match = PLATFORMS.find(({ pattern }) => pattern.test(ua));
+  return match ? match.platform : null;
+}
+
+/**
+ * Get the iOS major version of a user agent string
+ * Android versions are not read, Chrome reports every Android device as "Android 10; K"
+ * @param {string} userAgent - Browser user agent
+ * @returns {number|null} Major version, or null if not an iOS user agent
+ */
+export function getIOSVersion(userAgent) {
+  if (getPlatform(userAgent) !== 'ios') {
+    return null;
+  }
+
+  const match = userAgent.match(/ OS (\d+)_/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check one rule condition against a signal
+ * @param {*} value - Signal value, null when not reported
+ * @param {Array|Object} condition - Allowed values, or { min, max }
+ * @returns {boolean} True if the condition holds
+ */
+function matchesCondition(value, condition) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  if (Array.isArray(condition)) {
+    return condition.includes(value);
+  }
+
+  return (condition.min === undefined || value >= condition.min) &&
+    (condition.max === undefined || value <= condition.max);
+}
+
+/**
+ * Classify a device
+ * @param {Object} signals - { userAgent, deviceMemory, hardwareConcurrency, gpuRenderer, benchmarkMs }, missing values as null
+ * @param {Object} table - Rule table, CLASSIFICATION_RULES by default
+ * @returns {Object} { class, rule, version, signals }
+ */
+export function classifyDevice(signals = {}, table = CLASSIFICATION_RULES) {
+  const values = {
+    platform: getPlatform(signals.userAgent),
+    iosVersion: getIOSVersion(signals.userAgent),
+    deviceMemory: signals.deviceMemory ?? null,
+    hardwareConcurrency: signals.hardwareConcurrency ?? null,
+    gpuTier: getGPUTier(signals.gpuRenderer),
+    benchmarkMs: signals.benchmarkMs ?? null
+  };
+
+  const rule = table.rules.find(({ when }) =>
+    Object.entries(when).every(([signal, condition]) => matchesCondition(values[signal], condition))
+  );
+
+  return {
+    class: rule ? rule.class : 'low_end',
+    rule: rule ? rule.id : null,
+    version: table.version,
+    signals: values
+  };
+}
+
+export default {
+  GPU_TIERS,
+  PLATFORMS,
+  CLASSIFICATION_RULES,
+  getGPUTier,
+  getPlatform,
+  getIOSVersion,
+  classifyDevice
+};
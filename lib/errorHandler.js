@@ -3,6 +3,8 @@
  * Provides centralized error handling for AR, camera, and QR code operations
  */
 
+import { getLocale, translate } from './i18n/index.js';
+
 // Error types for categorization
 export const ErrorTypes = {
   CAMERA_ERROR: 'CAMERA_ERROR',
@@ -349,51 +351,31 @@ export function handleBrowserError(error, context = {}) {
 }
 
 /**
- * User-friendly error messages for different error types
+ * Catalog keys of the user-friendly messages for each error type
+ * Each key holds { title, message, action } in every lib/i18n catalog
  */
 export const ErrorMessages = {
-  [ErrorTypes.CAMERA_ERROR]: {
-    title: "Camera Access Issue",
-    message: "Unable to access your camera. Please check permissions and try again.",
-    action: "Check camera permissions in your browser settings"
-  },
-  [ErrorTypes.AR_ERROR]: {
-    title: "AR Experience Issue",
-    message: "The AR experience encountered a problem. Please try again.",
-    action: "Ensure good lighting and point camera at QR code"
-  },
-  [ErrorTypes.QR_ERROR]: {
-    title: "QR Code Issue",
-    message: "Unable to scan or generate QR code. Please try again.",
-    action: "Check QR code quality and lighting"
-  },
-  [ErrorTypes.PERMISSION_ERROR]: {
-    title: "Permission Required",
-    message: "Camera permission is required for the AR experience.",
-    action: "Please allow camera access and reload the page"
-  },
-  [ErrorTypes.BROWSER_ERROR]: {
-    title: "Browser Not Supported",
-    message: "Your browser doesn't support this AR experience.",
-    action: "Please use a modern mobile browser like Chrome or Safari"
-  },
-  [ErrorTypes.NETWORK_ERROR]: {
-    title: "Connection Issue",
-    message: "Network connection problem. Please check your internet.",
-    action: "Check your internet connection and try again"
-  }
+  [ErrorTypes.CAMERA_ERROR]: 'errors.camera',
+  [ErrorTypes.AR_ERROR]: 'errors.ar',
+  [ErrorTypes.QR_ERROR]: 'errors.qr',
+  [ErrorTypes.PERMISSION_ERROR]: 'errors.permission',
+  [ErrorTypes.BROWSER_ERROR]: 'errors.browser',
+  [ErrorTypes.NETWORK_ERROR]: 'errors.network'
 };
 
 /**
  * Get user-friendly error message
  * @param {string} errorType - The error type
+ * @param {string} locale - Locale to translate to (defaults to the guest's current locale)
  * @returns {Object} User-friendly error information
  */
-export function getUserFriendlyError(errorType) {
-  return ErrorMessages[errorType] || {
-    title: "Something went wrong",
-    message: "An unexpected error occurred. Please try again.",
-    action: "Refresh the page and try again"
+export function getUserFriendlyError(errorType, locale = getLocale()) {
+  const key = ErrorMessages[errorType] || 'errors.unknown';
+
+  return {
+    title: translate(locale, `${key}.title`),
+    message: translate(locale, `${key}.message`),
+    action: translate(locale, `${key}.action`)
   };
 }
 
@@ -0,0 +1,270 @@
+/**
+ * Clue Hints
+ * Ordered hints per hunt clue, unlocked on a timer or on request (server-side)
+ */
+
+import { getClueUnlockedAt } from './hunt.js';
+import { getHintStore } from './storage/index.js';
+
+const store = getHintStore();
+
+// Hint configuration
+export const HINT_CONFIG = {
+  defaultDelay: 3 * 60 * 1000, // Gap between hints that do not set their own delay
+  maxHints: 5,
+  maxTextLength: 200
+};
+
+// Hint updates running per session, so concurrent requests by one session do not overwrite each other
+const pendingUpdates = new Map();
+
+/**
+ * Get the ordered hints of a message
+ * Each hint unlocks `delay` ms after its clue became available (defaults to one step per hint)
+ * @param {Object|null} message - AR message configuration
+ * @returns {Array<Object>} Hints ({ text, delay })
+ */
+export function getMessageHints(message) {
+  const hints = Array.isArray(message?.metadata?.hints) ? message.metadata.hints : [];
+
+  return hints
+    .filter(hint => hint && typeof hint.text === 'string' && hint.text.trim())
+    .slice(0, HINT_CONFIG.maxHints)
+    .map((hint, index) => ({
+      text: hint.text.trim(),
+      delay: Number.isFinite(hint.delay) ? hint.delay : HINT_CONFIG.defaultDelay * (index + 1)
+    }));
+}
+
+/**
+ * Remove hints from a message sent to players
+ * Hints are only handed out through getHints and requestHint
+ * @param {Object|null} message - AR message configuration
+ * @returns {Object|null} Message without hints
+ */
+export function withoutHints(message) {
+  if (!message?.metadata?.hints) {
+    return message;
+  }
+
+  const metadata = { ...message.metadata };
+  delete metadata.hints;
+  return { ...message, metadata };
+}
+
+/**
+ * Load a session's hint progress, change it and save it after the session's previous updates
+ * @param {string} sessionId - Session ID
+ * @param {string} clueId - Clue ID
+ * @param {Function} update - Receives the clue hint state ({ seenAt, revealed }), returns { result, changed }
+ * @returns {Promise<*>} Update result
+ */
+function updateClueState(sessionId, clueId, update) {
+  const run = async () => {
+    const progress = (await store.getProgress(sessionId)) || { sessionId, clues: {} };
+    const created = !progress.clues[clueId];
+    if (created) {
+      progress.clues[clueId] = { seenAt: new Date().toISOString(), revealed: [] };
+    }
+
+    const { result, changed } = await update(progress.clues[clueId]);
+    if (created || changed) {
+      await store.saveProgress(progress);
+    }
+    return result;
+  };
+
+  const previous = pendingUpdates.get(sessionId) || Promise.resolve();
+  const current = previous.then(run, run);
+  const cleanup = () => {
+    if (pendingUpdates.get(sessionId) === current) {
+      pendingUpdates.delete(sessionId);
+    }
+  };
+
+  pendingUpdates.set(sessionId, current);
+  current.then(cleanup, cleanup);
+  return current;
+}
+
+/**
+ * Get when each hint of a clue unlocks on its own
+ * The start clue has no previous scan, so its timer runs from the first time the session asked for hints
+ * @param {Object} state - Clue hint state
+ * @param {Array<Object>} hints - Hints from getMessageHints
+ * @param {string|null} unlockedAt - When the clue became available
+ * @returns {Array<number>} Unlock times in ms
+ */
+function getAvailableTimes(state, hints, unlockedAt) {
+  const start = new Date(unlockedAt || state.seenAt).getTime();
+  return hints.map(hint => start + hint.delay);
+}
+
+/**
+ * Reveal a hint
+ * Requested hints are seen right away; hints unlocked by their timer only once the guest opens the hint panel
+ * @param {Object} state - Clue hint state
+ * @param {number} index - Hint index
+ * @param {string} trigger - 'timer' or 'request'
+ * @param {boolean} early - Requested before its timer ran out
+ * @returns {Object} Reveal entry
+ */
+function reveal(state, index, trigger, early) {
+  const revealedAt = new Date().toISOString();
+  const entry = { index, trigger, early, revealedAt, viewedAt: trigger === 'request' ? revealedAt : null };
+  state.revealed.push(entry);
+  return entry;
+}
+
+/**
+ * Reveal hints whose timers ran out, in order
+ * @param {Object} state - Clue hint state
+ * @param {Array<number>} availableAt - Unlock times from getAvailableTimes
+ * @param {number} now - Current time in ms
+ * @returns {Array<Object>} Newly revealed entries
+ */
+function revealDueHints(state, availableAt, now) {
+  const revealed = [];
+  while (state.revealed.length < availableAt.length && availableAt[state.revealed.length] <= now) {
+    revealed.push(reveal(state, state.revealed.length, 'timer', false));
+  }
+  return revealed;
+}
+
+/**
+ * Mark every revealed hint of a clue as seen
+ * @param {Object} state - Clue hint state
+ * @returns {number} Number of hints newly marked
+ */
+function markViewed(state) {
+  const unseen = state.revealed.filter(entry => !entry.viewedAt);
+  const viewedAt = new Date().toISOString();
+  unseen.forEach(entry => {
+    entry.viewedAt = viewedAt;
+  });
+  return unseen.length;
+}
+
+/**
+ * Describe a clue's hints for API responses
+ * Unrevealed hint texts are never included, and revealed hints the message no longer has are skipped
+ * (an admin may publish fewer hints than a session already revealed)
+ * @param {Object} clue - Hunt clue
+ * @param {Array<Object>} hints - Hints from getMessageHints
+ * @param {Object} state - Clue hint state
+ * @param {Array<number>} availableAt - Unlock times from getAvailableTimes
+ * @param {Array<Object>} newlyRevealed - Entries revealed by this call
+ * @returns {Object} Hint summary
+ */
+function describeHints(clue, hints, state, availableAt, newlyRevealed) {
+  const withText = entries => entries
+    .filter(entry => entry.index < hints.length)
+    .map(entry => ({ ...entry, text: hints[entry.index].text }));
+  const nextIndex = state.revealed.length;
+
+  return {
+    clueId: clue.id,
+    total: hints.length,
+    revealed: withText(state.revealed),
+    newlyRevealed: withText(newlyRevealed),
+    next: nextIndex < hints.length
+      ? { index: nextIndex, availableAt: new Date(availableAt[nextIndex]).toISOString() }
+      : null
+  };
+}
+
+/**
+ * Get the hints a session has unlocked for a clue, revealing any whose timer ran out
+ * @param {string} sessionId - Session ID
+ * @param {Object} clue - Hunt clue
+ * @param {Array<Object>} hints - Hints from getMessageHints
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} Hint summary
+ */
+export async function getHints(sessionId, clue, hints, teammates = []) {
+  const unlockedAt = await getClueUnlockedAt(sessionId, clue.id, teammates);
+
+  return updateClueState(sessionId, clue.id, state => {
+    const availableAt = getAvailableTimes(state, hints, unlockedAt);
+    const newlyRevealed = revealDueHints(state, availableAt, Date.now());
+
+    return {
+      result: describeHints(clue, hints, state, availableAt, newlyRevealed),
+      changed: newlyRevealed.length > 0
+    };
+  });
+}
+
+/**
+ * Reveal the next hint for a clue on request, before its timer if needed
+ * @param {string} sessionId - Session ID
+ * @param {Object} clue - Hunt clue
+ * @param {Array<Object>} hints - Hints from getMessageHints
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} { status: 'revealed' | 'exhausted', hints }
+ */
+export async function requestHint(sessionId, clue, hints, teammates = []) {
+  const unlockedAt = await getClueUnlockedAt(sessionId, clue.id, teammates);
+
+  return updateClueState(sessionId, clue.id, state => {
+    const availableAt = getAvailableTimes(state, hints, unlockedAt);
+    const now = Date.now();
+    const newlyRevealed = revealDueHints(state, availableAt, now);
+
+    // Hints that unlocked on their own answer the request
+    if (newlyRevealed.length === 0 && state.revealed.length < hints.length) {
+      const index = state.revealed.length;
+      newlyRevealed.push(reveal(state, index, 'request', now < availableAt[index]));
+    }
+    // The guest asks from the open hint panel, so every revealed hint is on screen
+    const viewed = markViewed(state);
+
+    return {
+      result: {
+        status: newlyRevealed.length > 0 ? 'revealed' : 'exhausted',
+        hints: describeHints(clue, hints, state, availableAt, newlyRevealed)
+      },
+      changed: newlyRevealed.length > 0 || viewed > 0
+    };
+  });
+}
+
+/**
+ * Record that the guest saw the hints revealed so far for a clue (the hint panel was open)
+ * @param {string} sessionId - Session ID
+ * @param {Object} clue - Hunt clue
+ * @param {Array<Object>} hints - Hints from getMessageHints
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} Hint summary
+ */
+export async function viewHints(sessionId, clue, hints, teammates = []) {
+  const unlockedAt = await getClueUnlockedAt(sessionId, clue.id, teammates);
+
+  return updateClueState(sessionId, clue.id, state => {
+    const viewed = markViewed(state);
+
+    return {
+      result: describeHints(clue, hints, state, getAvailableTimes(state, hints, unlockedAt), []),
+      changed: viewed > 0
+    };
+  });
+}
+
+/**
+ * Reset hint progress for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if progress existed
+ */
+export async function resetHintProgress(sessionId) {
+  return store.deleteProgress(sessionId);
+}
+
+export default {
+  HINT_CONFIG,
+  getMessageHints,
+  withoutHints,
+  getHints,
+  requestHint,
+  viewHints,
+  resetHintProgress
+};
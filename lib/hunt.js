@@ -0,0 +1,329 @@
+/**
+ * Scavenger Hunt Chain
+ * Ordered clue model and per-session progress tracking for the multi-clue vampire hunt
+ */
+
+import { getHuntStore } from './storage/index.js';
+
+const store = getHuntStore();
+
+/**
+ * Hunt chain definition
+ * Each clue has its own printed QR marker, the AR message it reveals and a pointer to the next clue
+ */
+export const HUNT_CHAIN = {
+  id: 'rupert_vampire_hunt',
+  title: 'A Caçada ao Vampiro',
+  start: 'reflexo',
+  clues: {
+    reflexo: {
+      id: 'reflexo',
+      marker: 'vampire',
+      messageKey: 'vampire',
+      next: 'retrato'
+    },
+    retrato: {
+      id: 'retrato',
+      marker: 'portrait',
+      messageKey: 'portrait',
+      next: 'cripta'
+    },
+    cripta: {
+      id: 'cripta',
+      marker: 'crypt',
+      messageKey: 'crypt',
+      next: null
+    }
+  }
+};
+
+// Scans being recorded per session, so concurrent scans by one session do not overwrite each other
+const pendingScans = new Map();
+
+/**
+ * Get clues in hunt order by following the "next" pointers from the start clue
+ * @returns {Array<Object>} Ordered clues
+ */
+export function getOrderedClues() {
+  const ordered = [];
+  const visited = new Set();
+  let clue = HUNT_CHAIN.clues[HUNT_CHAIN.start];
+
+  // Guard against misconfigured chains that loop back on themselves
+  while (clue && !visited.has(clue.id)) {
+    visited.add(clue.id);
+    ordered.push(clue);
+    clue = clue.next ? HUNT_CHAIN.clues[clue.next] : null;
+  }
+
+  return ordered;
+}
+
+/**
+ * Get clue by ID
+ * @param {string} clueId - Clue ID
+ * @returns {Object|null} Clue or null if not found
+ */
+export function getClue(clueId) {
+  return HUNT_CHAIN.clues[clueId] || null;
+}
+
+/**
+ * Find clue by its printed QR marker
+ * @param {string} marker - Marker identifier
+ * @returns {Object|null} Clue or null if not found
+ */
+export function findClueByMarker(marker) {
+  return getOrderedClues().find(clue => clue.marker === marker) || null;
+}
+
+/**
+ * Find clue revealing a given AR message
+ * @param {string} messageKey - AR message key
+ * @returns {Object|null} Clue or null if the message is not part of the hunt
+ */
+export function findClueByMessageKey(messageKey) {
+  return getOrderedClues().find(clue => clue.messageKey === messageKey) || null;
+}
+
+/**
+ * Get hunt progress for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Progress record
+ */
+export async function getHuntProgress(sessionId) {
+  return (await store.getProgress(sessionId)) || {
+    sessionId,
+    huntId: HUNT_CHAIN.id,
+    scanned: [],
+    startedAt: null,
+    completedAt: null
+  };
+}
+
+/**
+ * Get combined hunt progress for a team
+ * Each clue is listed once, credited to the member who scanned it first
+ * @param {Array<string>} sessionIds - Member session IDs
+ * @returns {Promise<Object>} Team progress record
+ */
+export async function getTeamHuntProgress(sessionIds) {
+  const firstScans = new Map();
+  const progress = await Promise.all(sessionIds.map(getHuntProgress));
+
+  progress.forEach(({ sessionId, scanned }) => {
+    scanned.forEach(entry => {
+      const first = firstScans.get(entry.clueId);
+      if (!first || entry.scannedAt < first.scannedAt) {
+        firstScans.set(entry.clueId, { ...entry, scannedBy: sessionId });
+      }
+    });
+  });
+
+  const scanned = Array.from(firstScans.values()).sort((a, b) => a.scannedAt.localeCompare(b.scannedAt));
+  const lastClue = getOrderedClues().slice(-1)[0];
+  const completion = lastClue ? firstScans.get(lastClue.id) : null;
+
+  return {
+    huntId: HUNT_CHAIN.id,
+    members: sessionIds.length,
+    scanned,
+    startedAt: scanned.length > 0 ? scanned[0].scannedAt : null,
+    completedAt: completion ? completion.scannedAt : null
+  };
+}
+
+/**
+ * Get the clues scanned by a session or any of its teammates, oldest scan first
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Array<Object>>} Scan entries
+ */
+async function getSharedScans(sessionId, teammates = []) {
+  if (teammates.length === 0) {
+    return (await getHuntProgress(sessionId)).scanned;
+  }
+  return (await getTeamHuntProgress([sessionId, ...teammates])).scanned;
+}
+
+/**
+ * Check whether a clue may be revealed to a session
+ * A clue is unlocked once every clue before it in the chain has been scanned, by the session or a teammate
+ * @param {string} sessionId - Session ID
+ * @param {string} clueId - Clue ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<boolean>} True if unlocked
+ */
+export async function isClueUnlocked(sessionId, clueId, teammates = []) {
+  const ordered = getOrderedClues();
+  const index = ordered.findIndex(clue => clue.id === clueId);
+
+  if (index === -1) return false;
+  if (index === 0) return true;
+
+  const scannedIds = (await getSharedScans(sessionId, teammates)).map(entry => entry.clueId);
+  return ordered.slice(0, index).every(clue => scannedIds.includes(clue.id));
+}
+
+/**
+ * Get the clue a session is currently on
+ * This is the most recently scanned clue (by the session or a teammate), or the start clue if nothing was scanned yet
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} Current clue
+ */
+export async function getCurrentClue(sessionId, teammates = []) {
+  const scanned = await getSharedScans(sessionId, teammates);
+
+  if (scanned.length === 0) {
+    return HUNT_CHAIN.clues[HUNT_CHAIN.start];
+  }
+
+  return getClue(scanned[scanned.length - 1].clueId);
+}
+
+/**
+ * Get the clue a session should look for next
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object|null>} First clue not scanned by the session or a teammate, or null once the hunt is complete
+ */
+export async function getNextClue(sessionId, teammates = []) {
+  const scannedIds = (await getSharedScans(sessionId, teammates)).map(entry => entry.clueId);
+  return getOrderedClues().find(clue => !scannedIds.includes(clue.id)) || null;
+}
+
+/**
+ * Get when a clue became available to a session
+ * This is when the clue before it was scanned, by the session or a teammate
+ * @param {string} sessionId - Session ID
+ * @param {string} clueId - Clue ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<string|null>} ISO timestamp, or null for the start clue and locked clues
+ */
+export async function getClueUnlockedAt(sessionId, clueId, teammates = []) {
+  const ordered = getOrderedClues();
+  const index = ordered.findIndex(clue => clue.id === clueId);
+  if (index < 1) return null;
+
+  const previous = (await getSharedScans(sessionId, teammates)).find(entry => entry.clueId === ordered[index - 1].id);
+  return previous ? previous.scannedAt : null;
+}
+
+/**
+ * Run a progress update after the session's previous ones
+ * @param {string} sessionId - Session ID
+ * @param {Function} update - Async update
+ * @returns {Promise<*>} Update result
+ */
+function queueScan(sessionId, update) {
+  const previous = pendingScans.get(sessionId) || Promise.resolve();
+  const current = previous.then(update, update);
+  const cleanup = () => {
+    if (pendingScans.get(sessionId) === current) {
+      pendingScans.delete(sessionId);
+    }
+  };
+
+  pendingScans.set(sessionId, current);
+  current.then(cleanup, cleanup);
+  return current;
+}
+
+/**
+ * Record a clue scan for a session
+ * @param {string} sessionId - Session ID
+ * @param {string} clueId - Scanned clue ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} Scan result with status 'scanned' | 'already_scanned' | 'locked' | 'not_found'
+ */
+export function recordClueScan(sessionId, clueId, teammates = []) {
+  return queueScan(sessionId, () => applyClueScan(sessionId, clueId, teammates));
+}
+
+/**
+ * Record a clue scan, see recordClueScan
+ * @param {string} sessionId - Session ID
+ * @param {string} clueId - Scanned clue ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} Scan result
+ */
+async function applyClueScan(sessionId, clueId, teammates) {
+  const clue = getClue(clueId);
+  if (!clue) {
+    return { status: 'not_found', clue: null, progress: await getHuntProgress(sessionId) };
+  }
+
+  if (!(await isClueUnlocked(sessionId, clueId, teammates))) {
+    return { status: 'locked', clue, progress: await getHuntProgress(sessionId) };
+  }
+
+  const progress = await getHuntProgress(sessionId);
+  if (progress.scanned.some(entry => entry.clueId === clueId)) {
+    return { status: 'already_scanned', clue, progress };
+  }
+
+  const now = new Date().toISOString();
+  const updated = {
+    ...progress,
+    scanned: [...progress.scanned, { clueId, scannedAt: now }],
+    startedAt: progress.startedAt || now,
+    completedAt: clue.next ? progress.completedAt : now
+  };
+
+  await store.saveProgress(updated);
+
+  return { status: 'scanned', clue, progress: updated };
+}
+
+/**
+ * Describe a clue's position in the hunt for API responses
+ * @param {Object} clue - Clue
+ * @param {string} sessionId - Session ID
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} Clue summary
+ */
+export async function describeClue(clue, sessionId, teammates = []) {
+  const ordered = getOrderedClues();
+  const progress = await getHuntProgress(sessionId);
+  const teamScans = await getSharedScans(sessionId, teammates);
+
+  return {
+    huntId: HUNT_CHAIN.id,
+    id: clue.id,
+    marker: clue.marker,
+    order: ordered.findIndex(entry => entry.id === clue.id) + 1,
+    total: ordered.length,
+    next: clue.next,
+    scanned: progress.scanned.some(entry => entry.clueId === clue.id),
+    scannedCount: progress.scanned.length,
+    completed: Boolean(progress.completedAt),
+    teamScanned: teamScans.some(entry => entry.clueId === clue.id)
+  };
+}
+
+/**
+ * Reset hunt progress for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if progress existed
+ */
+export async function resetHuntProgress(sessionId) {
+  return store.deleteProgress(sessionId);
+}
+
+export default {
+  HUNT_CHAIN,
+  getOrderedClues,
+  getClue,
+  findClueByMarker,
+  findClueByMessageKey,
+  getHuntProgress,
+  getTeamHuntProgress,
+  isClueUnlocked,
+  getCurrentClue,
+  getNextClue,
+  getClueUnlockedAt,
+  recordClueScan,
+  describeClue,
+  resetHuntProgress
+};
@@ -0,0 +1,232 @@
+/**
+ * English Catalog
+ * Missing keys fall back to the Portuguese catalog
+ */
+
+export default {
+  language: {
+    label: 'Language'
+  },
+
+  layout: {
+    title: 'Halloween AR Experience',
+    description: 'Halloween AR Experience - QR Code Vampire Hunt',
+    heading: '🎃 Halloween AR Hunt',
+    arReady: 'AR Ready - Scan QR codes to reveal hidden messages',
+    cameraRequired: 'Camera access required for AR experience',
+    checking: 'Checking AR capabilities...',
+    footer: 'Follow the vampire\'s trail... if you dare 🧛‍♂️',
+    badgeReady: '📱 AR Ready',
+    badgeUnavailable: '❌ AR Unavailable'
+  },
+
+  home: {
+    title: 'Halloween AR Hunt - Vampire\'s Secret',
+    description: 'Scan the QR code and discover the vampire\'s hidden message in augmented reality',
+    heading: '🎃 The Vampire\'s Secret',
+    tagline: 'A hidden message awaits those brave enough to seek it...',
+    teaser: '"The vampire hides in the reflection, but Rupert saw the truth... Follow him to the next clue before he vanishes too."',
+    teaserNote: 'But this message is just the beginning. To see the vampire\'s true secret, you must use the power of augmented reality...',
+    howTo: '🔍 How to Reveal the Secret',
+    step1Title: 'Start AR Experience',
+    step1Text: 'Click "Start AR Experience" below on your mobile device to begin',
+    step2Title: 'Allow Camera',
+    step2Text: 'Grant camera permission when prompted to enable AR scanning',
+    step3Title: 'Point at QR Code',
+    step3Text: 'Point your camera at the QR code below to reveal the vampire\'s message',
+    portalTitle: '🧛‍♂️ Vampire\'s Portal',
+    preparingPortal: 'Preparing your portal...',
+    arReady: 'AR Ready!',
+    limitedSupport: 'Limited AR Support',
+    fullSupportText: 'Your device supports the full AR experience. Scan the QR code to begin!',
+    limitedSupportText: 'Your device has limited AR support. You can still view the content, but the AR experience may be reduced.',
+    deviceInfo: 'Device: {device} • Browser: {browser}',
+    arScore: 'AR Score: {score}/100',
+    recommendations: 'View Recommendations',
+    start: '🧛‍♂️ Start AR Experience',
+    startHint: 'Launch the AR vampire hunt directly on your mobile device',
+    bestOnMobile: '✨ Best experienced on mobile devices',
+    needsCamera: '📱 Requires camera permission',
+    aboutTitle: 'About this Experience',
+    aboutText: 'This Halloween AR hunt uses your device\'s camera and advanced web technologies to overlay digital content onto the real world. No app download required!',
+    showDetails: 'Show Technical Details',
+    hideDetails: 'Hide Technical Details',
+    session: 'Session',
+    duration: 'Duration',
+    interactions: 'Interactions',
+    arState: 'AR State',
+    screen: 'Screen',
+    language: 'Language'
+  },
+
+  ar: {
+    pageTitle: 'Vampire AR - Immersive Experience',
+    pageDescription: 'Point your camera at the QR code and discover the secret message of Rupert the vampire.',
+    preparingTitle: 'Preparing AR Experience',
+    preparingText: 'Checking your device capabilities...',
+    unsupportedTitle: 'AR Not Supported',
+    unsupportedText: 'Your device or browser does not support the AR experience.',
+    recommendedDevices: 'Recommended Devices:',
+    deviceIOS: 'iPhone with iOS 14+ (Safari)',
+    deviceAndroid: 'Android with Chrome 81+',
+    deviceSamsung: 'Samsung Internet browser',
+    alternatives: 'Alternatives:',
+    backToQr: 'Back to the QR Code',
+    findTitle: 'Find the Vampire',
+    findText: 'Point your camera at the QR code to reveal the secret message',
+    tipVisible: 'Keep the QR code visible on screen',
+    tipLighting: 'Make sure the lighting is good',
+    tipSteady: 'Hold the camera steady',
+    vampireFound: 'Vampire found!',
+    back: 'Back',
+    scanClue: 'Scan clue',
+    team: 'Team',
+    sessionEnded: 'AR Session Ended',
+    duration: 'Duration',
+    detections: 'Detections',
+    finish: 'Finish'
+  },
+
+  session: {
+    checking: 'Checking device capabilities...',
+    unsupportedTitle: 'AR not supported',
+    unsupportedText: 'Your device or browser does not support AR.',
+    errorTitle: 'AR Session Error',
+    retry: 'Try Again',
+    cameraTitle: 'Camera Permission',
+    cameraText: 'Please allow camera access to continue.',
+    end: 'End AR session',
+    cameraError: 'Camera error: {message}',
+    unknownError: 'Unknown error occurred'
+  },
+
+  scene: {
+    loadingLibraries: 'Loading AR libraries...',
+    preparingMarker: 'Preparing AR marker...',
+    initializing: 'Starting AR system...',
+    mayTakeSeconds: 'This may take a few seconds...',
+    active: 'AR Active',
+    error: 'AR error: {message}',
+    pointCamera: 'Point the camera at the QR code',
+    foundBy: 'Found by {name}',
+    lockedClue: 'This clue is still sealed… Find the earlier clues first.',
+    messageLoading: 'Vampire message loading...',
+    messageSubtitle: '— A message from beyond —',
+    enableSound: 'Turn sound on',
+    mute: 'Mute',
+    tapForSound: '🔇 Tap to turn sound on',
+    soundOff: '🔇 Sound off',
+    soundOn: '🔊 Sound on'
+  },
+
+  overlay: {
+    close: 'Close message'
+  },
+
+  scanner: {
+    pointAtClue: 'Point at the clue\'s QR code',
+    notInHunt: 'This code is not part of the hunt',
+    startFailed: 'Could not start the QR reader',
+    requesting: 'Requesting camera access...',
+    permission: 'Allow camera access to scan the clues.',
+    enableCamera: 'Turn on camera',
+    cancel: 'Cancel'
+  },
+
+  team: {
+    dialog: 'Team',
+    close: 'Close',
+    joinCode: 'Team code',
+    members: 'Members',
+    you: ' (you)',
+    clues: 'Team clues',
+    clueFound: '✓ Clue {order} · found by {name}',
+    clueSearching: '? Clue {order} · searching',
+    clueLocked: '🔒 Clue {order}',
+    leave: 'Leave team',
+    playAsTeam: '👥 Play as a team',
+    yourName: 'Your name',
+    namePlaceholder: 'e.g. Mina',
+    codePlaceholder: 'e.g. K7QPM',
+    join: 'Join team',
+    or: 'or',
+    newTeamName: 'New team name',
+    teamPlaceholder: 'e.g. Rupert Hunters',
+    create: 'Create team'
+  },
+
+  hints: {
+    toggle: '💡 Hints {revealed}/{total}',
+    empty: 'No hints yet. Keep looking!',
+    requestNow: 'Get a hint now',
+    next: 'Show next hint',
+    nextFree: 'Next free hint at {time}. Asking earlier costs more points.'
+  },
+
+  leaderboard: {
+    title: 'Leaderboard - Halloween AR',
+    heading: '🎃 Hunt Leaderboard',
+    offline: 'Offline, retrying...',
+    updatedAt: 'Updated at {time}',
+    loading: 'Loading...',
+    teams: '👥 Teams',
+    noTeams: 'No teams formed yet',
+    players: '🦇 Players',
+    noPlayers: 'Nobody has found a clue yet...',
+    name: 'Name',
+    player: 'Player {tag}',
+    clues: 'Clues',
+    messages: 'Messages',
+    hints: 'Hints',
+    time: 'Time',
+    points: 'Points'
+  },
+
+  errors: {
+    camera: {
+      title: 'Camera Access Issue',
+      message: 'Unable to access your camera. Please check permissions and try again.',
+      action: 'Check camera permissions in your browser settings'
+    },
+    ar: {
+      title: 'AR Experience Issue',
+      message: 'The AR experience encountered a problem. Please try again.',
+      action: 'Ensure good lighting and point camera at QR code'
+    },
+    qr: {
+      title: 'QR Code Issue',
+      message: 'Unable to scan or generate QR code. Please try again.',
+      action: 'Check QR code quality and lighting'
+    },
+    permission: {
+      title: 'Permission Required',
+      message: 'Camera permission is required for the AR experience.',
+      action: 'Please allow camera access and reload the page'
+    },
+    browser: {
+      title: 'Browser Not Supported',
+      message: 'Your browser doesn\'t support this AR experience.',
+      action: 'Please use a modern mobile browser like Chrome or Safari'
+    },
+    network: {
+      title: 'Connection Issue',
+      message: 'Network connection problem. Please check your internet.',
+      action: 'Check your internet connection and try again'
+    },
+    unknown: {
+      title: 'Something went wrong',
+      message: 'An unexpected error occurred. Please try again.',
+      action: 'Refresh the page and try again'
+    },
+    cameraAccess: {
+      permissionDenied: 'Camera permission denied. Please allow camera access and try again.',
+      noCamera: 'No camera found on this device.',
+      busy: 'Camera is already in use by another application.',
+      notSupported: 'Camera access is not supported in this browser.'
+    }
+  },
+
+  arMessages: {
+    fallback: 'A mysterious message appears...'
+  }
+};
@@ -0,0 +1,221 @@
+/**
+ * Internationalization
+ * Locale detection, translation catalogs and the translation hook for guest-facing text
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import pt from './pt.js';
+import en from './en.js';
+
+// i18n configuration
+export const I18N_CONFIG = {
+  defaultLocale: 'pt',
+  storageKey: 'halloween_ar_locale'
+};
+
+// Supported locales, in switcher order
+export const LOCALES = {
+  pt: { name: 'Português', label: 'PT', intl: 'pt-BR' },
+  en: { name: 'English', label: 'EN', intl: 'en-US' }
+};
+
+// Translation catalogs by locale
+const CATALOGS = { pt, en };
+
+// Current client locale, resolved lazily so server rendering always uses the default
+let currentLocale = null;
+let listeners = [];
+
+/**
+ * Map a language tag to a supported locale
+ * @param {string} tag - Language tag (e.g. 'pt-BR', 'en')
+ * @returns {string|null} Supported locale, or null
+ */
+export function normalizeLocale(tag) {
+  if (typeof tag !== 'string' || !tag) {
+    return null;
+  }
+
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : null;
+}
+
+/**
+ * Pick the best supported locale from an Accept-Language header
+ * @param {string} acceptLanguage - Header value (e.g. 'en-US,en;q=0.9,pt;q=0.8')
+ * @param {Array<string>} supported - Locales to choose from
+ * @returns {string|null} Best match, or null if none is acceptable
+ */
+export function negotiateLocale(acceptLanguage, supported = Object.keys(LOCALES)) {
+  if (typeof acceptLanguage !== 'string' || !acceptLanguage) {
+    return null;
+  }
+
+  const ranges = acceptLanguage
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.find(param => param.trim().startsWith('q='));
+      return { tag, q: quality ? parseFloat(quality.trim().slice(2)) : 1, index };
+    })
+    .filter(range => range.tag && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const range of ranges) {
+    const locale = normalizeLocale(range.tag);
+    if (locale && supported.includes(locale)) {
+      return locale;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect the guest's locale: saved choice first, then the browser languages
+ * @returns {string} Supported locale
+ */
+export function detectLocale() {
+  if (typeof window === 'undefined') {
+    return I18N_CONFIG.defaultLocale;
+  }
+
+  try {
+    const saved = normalizeLocale(localStorage.getItem(I18N_CONFIG.storageKey));
+    if (saved) {
+      return saved;
+    }
+  } catch (error) {
+    // Storage may be unavailable in private browsing
+  }
+
+  const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+  return negotiateLocale(languages.filter(Boolean).join(',')) || I18N_CONFIG.defaultLocale;
+}
+
+/**
+ * Get the current locale
+ * @returns {string} Current locale
+ */
+export function getLocale() {
+  if (typeof window === 'undefined') {
+    return I18N_CONFIG.defaultLocale;
+  }
+
+  if (!currentLocale) {
+    currentLocale = detectLocale();
+    document.documentElement.lang = LOCALES[currentLocale].intl;
+  }
+  return currentLocale;
+}
+
+/**
+ * Switch the current locale and remember the choice
+ * @param {string} locale - Locale to use
+ */
+export function setLocale(locale) {
+  const next = normalizeLocale(locale);
+  if (!next || typeof window === 'undefined') {
+    return;
+  }
+
+  currentLocale = next;
+  document.documentElement.lang = LOCALES[next].intl;
+
+  try {
+    localStorage.setItem(I18N_CONFIG.storageKey, next);
+  } catch (error) {
+    // Storage may be unavailable in private browsing
+  }
+
+  listeners.forEach(listener => listener(next));
+}
+
+/**
+ * Subscribe to locale changes
+ * @param {Function} listener - Called with the new locale
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeLocale(listener) {
+  listeners.push(listener);
+  return () => {
+    listeners = listeners.filter(entry => entry !== listener);
+  };
+}
+
+/**
+ * Look up a catalog entry by dotted key
+ * @param {string} locale - Locale
+ * @param {string} key - Dotted key (e.g. 'hints.empty')
+ * @returns {*} Entry, or undefined
+ */
+function lookup(locale, key) {
+  return key.split('.').reduce((entry, part) => entry?.[part], CATALOGS[locale]);
+}
+
+/**
+ * Translate a key for a locale, falling back to the default locale and then the key itself
+ * @param {string} locale - Locale
+ * @param {string} key - Dotted catalog key
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Translated text
+ */
+export function translate(locale, key, params = {}) {
+  let text = lookup(locale, key);
+  if (typeof text !== 'string') {
+    text = lookup(I18N_CONFIG.defaultLocale, key);
+  }
+  if (typeof text !== 'string') {
+    return key;
+  }
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translate a key for the current locale
+ * For code outside React components (callbacks, canvas drawing, thrown errors)
+ * @param {string} key - Dotted catalog key
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} Translated text
+ */
+export function t(key, params) {
+  return translate(getLocale(), key, params);
+}
+
+/**
+ * Use Translation Hook
+ * Renders with the default locale first so server and client markup match, then switches to the detected one
+ */
+export function useTranslation() {
+  const [locale, setLocaleState] = useState(I18N_CONFIG.defaultLocale);
+
+  useEffect(() => {
+    setLocaleState(getLocale());
+    return subscribeLocale(setLocaleState);
+  }, []);
+
+  const translateKey = useCallback((key, params) => translate(locale, key, params), [locale]);
+
+  return {
+    locale,
+    intlLocale: LOCALES[locale].intl,
+    locales: LOCALES,
+    setLocale,
+    t: translateKey
+  };
+}
+
+export default {
+  I18N_CONFIG,
+  LOCALES,
+  normalizeLocale,
+  negotiateLocale,
+  detectLocale,
+  getLocale,
+  setLocale,
+  subscribeLocale,
+  translate,
+  t,
+  useTranslation
+};
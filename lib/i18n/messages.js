@@ -0,0 +1,85 @@
+/**
+ * Message Translations
+ * Picks and applies the per-locale variant of an AR message
+ *
+ * A message's own `text` and `language` are its primary variant; `translations` holds the others:
+ *   translations: { en: { text: '...', hints: ['...', '...'] } }
+ * Hint translations follow the order of metadata.hints and keep the primary hint delays.
+ */
+
+import { I18N_CONFIG, normalizeLocale, negotiateLocale } from './index.js';
+
+/**
+ * Get the locales a message is available in, primary language first
+ * @param {Object} message - AR message configuration
+ * @returns {Array<string>} Locales
+ */
+export function getMessageLocales(message) {
+  const primary = message?.language || I18N_CONFIG.defaultLocale;
+  const translated = Object.keys(message?.translations || {}).filter(locale => locale !== primary);
+  return [primary, ...translated];
+}
+
+/**
+ * Choose the variant to serve: the `lang` parameter, then Accept-Language, then the default locale
+ * Falls back to the message's primary language when it has none of those
+ * @param {Object} message - AR message configuration
+ * @param {Object} request - { lang, acceptLanguage }
+ * @returns {string} Chosen locale
+ */
+export function selectMessageLocale(message, { lang, acceptLanguage } = {}) {
+  const available = getMessageLocales(message);
+
+  const requested = normalizeLocale(lang);
+  if (requested && available.includes(requested)) {
+    return requested;
+  }
+
+  const negotiated = negotiateLocale(acceptLanguage, available);
+  if (negotiated) {
+    return negotiated;
+  }
+
+  return available.includes(I18N_CONFIG.defaultLocale) ? I18N_CONFIG.defaultLocale : available[0];
+}
+
+/**
+ * Build the single-language message for a locale
+ * The result has no `translations`, and lists the other available locales in `locales`
+ * @param {Object|null} message - AR message configuration
+ * @param {string} locale - Locale from selectMessageLocale
+ * @returns {Object|null} Localized message
+ */
+export function localizeMessage(message, locale) {
+  if (!message) {
+    return message;
+  }
+
+  const { translations = {}, ...primary } = message;
+  const locales = getMessageLocales(message);
+  const variant = locale !== locales[0] ? translations[locale] : null;
+
+  if (!variant) {
+    return { ...primary, language: locales[0], locales };
+  }
+
+  const hints = primary.metadata?.hints;
+  return {
+    ...primary,
+    text: variant.text,
+    language: locale,
+    locales,
+    metadata: Array.isArray(hints) && Array.isArray(variant.hints)
+      ? {
+        ...primary.metadata,
+        hints: hints.map((hint, index) => (variant.hints[index] ? { ...hint, text: variant.hints[index] } : hint))
+      }
+      : primary.metadata
+  };
+}
+
+export default {
+  getMessageLocales,
+  selectMessageLocale,
+  localizeMessage
+};
@@ -0,0 +1,232 @@
+/**
+ * Portuguese Catalog
+ * Default locale; every key must exist here since other locales fall back to it
+ */
+
+export default {
+  language: {
+    label: 'Idioma'
+  },
+
+  layout: {
+    title: 'Experiência AR de Halloween',
+    description: 'Experiência AR de Halloween - Caça ao Vampiro com QR Codes',
+    heading: '🎃 Caça AR de Halloween',
+    arReady: 'AR pronto - Escaneie os QR codes para revelar mensagens ocultas',
+    cameraRequired: 'É preciso acesso à câmera para a experiência AR',
+    checking: 'Verificando recursos de AR...',
+    footer: 'Siga a trilha do vampiro... se tiver coragem 🧛‍♂️',
+    badgeReady: '📱 AR pronto',
+    badgeUnavailable: '❌ AR indisponível'
+  },
+
+  home: {
+    title: 'Caça AR de Halloween - O Segredo do Vampiro',
+    description: 'Escaneie o QR code e descubra a mensagem oculta do vampiro em realidade aumentada',
+    heading: '🎃 O Segredo do Vampiro',
+    tagline: 'Uma mensagem oculta aguarda quem tiver coragem de procurá-la...',
+    teaser: '"O vampiro se esconde no reflexo, mas Rupert percebeu a verdade... Siga-o para a próxima pista antes que ele desapareça também."',
+    teaserNote: 'Mas esta mensagem é só o começo. Para ver o verdadeiro segredo do vampiro, use o poder da realidade aumentada...',
+    howTo: '🔍 Como Revelar o Segredo',
+    step1Title: 'Inicie a Experiência AR',
+    step1Text: 'Toque em "Iniciar Experiência AR" abaixo no seu celular para começar',
+    step2Title: 'Permita a Câmera',
+    step2Text: 'Autorize o uso da câmera quando solicitado para ativar o AR',
+    step3Title: 'Aponte para o QR Code',
+    step3Text: 'Aponte a câmera para o QR code abaixo para revelar a mensagem do vampiro',
+    portalTitle: '🧛‍♂️ Portal do Vampiro',
+    preparingPortal: 'Preparando seu portal...',
+    arReady: 'AR pronto!',
+    limitedSupport: 'Suporte AR limitado',
+    fullSupportText: 'Seu dispositivo suporta a experiência AR completa. Escaneie o QR code para começar!',
+    limitedSupportText: 'Seu dispositivo tem suporte AR limitado. Você ainda pode ver o conteúdo, mas a experiência pode ser reduzida.',
+    deviceInfo: 'Dispositivo: {device} • Navegador: {browser}',
+    arScore: 'Pontuação AR: {score}/100',
+    recommendations: 'Ver recomendações',
+    start: '🧛‍♂️ Iniciar Experiência AR',
+    startHint: 'Comece a caça ao vampiro direto no seu celular',
+    bestOnMobile: '✨ Melhor em dispositivos móveis',
+    needsCamera: '📱 Requer permissão da câmera',
+    aboutTitle: 'Sobre esta Experiência',
+    aboutText: 'Esta caça AR de Halloween usa a câmera do seu dispositivo e tecnologias web para sobrepor conteúdo digital ao mundo real. Não é preciso instalar nenhum app!',
+    showDetails: 'Mostrar detalhes técnicos',
+    hideDetails: 'Ocultar detalhes técnicos',
+    session: 'Sessão',
+    duration: 'Duração',
+    interactions: 'Interações',
+    arState: 'Estado AR',
+    screen: 'Tela',
+    language: 'Idioma'
+  },
+
+  ar: {
+    pageTitle: 'AR Vampiro - Experiência Imersiva',
+    pageDescription: 'Aponte sua câmera para o código QR e descubra a mensagem secreta do vampiro Rupert.',
+    preparingTitle: 'Preparando Experiência AR',
+    preparingText: 'Verificando capacidades do seu dispositivo...',
+    unsupportedTitle: 'AR Não Suportado',
+    unsupportedText: 'Seu dispositivo ou navegador não suporta a experiência AR.',
+    recommendedDevices: 'Dispositivos Recomendados:',
+    deviceIOS: 'iPhone com iOS 14+ (Safari)',
+    deviceAndroid: 'Android com Chrome 81+',
+    deviceSamsung: 'Navegador Samsung Internet',
+    alternatives: 'Alternativas:',
+    backToQr: 'Voltar ao QR Code',
+    findTitle: 'Encontre o Vampiro',
+    findText: 'Aponte sua câmera para o código QR para revelar a mensagem secreta',
+    tipVisible: 'Mantenha o QR code visível na tela',
+    tipLighting: 'Certifique-se de ter boa iluminação',
+    tipSteady: 'Mantenha a câmera estável',
+    vampireFound: 'Vampiro encontrado!',
+    back: 'Voltar',
+    scanClue: 'Escanear pista',
+    team: 'Equipe',
+    sessionEnded: 'Sessão AR Finalizada',
+    duration: 'Duração',
+    detections: 'Detecções',
+    finish: 'Finalizar'
+  },
+
+  session: {
+    checking: 'Verificando capacidades do dispositivo...',
+    unsupportedTitle: 'AR não suportado',
+    unsupportedText: 'Seu dispositivo ou navegador não suporta AR.',
+    errorTitle: 'Erro na Sessão AR',
+    retry: 'Tentar Novamente',
+    cameraTitle: 'Permissão da Câmera',
+    cameraText: 'Por favor, permita o acesso à câmera para continuar.',
+    end: 'Encerrar sessão AR',
+    cameraError: 'Erro na câmera: {message}',
+    unknownError: 'Ocorreu um erro desconhecido'
+  },
+
+  scene: {
+    loadingLibraries: 'Carregando bibliotecas AR...',
+    preparingMarker: 'Preparando marcador AR...',
+    initializing: 'Inicializando sistema AR...',
+    mayTakeSeconds: 'Isso pode levar alguns segundos...',
+    active: 'AR Ativo',
+    error: 'Erro AR: {message}',
+    pointCamera: 'Aponte a câmera para o código QR',
+    foundBy: 'Encontrada por {name}',
+    lockedClue: 'Esta pista ainda está selada… Encontre as pistas anteriores primeiro.',
+    messageLoading: 'Carregando a mensagem do vampiro...',
+    messageSubtitle: '— Uma mensagem do além —',
+    enableSound: 'Ativar som',
+    mute: 'Silenciar',
+    tapForSound: '🔇 Toque para ativar o som',
+    soundOff: '🔇 Som desligado',
+    soundOn: '🔊 Som ligado'
+  },
+
+  overlay: {
+    close: 'Fechar mensagem'
+  },
+
+  scanner: {
+    pointAtClue: 'Aponte para o código QR da pista',
+    notInHunt: 'Este código não faz parte da caçada',
+    startFailed: 'Não foi possível iniciar o leitor de QR',
+    requesting: 'Solicitando acesso à câmera...',
+    permission: 'Permita o acesso à câmera para escanear as pistas.',
+    enableCamera: 'Ativar câmera',
+    cancel: 'Cancelar'
+  },
+
+  team: {
+    dialog: 'Equipe',
+    close: 'Fechar',
+    joinCode: 'Código da equipe',
+    members: 'Integrantes',
+    you: ' (você)',
+    clues: 'Pistas da equipe',
+    clueFound: '✓ Pista {order} · encontrada por {name}',
+    clueSearching: '? Pista {order} · procurando',
+    clueLocked: '🔒 Pista {order}',
+    leave: 'Sair da equipe',
+    playAsTeam: '👥 Jogar em equipe',
+    yourName: 'Seu nome',
+    namePlaceholder: 'ex: Mina',
+    codePlaceholder: 'ex: K7QPM',
+    join: 'Entrar na equipe',
+    or: 'ou',
+    newTeamName: 'Nome da nova equipe',
+    teamPlaceholder: 'ex: Caçadores de Rupert',
+    create: 'Criar equipe'
+  },
+
+  hints: {
+    toggle: '💡 Dicas {revealed}/{total}',
+    empty: 'Nenhuma dica ainda. Continue procurando!',
+    requestNow: 'Pedir dica agora',
+    next: 'Ver próxima dica',
+    nextFree: 'Próxima dica grátis às {time}. Pedir antes custa mais pontos.'
+  },
+
+  leaderboard: {
+    title: 'Placar - Halloween AR',
+    heading: '🎃 Placar da Caça',
+    offline: 'Sem conexão, tentando novamente...',
+    updatedAt: 'Atualizado às {time}',
+    loading: 'Carregando...',
+    teams: '👥 Equipes',
+    noTeams: 'Nenhuma equipe formada ainda',
+    players: '🦇 Jogadores',
+    noPlayers: 'Ninguém encontrou uma pista ainda...',
+    name: 'Nome',
+    player: 'Jogador {tag}',
+    clues: 'Pistas',
+    messages: 'Mensagens',
+    hints: 'Dicas',
+    time: 'Tempo',
+    points: 'Pontos'
+  },
+
+  errors: {
+    camera: {
+      title: 'Problema com a câmera',
+      message: 'Não foi possível acessar sua câmera. Verifique as permissões e tente novamente.',
+      action: 'Verifique as permissões da câmera nas configurações do navegador'
+    },
+    ar: {
+      title: 'Problema na experiência AR',
+      message: 'A experiência AR encontrou um problema. Tente novamente.',
+      action: 'Garanta boa iluminação e aponte a câmera para o QR code'
+    },
+    qr: {
+      title: 'Problema com o QR code',
+      message: 'Não foi possível escanear ou gerar o QR code. Tente novamente.',
+      action: 'Verifique a qualidade do QR code e a iluminação'
+    },
+    permission: {
+      title: 'Permissão necessária',
+      message: 'A experiência AR precisa de permissão para usar a câmera.',
+      action: 'Permita o acesso à câmera e recarregue a página'
+    },
+    browser: {
+      title: 'Navegador não suportado',
+      message: 'Seu navegador não suporta esta experiência AR.',
+      action: 'Use um navegador móvel moderno, como Chrome ou Safari'
+    },
+    network: {
+      title: 'Problema de conexão',
+      message: 'Problema na conexão de rede. Verifique sua internet.',
+      action: 'Verifique sua conexão com a internet e tente novamente'
+    },
+    unknown: {
+      title: 'Algo deu errado',
+      message: 'Ocorreu um erro inesperado. Tente novamente.',
+      action: 'Recarregue a página e tente novamente'
+    },
+    cameraAccess: {
+      permissionDenied: 'Permissão da câmera negada. Permita o acesso à câmera e tente novamente.',
+      noCamera: 'Nenhuma câmera encontrada neste dispositivo.',
+      busy: 'A câmera já está em uso por outro aplicativo.',
+      notSupported: 'O acesso à câmera não é suportado neste navegador.'
+    }
+  },
+
+  arMessages: {
+    fallback: 'Uma mensagem misteriosa aparece...'
+  }
+};
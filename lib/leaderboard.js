@@ -0,0 +1,261 @@
+/**
+ * Leaderboard Scoring
+ * Computes per-player and per-team scores from server-side hunt and hint progress
+ */
+
+import { InteractionTypes } from './sessionManager.js';
+import { getOrderedClues } from './hunt.js';
+import { getSessionStore, getTeamStore, getHuntStore, getHintStore } from './storage/index.js';
+
+const sessionStore = getSessionStore();
+const teamStore = getTeamStore();
+const huntStore = getHuntStore();
+const hintStore = getHintStore();
+
+// Scoring rules
+export const SCORING = {
+  markerFound: 100, // Per distinct clue scanned
+  messageViewed: 50, // Per distinct clue message viewed in AR, for clues the player scanned
+  errorRecovered: 25, // Per clue scanned after an error, at most one per clue
+  hintPenalty: 20, // Deducted per hint seen after its timer ran out (unlocked on its own or requested)
+  earlyHintPenalty: 40, // Deducted per hint requested before its timer ran out
+  completion: 500, // All clues revealed
+  maxTimeBonus: 300, // Completing instantly; shrinks linearly to 0 over timeBonusWindow
+  timeBonusWindow: 60 * 60 * 1000 // 1 hour
+};
+
+/**
+ * Collect the scoring facts of one player
+ * Clues and hints come from the server's own records. Client-reported interactions add message views
+ * (AR_MESSAGE_VIEW, only for clues the server recorded as scanned) and errors.
+ * @param {Object|null} huntProgress - Hunt progress record from the hunt store
+ * @param {Object|null} hintProgress - Hint progress record from the hint store
+ * @param {Array<Object>} interactions - Interactions of all the player's sessions
+ * @returns {Object} { markers, messages, hints, firstScanAt, errorsRecovered }
+ */
+function collectFacts(huntProgress, hintProgress, interactions) {
+  const scanned = huntProgress?.scanned || [];
+  const markers = new Map(scanned.map(entry => [entry.clueId, entry.scannedAt])); // clueId -> scan time
+  const hints = new Map(); // clueId:index -> requested early
+
+  // Hints unlocked by their timer only count once the guest opened the hint panel and saw them
+  Object.entries(hintProgress?.clues || {}).forEach(([clueId, state]) => {
+    state.revealed
+      .filter(entry => entry.trigger !== 'timer' || entry.viewedAt)
+      .forEach(entry => hints.set(`${clueId}:${entry.index}`, Boolean(entry.early)));
+  });
+
+  // A view counts for clues the guest scanned, so reported views cannot add clues
+  const messages = new Map(); // clueId -> first view time
+  interactions
+    .filter(({ type, data }) => type === InteractionTypes.AR_MESSAGE_VIEW && markers.has(data?.clueId))
+    .forEach(({ data, timestamp }) => {
+      if (!messages.has(data.clueId) || timestamp < messages.get(data.clueId)) {
+        messages.set(data.clueId, timestamp);
+      }
+    });
+
+  // An error counts as recovered when the guest still scanned the next clue
+  const errors = interactions
+    .filter(({ type }) => type === InteractionTypes.ERROR_OCCURRED)
+    .map(({ timestamp }) => timestamp);
+  const errorsRecovered = scanned.filter((entry, index) => {
+    const since = index > 0 ? scanned[index - 1].scannedAt : '';
+    return errors.some(timestamp => timestamp > since && timestamp < entry.scannedAt);
+  }).length;
+
+  return {
+    markers,
+    messages,
+    hints,
+    firstScanAt: huntProgress?.startedAt || null,
+    errorsRecovered
+  };
+}
+
+/**
+ * Merge the facts of several players (earliest times win)
+ * @param {Array<Object>} factsList - Facts from collectFacts
+ * @returns {Object} Combined facts
+ */
+function mergeFacts(factsList) {
+  const merged = { markers: new Map(), messages: new Map(), hints: new Map(), firstScanAt: null, errorsRecovered: 0 };
+  const keepEarliest = (target, source) => {
+    source.forEach((timestamp, clueId) => {
+      if (!target.has(clueId) || timestamp < target.get(clueId)) {
+        target.set(clueId, timestamp);
+      }
+    });
+  };
+
+  factsList.forEach(facts => {
+    keepEarliest(merged.markers, facts.markers);
+    keepEarliest(merged.messages, facts.messages);
+    // A hint counts once per team, even when several members unlocked it
+    facts.hints.forEach((early, key) => merged.hints.set(key, Boolean(merged.hints.get(key) || early)));
+    merged.errorsRecovered += facts.errorsRecovered;
+    if (facts.firstScanAt && (!merged.firstScanAt || facts.firstScanAt < merged.firstScanAt)) {
+      merged.firstScanAt = facts.firstScanAt;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Score a set of facts
+ * @param {Object} facts - Facts from collectFacts or mergeFacts
+ * @returns {Object} Score breakdown
+ */
+function scoreFacts(facts) {
+  const clues = getOrderedClues();
+  const lastClue = clues[clues.length - 1];
+  const completedAt = lastClue && clues.every(clue => facts.markers.has(clue.id))
+    ? facts.markers.get(lastClue.id)
+    : null;
+  const completionTime = completedAt && facts.firstScanAt
+    ? Math.max(0, new Date(completedAt) - new Date(facts.firstScanAt))
+    : null;
+
+  let timeBonus = 0;
+  if (completionTime !== null) {
+    const remaining = Math.max(0, 1 - completionTime / SCORING.timeBonusWindow);
+    timeBonus = Math.round(SCORING.maxTimeBonus * remaining);
+  }
+
+  const earlyHints = Array.from(facts.hints.values()).filter(Boolean).length;
+  const hintPenalty =
+    (facts.hints.size - earlyHints) * SCORING.hintPenalty +
+    earlyHints * SCORING.earlyHintPenalty;
+
+  const score = Math.max(0,
+    facts.markers.size * SCORING.markerFound +
+    facts.messages.size * SCORING.messageViewed +
+    facts.errorsRecovered * SCORING.errorRecovered +
+    (completedAt ? SCORING.completion : 0) +
+    timeBonus -
+    hintPenalty
+  );
+
+  return {
+    score,
+    markersFound: facts.markers.size,
+    messagesViewed: facts.messages.size,
+    errorsRecovered: facts.errorsRecovered,
+    hintsUsed: facts.hints.size,
+    hintPenalty,
+    totalClues: clues.length,
+    firstScanAt: facts.firstScanAt,
+    completedAt,
+    completionTime,
+    timeBonus
+  };
+}
+
+/**
+ * Order entries by score, breaking ties by completion time (finished before unfinished)
+ * @param {Object} a - Entry
+ * @param {Object} b - Entry
+ * @returns {number} Sort order
+ */
+function compareEntries(a, b) {
+  if (b.score !== a.score) {
+    return b.score - a.score;
+  }
+  if (a.completionTime !== b.completionTime) {
+    if (a.completionTime === null) return 1;
+    if (b.completionTime === null) return -1;
+    return a.completionTime - b.completionTime;
+  }
+  return (a.completedAt || a.firstScanAt || '').localeCompare(b.completedAt || b.firstScanAt || '');
+}
+
+/**
+ * Assign ranks, sharing a rank only when score and completion time are both equal
+ * @param {Array<Object>} entries - Sorted entries
+ * @returns {Array<Object>} Ranked entries
+ */
+function rank(entries) {
+  return entries.map((entry, index) => {
+    const previous = entries[index - 1];
+    const tied = previous && previous.score === entry.score && previous.completionTime === entry.completionTime;
+    return { ...entry, rank: tied ? null : index + 1 };
+  }).map((entry, index, ranked) => {
+    // Tied entries take the rank of the first entry in their group
+    let cursor = index;
+    while (ranked[cursor].rank === null) cursor--;
+    return { ...entry, rank: ranked[cursor].rank };
+  });
+}
+
+/**
+ * Compute the leaderboard
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { players, teams, scoring, generatedAt }
+ */
+export async function getLeaderboard({ limit = 20 } = {}) {
+  const sessions = await sessionStore.listSessions();
+  const teams = await teamStore.listTeams();
+  const huntProgress = new Map((await huntStore.listProgress()).map(progress => [progress.sessionId, progress]));
+  const hintProgress = new Map((await hintStore.listProgress()).map(progress => [progress.sessionId, progress]));
+
+  // A guest may have several page-load sessions; group them by player (the ID hunt progress is kept under)
+  const interactionsByPlayer = new Map();
+  for (const session of sessions) {
+    const playerId = session.playerId || session.sessionId;
+    const interactions = await sessionStore.getInteractions(session.sessionId);
+    interactionsByPlayer.set(playerId, [...(interactionsByPlayer.get(playerId) || []), ...interactions]);
+  }
+
+  const factsByPlayer = new Map();
+  new Set([...huntProgress.keys(), ...hintProgress.keys()]).forEach(playerId => {
+    factsByPlayer.set(playerId, collectFacts(
+      huntProgress.get(playerId),
+      hintProgress.get(playerId),
+      interactionsByPlayer.get(playerId) || []
+    ));
+  });
+
+  const teamByPlayer = new Map();
+  teams.forEach(team => team.members.forEach(member => teamByPlayer.set(member.sessionId, { team, member })));
+
+  const players = Array.from(factsByPlayer.entries())
+    .map(([playerId, facts]) => {
+      const membership = teamByPlayer.get(playerId);
+      // Players without a team have no name; the page labels them by the end of their player ID
+      return {
+        name: membership?.member.name || null,
+        playerTag: playerId.slice(-4),
+        team: membership?.team.name || null,
+        ...scoreFacts(facts)
+      };
+    })
+    // Guests who never scanned anything are not competing yet
+    .filter(entry => entry.firstScanAt || entry.markersFound > 0)
+    .sort(compareEntries);
+
+  const teamEntries = teams
+    .map(team => {
+      const memberFacts = team.members
+        .map(member => factsByPlayer.get(member.sessionId))
+        .filter(Boolean);
+      return {
+        name: team.name,
+        members: team.members.length,
+        ...scoreFacts(mergeFacts(memberFacts))
+      };
+    })
+    .sort(compareEntries);
+
+  return {
+    players: rank(players).slice(0, limit),
+    teams: rank(teamEntries).slice(0, limit),
+    scoring: SCORING,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+export default {
+  SCORING,
+  getLeaderboard
+};
@@ -3,6 +3,15 @@
  * Represents QR code data and provides methods for QR code operations
  */
 
+/**
+ * Check if color is valid hex format
+ * @param {string} color - Color to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidColor(color) {
+  return /^#[0-9A-F]{6}$/i.test(color);
+}
+
 /**
  * QR Code Entity Class
  * Manages QR code data, generation parameters, and validation
@@ -112,7 +121,7 @@ export class QRCode {
    * @returns {boolean} True if valid
    */
   isValidColor(color) {
-    return /^#[0-9A-F]{6}$/i.test(color);
+    return isValidColor(color);
   }
 
   /**
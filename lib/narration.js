@@ -0,0 +1,196 @@
+/**
+ * Message Narration
+ * Voices AR message text with a local offline speech engine (espeak-ng) and caches the audio (server-side)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+
+// Narration configuration
+export const NARRATION_CONFIG = {
+  engine: process.env.TTS_ENGINE || 'espeak-ng',
+  // Generated at runtime, so kept out of public/ (only files present at build time are served from there)
+  outputDir: process.env.NARRATION_DIR || path.join(process.cwd(), 'data', 'narration'),
+  publicPath: '/api/ar/narration',
+  // Message language -> engine voice
+  voices: {
+    pt: 'pt-br',
+    en: 'en-us',
+    es: 'es'
+  },
+  speed: 140, // Words per minute, a little slower than normal speech
+  pitch: 35, // 0-99, lower for the vampire theme
+  timeout: 30000,
+  // Bump when the voice settings change so stale narration is regenerated
+  version: 'espeak-v1'
+};
+
+// Generations in progress, so concurrent requests for the same narration share one job
+const pendingGenerations = new Map();
+
+// File names written by getFileName
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_-]+-[0-9a-f]{16}\.wav$/;
+
+/**
+ * Get the engine voice for a message language
+ * @param {string} language - Message language (e.g. 'pt')
+ * @returns {string} Voice name
+ */
+function getVoice(language = 'pt') {
+  return NARRATION_CONFIG.voices[language] || language;
+}
+
+/**
+ * Build the file name for a message's narration
+ * Files are addressed by their text and voice, so editing a message never serves outdated audio
+ * @param {string} key - Message key
+ * @param {Object} message - AR message configuration
+ * @returns {string} File name
+ */
+function getFileName(key, message) {
+  const { speed, pitch, version } = NARRATION_CONFIG;
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ text: message.text, voice: getVoice(message.language), speed, pitch, version }))
+    .digest('hex')
+    .slice(0, 16);
+  return `${key}-${hash}.wav`;
+}
+
+/**
+ * Get the generated narration for a message's current text
+ * @param {string} key - Message key
+ * @param {Object} message - AR message configuration
+ * @returns {Object|null} { file, language, voice }, or null if not generated yet
+ */
+export function getNarration(key, message) {
+  if (!message?.text) {
+    return null;
+  }
+
+  const fileName = getFileName(key, message);
+  if (!fs.existsSync(path.join(NARRATION_CONFIG.outputDir, fileName))) {
+    return null;
+  }
+
+  return {
+    file: `${NARRATION_CONFIG.publicPath}?file=${encodeURIComponent(fileName)}`,
+    language: message.language || 'pt',
+    voice: getVoice(message.language)
+  };
+}
+
+/**
+ * Read a generated narration file
+ * @param {string} fileName - File name from getNarration
+ * @returns {Promise<Buffer|null>} WAV data, or null if the name is invalid or the file does not exist
+ */
+export async function readNarration(fileName) {
+  if (typeof fileName !== 'string' || !FILE_NAME_PATTERN.test(fileName)) {
+    return null;
+  }
+
+  try {
+    return await fsPromises.readFile(path.join(NARRATION_CONFIG.outputDir, fileName));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Run the speech engine
+ * @param {string} textPath - File holding the text to speak
+ * @param {string} voice - Engine voice
+ * @param {string} outputPath - WAV file to write
+ * @returns {Promise<void>}
+ */
+function synthesize(textPath, voice, outputPath) {
+  const { engine, speed, pitch, timeout } = NARRATION_CONFIG;
+  const args = ['-v', voice, '-s', String(speed), '-p', String(pitch), '-w', outputPath, '-f', textPath];
+
+  return new Promise((resolve, reject) => {
+    execFile(engine, args, { timeout }, (error, stdout, stderr) => {
+      if (error?.code === 'ENOENT') {
+        const unavailable = new Error(`Speech engine "${engine}" is not installed`);
+        unavailable.code = 'ENGINE_UNAVAILABLE';
+        reject(unavailable);
+      } else if (error) {
+        reject(new Error(`Speech engine failed: ${stderr.trim() || error.message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Generate the narration for a message, reusing the cached file when the text has not changed
+ * @param {string} key - Message key
+ * @param {Object} message - AR message configuration
+ * @param {Object} options - { force } to regenerate an existing file
+ * @returns {Promise<Object>} { key, file, language, voice, cached }
+ */
+export async function generateNarration(key, message, { force = false } = {}) {
+  if (!message?.text) {
+    throw new Error(`Message "${key}" has no text to narrate`);
+  }
+
+  const existing = getNarration(key, message);
+  if (existing && !force) {
+    return { key, ...existing, cached: true };
+  }
+
+  const fileName = getFileName(key, message);
+  if (!pendingGenerations.has(fileName)) {
+    const outputPath = path.join(NARRATION_CONFIG.outputDir, fileName);
+    const tempBase = `${outputPath}.${process.pid}`;
+
+    const job = fsPromises.mkdir(NARRATION_CONFIG.outputDir, { recursive: true })
+      .then(() => fsPromises.writeFile(`${tempBase}.txt`, message.text, 'utf8'))
+      .then(() => synthesize(`${tempBase}.txt`, getVoice(message.language), `${tempBase}.tmp`))
+      .then(() => fsPromises.rename(`${tempBase}.tmp`, outputPath))
+      .finally(() => {
+        pendingGenerations.delete(fileName);
+        return Promise.all([
+          fsPromises.rm(`${tempBase}.txt`, { force: true }),
+          fsPromises.rm(`${tempBase}.tmp`, { force: true })
+        ]);
+      });
+
+    pendingGenerations.set(fileName, job);
+  }
+
+  await pendingGenerations.get(fileName);
+  return { key, ...getNarration(key, message), cached: false };
+}
+
+/**
+ * Remove narration files that no longer match any message
+ * @param {Array<string>} keep - File names still in use
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function pruneNarration(keep) {
+  let entries = [];
+  try {
+    entries = await fsPromises.readdir(NARRATION_CONFIG.outputDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  const stale = entries.filter(name => name.endsWith('.wav') && !keep.includes(name));
+  await Promise.all(stale.map(name => fsPromises.rm(path.join(NARRATION_CONFIG.outputDir, name), { force: true })));
+  return stale.length;
+}
+
+export default {
+  NARRATION_CONFIG,
+  getNarration,
+  readNarration,
+  generateNarration,
+  pruneNarration
+};
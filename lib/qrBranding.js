@@ -0,0 +1,275 @@
+/**
+ * QR Code Branding
+ * Themed colors, center logos and scannability checks for branded QR codes (server-side)
+ */
+
+import { Jimp, ResizeStrategy } from 'jimp';
+import jsQR from 'jsqr';
+import QRCode from 'qrcode';
+import { isValidColor } from './models/QRCode.js';
+
+// Color themes (dark modules on a light background; inverted codes are rejected)
+export const QR_THEMES = {
+  classic: { dark: '#000000', light: '#FFFFFF' },
+  vampire: { dark: '#5C0000', light: '#FFF5F5' },
+  pumpkin: { dark: '#1A0F00', light: '#FF9A3C' },
+  ghost: { dark: '#2E1A47', light: '#F4F0FF' }
+};
+
+// Pixel-art logos drawn on a plate of the theme's light color
+// '.' is transparent (shows the plate), other characters map to the palette
+export const QR_LOGOS = {
+  bat: {
+    palette: { '#': '#1A1A1A', o: '#B00020' },
+    pixels: [
+      '...............',
+      '...............',
+      '...............',
+      '#.....#.#.....#',
+      '##....###....##',
+      '###..#o#o#..###',
+      '###############',
+      '###############',
+      '.#############.',
+      '..####.#.####..',
+      '...##..#..##...',
+      '....#.....#....',
+      '...............',
+      '...............',
+      '...............'
+    ]
+  },
+  pumpkin: {
+    palette: { o: '#FF7518', '#': '#1A0F00', g: '#2E7D32' },
+    pixels: [
+      '.......gg......',
+      '.......g.......',
+      '...ooooooooo...',
+      '..ooooooooooo..',
+      '.ooo#ooooo#ooo.',
+      '.oo###ooo###oo.',
+      '.ooooooooooooo.',
+      '.oooooo#oooooo.',
+      '.ooooooooooooo.',
+      '.oo#########oo.',
+      '.ooo#o#o#o#ooo.',
+      '..ooo#####ooo..',
+      '...ooooooooo...',
+      '...............',
+      '...............'
+    ]
+  }
+};
+
+// Scannability thresholds
+export const BRANDING_CONFIG = {
+  defaultLogoSize: 0.22,
+  minLogoSize: 0.1,
+  // Largest logo width (fraction of the code width) each error correction level can recover from
+  maxLogoSize: { L: 0, M: 0.18, Q: 0.25, H: 0.3 },
+  minContrastRatio: 4.5,
+  // Decode again at this width to simulate a small print or a distant camera
+  smallDecodeWidth: 200
+};
+
+/**
+ * Calculate WCAG relative luminance of a hex color
+ * @param {string} hex - Hex color
+ * @returns {number} Luminance between 0 and 1
+ */
+function relativeLuminance(hex) {
+  const channels = [1, 3, 5].map(offset => parseInt(hex.substr(offset, 2), 16) / 255);
+  const [r, g, b] = channels.map(value => (
+    value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4)
+  ));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Calculate contrast ratio between the dark and light colors
+ * @param {string} dark - Module color
+ * @param {string} light - Background color
+ * @returns {number} Contrast ratio (1-21)
+ */
+export function getContrastRatio(dark, light) {
+  const darkLuminance = relativeLuminance(dark);
+  const lightLuminance = relativeLuminance(light);
+  const lighter = Math.max(darkLuminance, lightLuminance);
+  const darker = Math.min(darkLuminance, lightLuminance);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Resolve and validate branding options
+ * @param {Object} options - { theme, logo, logoSize, color }
+ * @param {string} errorCorrectionLevel - Error correction level of the code
+ * @returns {Object} { branding } or { errors }
+ */
+export function resolveBranding(options = {}, errorCorrectionLevel = 'H') {
+  const errors = [];
+  const { theme, logo } = options;
+
+  if (theme && !QR_THEMES[theme]) {
+    errors.push(`Theme must be one of: ${Object.keys(QR_THEMES).join(', ')}`);
+  }
+
+  if (logo && !QR_LOGOS[logo]) {
+    errors.push(`Logo must be one of: ${Object.keys(QR_LOGOS).join(', ')}`);
+  }
+
+  const color = { ...QR_THEMES.classic, ...QR_THEMES[theme], ...options.color };
+  if (!isValidColor(color.dark) || !isValidColor(color.light)) {
+    errors.push('Colors must be hex values such as #1A0F00');
+  }
+
+  const logoSize = options.logoSize ? parseFloat(options.logoSize) : BRANDING_CONFIG.defaultLogoSize;
+  const maxLogoSize = BRANDING_CONFIG.maxLogoSize[errorCorrectionLevel] || 0;
+  if (logo && (isNaN(logoSize) || logoSize < BRANDING_CONFIG.minLogoSize || logoSize > maxLogoSize)) {
+    errors.push(maxLogoSize
+      ? `Logo size must be between ${BRANDING_CONFIG.minLogoSize} and ${maxLogoSize} at error correction ${errorCorrectionLevel}`
+      : `Logos require error correction M or higher (got ${errorCorrectionLevel})`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    branding: {
+      theme: theme || null,
+      logo: logo || null,
+      logoSize: logo ? logoSize : 0,
+      color
+    }
+  };
+}
+
+/**
+ * Render a pixel-art logo on a plate
+ * @param {Object} logo - Logo definition
+ * @param {string} plateColor - Plate background color
+ * @param {number} size - Plate size in pixels
+ * @returns {Jimp} Logo image
+ */
+function renderLogo(logo, plateColor, size) {
+  const gridSize = logo.pixels.length;
+  // One blank pixel around the art keeps modules next to the logo readable
+  const plate = new Jimp({ width: gridSize + 2, height: gridSize + 2, color: hexToInt(plateColor) });
+
+  logo.pixels.forEach((row, y) => {
+    row.split('').forEach((cell, x) => {
+      if (logo.palette[cell]) {
+        plate.setPixelColor(hexToInt(logo.palette[cell]), x + 1, y + 1);
+      }
+    });
+  });
+
+  plate.resize({ w: size, h: size, mode: ResizeStrategy.NEAREST_NEIGHBOR });
+  return plate;
+}
+
+/**
+ * Convert hex color to Jimp RGBA integer
+ * @param {string} hex - Hex color
+ * @returns {number} RGBA integer
+ */
+function hexToInt(hex) {
+  return parseInt(`${hex.slice(1)}ff`, 16) >>> 0;
+}
+
+/**
+ * Render a branded QR code as PNG
+ * @param {string} payload - Data to encode
+ * @param {Object} config - QR generation config (QR_CONFIG merged with overrides)
+ * @param {Object} branding - Resolved branding
+ * @returns {Promise<Buffer>} PNG data
+ */
+export async function renderBrandedQR(payload, config, branding) {
+  const base = await QRCode.toBuffer(payload, {
+    ...config,
+    type: 'image/png',
+    color: branding.color
+  });
+
+  if (!branding.logo) {
+    return base;
+  }
+
+  const image = await Jimp.read(base);
+  const logoPixels = Math.round(image.bitmap.width * branding.logoSize);
+  const logo = renderLogo(QR_LOGOS[branding.logo], branding.color.light, logoPixels);
+  const offset = Math.round((image.bitmap.width - logoPixels) / 2);
+
+  image.composite(logo, offset, offset);
+  return image.getBuffer('image/png');
+}
+
+/**
+ * Decode a PNG with a QR decoder
+ * @param {Jimp} image - Image to decode
+ * @returns {string|null} Decoded data or null
+ */
+function decodeImage(image) {
+  const { data, width, height } = image.bitmap;
+  const result = jsQR(new Uint8ClampedArray(data), width, height, { inversionAttempts: 'dontInvert' });
+  return result ? result.data : null;
+}
+
+/**
+ * Check that a branded QR code will scan and track
+ * Validates color contrast, then decodes the image back at full and reduced size
+ * @param {Buffer} png - Rendered QR code
+ * @param {string} payload - Expected data
+ * @param {Object} branding - Resolved branding
+ * @returns {Promise<Object>} { scannable, contrastRatio, checks, errors }
+ */
+export async function checkScannability(png, payload, branding) {
+  const errors = [];
+  const contrastRatio = getContrastRatio(branding.color.dark, branding.color.light);
+  const checks = {
+    polarity: relativeLuminance(branding.color.dark) < relativeLuminance(branding.color.light),
+    contrast: contrastRatio >= BRANDING_CONFIG.minContrastRatio,
+    decode: false,
+    decodeSmall: false
+  };
+
+  if (!checks.polarity) {
+    errors.push('Modules must be darker than the background');
+  }
+  if (!checks.contrast) {
+    errors.push(`Contrast ratio ${contrastRatio.toFixed(2)} is below ${BRANDING_CONFIG.minContrastRatio}`);
+  }
+
+  const image = await Jimp.read(png);
+  checks.decode = decodeImage(image) === payload;
+  if (!checks.decode) {
+    errors.push('Code could not be decoded back to its payload');
+  }
+
+  if (image.bitmap.width > BRANDING_CONFIG.smallDecodeWidth) {
+    const small = image.clone().resize({ w: BRANDING_CONFIG.smallDecodeWidth, h: BRANDING_CONFIG.smallDecodeWidth });
+    checks.decodeSmall = decodeImage(small) === payload;
+  } else {
+    checks.decodeSmall = checks.decode;
+  }
+  if (!checks.decodeSmall) {
+    errors.push(`Code does not decode when printed small (${BRANDING_CONFIG.smallDecodeWidth}px)`);
+  }
+
+  return {
+    scannable: errors.length === 0,
+    contrastRatio: Math.round(contrastRatio * 100) / 100,
+    checks,
+    errors
+  };
+}
+
+export default {
+  QR_THEMES,
+  QR_LOGOS,
+  BRANDING_CONFIG,
+  getContrastRatio,
+  resolveBranding,
+  renderBrandedQR,
+  checkScannability
+};
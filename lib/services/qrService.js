@@ -3,6 +3,10 @@
  * High-level service for QR code operations and management
  */
 
+import QRCodeGenerator from 'qrcode';
+import ECCode from 'qrcode/lib/core/error-correction-code';
+import QRUtils from 'qrcode/lib/core/utils';
+import QRMode from 'qrcode/lib/core/mode';
 import QRCode from '../models/QRCode.js';
 import { handleQRError } from '../errorHandler.js';
 
@@ -16,6 +20,7 @@ export class QRService {
     this.cacheMaxSize = 100;
     this.cacheTimeout = 60 * 60 * 1000; // 1 hour
     this.apiBaseUrl = '/api/qr-code';
+    this.verifyDecoding = true; // Decode generated images back before trusting them
   }
 
   /**
@@ -172,6 +177,16 @@ export class QRService {
       // Get generation info from headers
       const generationTime = parseInt(response.headers.get('X-QR-Generation-Time') || '0', 10);
       const dataLength = parseInt(response.headers.get('X-QR-Data-Length') || '0', 10);
+
+      // Round-trip check: the image must decode back to the content we asked for
+      // Only a decoded mismatch fails; a code that could not be verified is kept with a warning
+      const verification = await this.verifyQRCode(qrCode, await response.blob());
+      if (verification.verified === false) {
+        throw new Error(`QR code verification failed: ${verification.reason}`);
+      }
+      if (verification.verified === null && !verification.skipped) {
+        console.warn('QR code could not be verified:', verification.reason);
+      }
       
       const result = {
         qrCode,
@@ -183,6 +198,7 @@ export class QRService {
         generationTime: generationTime || (Date.now() - startTime),
         dataLength,
         complexity: qrCode.estimateComplexity(),
+        verification,
         createdAt: new Date().toISOString()
       };
 
@@ -199,6 +215,86 @@ export class QRService {
     }
   }
 
+  /**
+   * Decode a generated QR code image and compare it with the expected content
+   * @param {QRCode} qrCode - QR code entity
+   * @param {Blob} image - Generated image
+   * @returns {Promise<Object>} Verification result with symbol details,
+   *   verified is false only when the image decodes to other content and null when it could not be checked
+   */
+  async verifyQRCode(qrCode, image) {
+    const content = qrCode.getContent();
+    const symbol = this.analyzeSymbol(qrCode);
+
+    if (!this.verifyDecoding || typeof window === 'undefined') {
+      return {
+        verified: null,
+        skipped: true,
+        reason: 'Decoding is only available in the browser',
+        ...symbol
+      };
+    }
+
+    try {
+      const QrScanner = (await import('qr-scanner')).default;
+      const { data } = await QrScanner.scanImage(image, { returnDetailedScanResult: true });
+
+      return {
+        verified: data === content,
+        skipped: false,
+        reason: data === content ? null : 'Decoded content does not match',
+        decodedContent: data,
+        ...symbol
+      };
+    } catch (error) {
+      // qr-scanner rejects with a string when no code is found, or with an error when it cannot load or read the image
+      return {
+        verified: null,
+        skipped: false,
+        reason: typeof error === 'string' ? error : error.message,
+        decodedContent: null,
+        ...symbol
+      };
+    }
+  }
+
+  /**
+   * Get the actual symbol layout for a QR code
+   * Unlike estimateComplexity(), this encodes the content to find the real version and codeword budget
+   * @param {QRCode} qrCode - QR code entity
+   * @returns {Object} Version, module count and error correction margin
+   */
+  analyzeSymbol(qrCode) {
+    const symbol = QRCodeGenerator.create(qrCode.getContent(), {
+      errorCorrectionLevel: qrCode.errorCorrectionLevel
+    });
+    const { version, errorCorrectionLevel } = symbol;
+
+    const totalCodewords = QRUtils.getSymbolTotalCodewords(version);
+    const ecCodewords = ECCode.getTotalCodewordsCount(version, errorCorrectionLevel);
+    const dataCodewords = totalCodewords - ecCodewords;
+    const usedDataBits = symbol.segments.reduce((bits, segment) => (
+      bits + 4 + QRMode.getCharCountIndicator(segment.mode, version) + segment.getBitsLength()
+    ), 0);
+
+    // Reed-Solomon can repair up to half of the error correction codewords
+    const recoverableCodewords = Math.floor(ecCodewords / 2);
+
+    return {
+      version,
+      moduleCount: symbol.modules.size,
+      errorCorrection: {
+        level: qrCode.errorCorrectionLevel,
+        totalCodewords,
+        dataCodewords,
+        ecCodewords,
+        recoverableCodewords,
+        recoveryPercent: Math.round((recoverableCodewords / totalCodewords) * 100),
+        spareDataPercent: Math.max(0, Math.round((1 - usedDataBits / (dataCodewords * 8)) * 100))
+      }
+    };
+  }
+
   /**
    * Get QR code information without generating
    * @param {string} content - Content to analyze
@@ -502,5 +598,5 @@ export async function quickGenerate(content, options = {}) {
   }
 }
 
-// Export singleton and QRService class
-export { qrService as default, QRService };
\ No newline at end of file
+// Export singleton (QRService class is exported at its declaration)
+export { qrService as default };
\ No newline at end of file
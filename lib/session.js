@@ -8,6 +8,35 @@ import { useState, useEffect, useCallback, useContext, createContext } from 'rea
 // Session Context
 const SessionContext = createContext(null);
 
+// The player ID outlives the tab so teams and hunt progress follow the guest across reloads
+const PLAYER_STORAGE_KEY = 'halloween_ar_player';
+
+const TEAM_API = '/api/team';
+
+/**
+ * Get the stable player ID for this browser, creating it on first use
+ * @returns {string} Player ID
+ */
+export function getPlayerId() {
+  const newId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  if (typeof window === 'undefined') {
+    return newId;
+  }
+
+  try {
+    const stored = localStorage.getItem(PLAYER_STORAGE_KEY);
+    if (stored) {
+      return stored;
+    }
+    localStorage.setItem(PLAYER_STORAGE_KEY, newId);
+  } catch (error) {
+    console.error('Failed to store player ID:', error);
+  }
+
+  return newId;
+}
+
 /**
  * Session Provider Component
  */
@@ -26,7 +55,7 @@ export function SessionProvider({ children }) {
 
   // Initialize new session
   const initializeSession = useCallback(() => {
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const sessionId = getPlayerId();
     const newSession = {
       id: sessionId,
       active: true,
@@ -92,10 +121,11 @@ export function SessionProvider({ children }) {
       }
     }));
 
-    // Clear session storage
+    // Clear session storage (a new player ID is created next time)
     if (typeof window !== 'undefined') {
       try {
         sessionStorage.removeItem('halloween_ar_session');
+        localStorage.removeItem(PLAYER_STORAGE_KEY);
       } catch (error) {
         console.error('Failed to clear session:', error);
       }
@@ -129,13 +159,13 @@ export function useSession() {
   const context = useContext(SessionContext);
   
   if (!context) {
-    // If no provider, create a simple local session
-    const [localSession, setLocalSession] = useState({
-      id: `local_${Date.now()}`,
+    // If no provider, create a simple local session for this browser's player
+    const [localSession, setLocalSession] = useState(() => ({
+      id: getPlayerId(),
       active: true,
       data: {},
       timestamp: Date.now()
-    });
+    }));
 
     const updateSession = useCallback((data) => {
       setLocalSession(prev => ({
@@ -164,8 +194,87 @@ export function useSession() {
   return context;
 }
 
+/**
+ * Use Team Hook
+ * Team membership of the current player, backed by the team API
+ */
+export function useTeam() {
+  const { session } = useSession();
+  const [team, setTeam] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const refreshTeam = useCallback(async () => {
+    if (!session?.id) return null;
+
+    try {
+      const response = await fetch(`${TEAM_API}?sessionId=${encodeURIComponent(session.id)}`);
+      const data = await response.json();
+      setTeam(data.team || null);
+      return data.team || null;
+    } catch (error) {
+      console.error('Failed to load team:', error);
+      return null;
+    }
+  }, [session?.id]);
+
+  // Load the player's team on mount
+  useEffect(() => {
+    refreshTeam();
+  }, [refreshTeam]);
+
+  // Run a team action and keep the returned team
+  const teamAction = useCallback(async (action, data = {}) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(TEAM_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, data: { ...data, sessionId: session.id } })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      setTeam(result.team);
+      return result.team;
+    } catch (error) {
+      setError(error.message);
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [session?.id]);
+
+  const createTeam = useCallback((name, playerName) => (
+    teamAction('create_team', { name, playerName })
+  ), [teamAction]);
+
+  const joinTeam = useCallback((joinCode, playerName) => (
+    teamAction('join_team', { joinCode, playerName })
+  ), [teamAction]);
+
+  const leaveTeam = useCallback(() => teamAction('leave_team'), [teamAction]);
+
+  return {
+    team,
+    error,
+    isLoading,
+    createTeam,
+    joinTeam,
+    leaveTeam,
+    refreshTeam
+  };
+}
+
 // Export for compatibility with existing imports
 export default {
   SessionProvider,
-  useSession
+  useSession,
+  useTeam,
+  getPlayerId
 };
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Session Event Hub
+ * In-process publish/subscribe channel for live session activity and server-sent event helpers (server-side)
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Session event types
+ */
+export const SessionEventTypes = {
+  SESSION_CREATED: 'session_created',
+  INTERACTION: 'interaction',
+  STATE_CHANGE: 'state_change',
+  HEARTBEAT: 'heartbeat'
+};
+
+const CHANNEL = 'session_event';
+
+// Next.js bundles each API route separately, so the emitter lives on globalThis to be shared between them
+const HUB_KEY = Symbol.for('halloween_ar.sessionEvents');
+
+/**
+ * Get the shared event emitter
+ * @returns {EventEmitter} Event emitter
+ */
+function getHub() {
+  if (!globalThis[HUB_KEY]) {
+    const hub = new EventEmitter();
+    // Every open dashboard or stream holds one listener
+    hub.setMaxListeners(0);
+    globalThis[HUB_KEY] = hub;
+  }
+  return globalThis[HUB_KEY];
+}
+
+/**
+ * Publish a session event to all subscribers
+ * @param {string} type - Event type (see SessionEventTypes)
+ * @param {string} sessionId - Session ID
+ * @param {Object} payload - Event data
+ * @returns {Object} Published event
+ */
+export function publishSessionEvent(type, sessionId, payload = {}) {
+  const event = {
+    type,
+    sessionId,
+    timestamp: new Date().toISOString(),
+    ...payload
+  };
+
+  getHub().emit(CHANNEL, event);
+  return event;
+}
+
+/**
+ * Subscribe to session events
+ * @param {Function} listener - Called with each published event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeSessionEvents(listener) {
+  const hub = getHub();
+  const safeListener = (event) => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in session event listener:', error);
+    }
+  };
+
+  hub.on(CHANNEL, safeListener);
+  return () => hub.off(CHANNEL, safeListener);
+}
+
+/**
+ * Start a server-sent events response
+ * @param {NextApiResponse} res - API response
+ * @param {number} retry - Reconnect delay suggested to EventSource (ms)
+ */
+export function startEventStream(res, retry = 3000) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${retry}\n\n`);
+}
+
+/**
+ * Write one server-sent event
+ * @param {NextApiResponse} res - API response
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+export function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Count active subscribers
+ * @returns {number} Listener count
+ */
+export function getSubscriberCount() {
+  return getHub().listenerCount(CHANNEL);
+}
+
+export default {
+  SessionEventTypes,
+  publishSessionEvent,
+  subscribeSessionEvents,
+  startEventStream,
+  sendEvent,
+  getSubscriberCount
+};
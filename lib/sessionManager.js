@@ -3,6 +3,8 @@
  * Tracks user sessions, QR code interactions, and AR experience state
  */
 
+import { getPlayerId } from './session.js';
+
 /**
  * Session states
  */
@@ -21,12 +23,20 @@ const InteractionTypes = {
   PAGE_VISIT: 'page_visit',
   QR_SCAN: 'qr_scan',
   AR_START: 'ar_start',
+  MARKER_FOUND: 'marker_found',
   AR_MESSAGE_VIEW: 'ar_message_view',
+  HINT_USED: 'hint_used',
   AR_END: 'ar_end',
   CAMERA_PERMISSION: 'camera_permission',
   ERROR_OCCURRED: 'error_occurred'
 };
 
+// Session API that feeds the organizer dashboard
+const SESSION_API = '/api/session';
+
+// Event names sent by the session stream (/api/session/stream)
+const SERVER_EVENT_TYPES = ['interaction', 'state_change', 'heartbeat'];
+
 /**
  * Session manager class
  */
@@ -39,6 +49,11 @@ export class SessionManager {
     this.startTime = null;
     this.lastActivityTime = null;
     this.listeners = [];
+
+    // Server reporting (best-effort, requests are chained to keep interactions in order)
+    this.serverSessionId = null;
+    this.reportQueue = Promise.resolve();
+    this.reportingEnabled = typeof window !== 'undefined' && typeof fetch !== 'undefined';
     
     // Session timeout (30 minutes of inactivity)
     this.sessionTimeout = 30 * 60 * 1000;
@@ -133,6 +148,7 @@ export class SessionManager {
     this.sessionData.interactionCount = this.interactions.length;
     
     this.sessionState = SessionStates.COMPLETED;
+    this.reportState();
     
     // Clear timeout
     if (this.timeoutId) {
@@ -177,6 +193,9 @@ export class SessionManager {
     // Notify listeners
     this.notifyListeners('interaction', interaction);
 
+    // Forward to the session API
+    this.reportInteraction(interaction);
+
     // Handle specific interaction types
     this.handleSpecialInteractions(type, data);
   }
@@ -191,6 +210,7 @@ export class SessionManager {
       case InteractionTypes.AR_START:
         this.sessionState = SessionStates.AR_ACTIVE;
         this.sessionData.arStartTime = new Date().toISOString();
+        this.reportState();
         break;
         
       case InteractionTypes.AR_END:
@@ -203,6 +223,7 @@ export class SessionManager {
             const arDuration = new Date() - new Date(this.sessionData.arStartTime);
             this.sessionData.arDuration = arDuration;
           }
+          this.reportState();
         }
         break;
         
@@ -216,6 +237,130 @@ export class SessionManager {
     }
   }
 
+  /**
+   * Create the matching session on the server, once
+   * @returns {Promise<string>} Server session ID
+   */
+  async ensureServerSession() {
+    if (this.serverSessionId) {
+      return this.serverSessionId;
+    }
+
+    const response = await fetch(SESSION_API, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sessionData: {
+          clientSessionId: this.sessionId,
+          // Links page-load sessions of the same guest for team and leaderboard scoring
+          playerId: getPlayerId(),
+          url: this.sessionData.url,
+          screenSize: this.sessionData.screenSize
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Session API responded with ${response.status}`);
+    }
+
+    const { sessionId } = await response.json();
+    this.serverSessionId = sessionId;
+    return sessionId;
+  }
+
+  /**
+   * Send an update for the server session
+   * @param {string} action - Session API action
+   * @param {Object} data - Action data
+   */
+  sendToServer(action, data) {
+    if (!this.reportingEnabled) {
+      return;
+    }
+
+    this.reportQueue = this.reportQueue
+      .then(() => this.ensureServerSession())
+      .then(async (serverSessionId) => {
+        const response = await fetch(`${SESSION_API}?sessionId=${encodeURIComponent(serverSessionId)}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action, data }),
+          keepalive: true // Let the final update survive page unload
+        });
+
+        // Server sessions are cleaned up after inactivity, start a new one next time
+        if (response.status === 404) {
+          this.serverSessionId = null;
+        }
+      })
+      .catch(error => console.warn('Failed to report session activity:', error));
+  }
+
+  /**
+   * Report an interaction to the session API
+   * @param {Object} interaction - Tracked interaction
+   */
+  reportInteraction(interaction) {
+    // Only standard interaction types are accepted by the API
+    if (!Object.values(InteractionTypes).includes(interaction.type)) {
+      return;
+    }
+
+    this.sendToServer('add_interaction', {
+      type: interaction.type,
+      data: interaction.data
+    });
+  }
+
+  /**
+   * Report the current session state to the session API
+   */
+  reportState() {
+    this.sendToServer('update_state', { state: this.sessionState });
+  }
+
+  /**
+   * Follow this session's server-side events, e.g. from another tab or device
+   * Events are passed to the listener and re-broadcast to local listeners as 'server_<type>'
+   * @param {Function} listener - Called with (eventType, event)
+   * @param {Array<string>} types - Interaction types to receive (all when empty)
+   * @returns {Function} Function closing the stream
+   */
+  subscribeToServerEvents(listener, types = []) {
+    if (!this.reportingEnabled || typeof EventSource === 'undefined') {
+      return () => {};
+    }
+
+    let source = null;
+    let closed = false;
+
+    this.ensureServerSession()
+      .then((serverSessionId) => {
+        if (closed) return;
+
+        const params = new URLSearchParams({ sessionId: serverSessionId });
+        if (types.length > 0) {
+          params.set('type', types.join(','));
+        }
+
+        source = new EventSource(`${SESSION_API}/stream?${params}`);
+        SERVER_EVENT_TYPES.forEach(eventType => {
+          source.addEventListener(eventType, (e) => {
+            const event = JSON.parse(e.data);
+            listener(eventType, event);
+            this.notifyListeners(`server_${eventType}`, event);
+          });
+        });
+      })
+      .catch(error => console.warn('Failed to open session stream:', error));
+
+    return () => {
+      closed = true;
+      source?.close();
+    };
+  }
+
   /**
    * Generate unique interaction ID
    * @returns {string} Interaction ID
@@ -462,6 +607,14 @@ export function trackARStart(arData) {
   sessionManager.trackInteraction(InteractionTypes.AR_START, arData);
 }
 
+/**
+ * Track AR marker detection
+ * @param {Object} markerData - Detected marker data
+ */
+export function trackMarkerFound(markerData) {
+  sessionManager.trackInteraction(InteractionTypes.MARKER_FOUND, markerData);
+}
+
 /**
  * Track AR message view
  * @param {Object} messageData - Message display data
@@ -470,6 +623,14 @@ export function trackARMessageView(messageData) {
   sessionManager.trackInteraction(InteractionTypes.AR_MESSAGE_VIEW, messageData);
 }
 
+/**
+ * Track a hint revealed for a clue
+ * @param {Object} hintData - Hint data ({ clueId, index, trigger, early })
+ */
+export function trackHintUsed(hintData) {
+  sessionManager.trackInteraction(InteractionTypes.HINT_USED, hintData);
+}
+
 /**
  * Track AR session end
  * @param {Object} arData - AR session end data
@@ -494,6 +655,14 @@ export function trackError(errorData) {
   sessionManager.trackInteraction(InteractionTypes.ERROR_OCCURRED, errorData);
 }
 
+/**
+ * Get the server session ID, creating the server session on first use
+ * @returns {Promise<string>} Server session ID
+ */
+export function getServerSessionId() {
+  return sessionManager.ensureServerSession();
+}
+
 /**
  * Get current session information
  * @returns {Object} Current session data
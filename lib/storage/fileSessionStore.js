@@ -0,0 +1,87 @@
+/**
+ * File-backed Session Store
+ * Persists sessions and interactions to a JSON file so party data survives restarts
+ */
+
+import { MemorySessionStore } from './sessionStore.js';
+import { JsonFile } from './jsonFile.js';
+
+/**
+ * JSON file session store
+ * Keeps an in-memory copy for reads and rewrites the file after every change.
+ * The file is re-read when another instance has modified it.
+ */
+export class FileSessionStore extends MemorySessionStore {
+  constructor(filePath) {
+    super();
+    this.file = new JsonFile(filePath, { sessions: {}, interactions: {} });
+  }
+
+  /**
+   * Load data from disk on first use or when the file changed
+   */
+  async sync() {
+    await this.file.sync(data => {
+      this.sessions = new Map(Object.entries(data.sessions || {}));
+      this.interactions = new Map(Object.entries(data.interactions || {}));
+    });
+  }
+
+  /**
+   * Write current data to disk
+   */
+  async persist() {
+    await this.file.write({
+      sessions: Object.fromEntries(this.sessions),
+      interactions: Object.fromEntries(this.interactions),
+      savedAt: new Date().toISOString()
+    });
+  }
+
+  async getSession(sessionId) {
+    await this.sync();
+    return super.getSession(sessionId);
+  }
+
+  async saveSession(session) {
+    await this.sync();
+    await super.saveSession(session);
+    await this.persist();
+    return session;
+  }
+
+  async deleteSession(sessionId) {
+    await this.sync();
+    const deleted = await super.deleteSession(sessionId);
+    await this.persist();
+    return deleted;
+  }
+
+  async listSessions() {
+    await this.sync();
+    return super.listSessions();
+  }
+
+  async getInteractions(sessionId) {
+    await this.sync();
+    return super.getInteractions(sessionId);
+  }
+
+  async saveInteractions(sessionId, interactions) {
+    await this.sync();
+    await super.saveInteractions(sessionId, interactions);
+    await this.persist();
+  }
+
+  async countSessions() {
+    await this.sync();
+    return super.countSessions();
+  }
+
+  async countInteractions() {
+    await this.sync();
+    return super.countInteractions();
+  }
+}
+
+export default FileSessionStore;
@@ -0,0 +1,180 @@
+/**
+ * Storage Adapter Factory
+ * Selects the storage backend from environment configuration
+ */
+
+import { MemorySessionStore } from './sessionStore.js';
+import { FileSessionStore } from './fileSessionStore.js';
+import { MemoryRecordStore, FileRecordStore } from './recordStore.js';
+import { MessageStore } from './messageStore.js';
+import { TeamStore } from './teamStore.js';
+import { TelemetryStore } from './telemetryStore.js';
+import { ProgressStore } from './progressStore.js';
+
+// Storage configuration
+export const STORAGE_CONFIG = {
+  sessionStore: process.env.SESSION_STORE || 'file', // 'file' | 'memory'
+  sessionStorePath: process.env.SESSION_STORE_PATH || 'data/sessions.json',
+  messageStore: process.env.MESSAGE_STORE || 'file', // 'file' | 'memory'
+  messageStorePath: process.env.MESSAGE_STORE_PATH || 'data/messages.json',
+  teamStore: process.env.TEAM_STORE || 'file', // 'file' | 'memory'
+  teamStorePath: process.env.TEAM_STORE_PATH || 'data/teams.json',
+  telemetryStore: process.env.TELEMETRY_STORE || 'file', // 'file' | 'memory'
+  telemetryStorePath: process.env.TELEMETRY_STORE_PATH || 'data/telemetry.json',
+  huntStore: process.env.HUNT_STORE || 'file', // 'file' | 'memory'
+  huntStorePath: process.env.HUNT_STORE_PATH || 'data/hunt.json',
+  hintStore: process.env.HINT_STORE || 'file', // 'file' | 'memory'
+  hintStorePath: process.env.HINT_STORE_PATH || 'data/hints.json'
+};
+
+// Registered session store backends
+const SESSION_STORE_FACTORIES = {
+  memory: () => new MemorySessionStore(),
+  file: (config) => new FileSessionStore(config.sessionStorePath)
+};
+
+// Registered record store backends, shared by all record stores
+const RECORD_STORE_FACTORIES = {
+  memory: (options) => new MemoryRecordStore(options),
+  file: (options) => new FileRecordStore(options.filePath, options)
+};
+
+// Record stores by name: the record key field, the collection in the JSON file and the domain store wrapping it.
+// Each is configured by `<name>Store` and `<name>StorePath` in STORAGE_CONFIG.
+const RECORD_STORES = {
+  message: { keyField: 'key', collection: 'messages', wrap: records => new MessageStore(records) },
+  team: { keyField: 'teamId', collection: 'teams', wrap: records => new TeamStore(records) },
+  telemetry: { keyField: 'key', collection: 'groups', wrap: records => new TelemetryStore(records) },
+  hunt: { keyField: 'sessionId', collection: 'progress', wrap: records => new ProgressStore(records) },
+  hint: { keyField: 'sessionId', collection: 'progress', wrap: records => new ProgressStore(records) }
+};
+
+let sessionStore = null;
+const recordStores = new Map();
+
+/**
+ * Register an additional session store backend
+ * @param {string} name - Backend name used in SESSION_STORE
+ * @param {Function} factory - Factory receiving STORAGE_CONFIG and returning a SessionStore
+ */
+export function registerSessionStore(name, factory) {
+  SESSION_STORE_FACTORIES[name] = factory;
+}
+
+/**
+ * Create a session store
+ * @param {Object} config - Storage configuration
+ * @returns {SessionStore} Session store instance
+ */
+export function createSessionStore(config = STORAGE_CONFIG) {
+  const factory = SESSION_STORE_FACTORIES[config.sessionStore];
+
+  if (!factory) {
+    throw new Error(`Unknown session store: ${config.sessionStore} (available: ${Object.keys(SESSION_STORE_FACTORIES).join(', ')})`);
+  }
+
+  return factory(config);
+}
+
+/**
+ * Get shared session store instance
+ * @returns {SessionStore} Session store instance
+ */
+export function getSessionStore() {
+  if (!sessionStore) {
+    sessionStore = createSessionStore();
+  }
+  return sessionStore;
+}
+
+/**
+ * Register an additional record store backend
+ * @param {string} name - Backend name used in MESSAGE_STORE, TEAM_STORE, TELEMETRY_STORE, HUNT_STORE and HINT_STORE
+ * @param {Function} factory - Factory receiving { name, filePath, keyField, collection } and returning a record store
+ */
+export function registerRecordStore(name, factory) {
+  RECORD_STORE_FACTORIES[name] = factory;
+}
+
+/**
+ * Create a record store
+ * @param {string} name - Store name, e.g. 'team'
+ * @param {Object} options - { backend, filePath, keyField, collection }
+ * @returns {MemoryRecordStore} Record store instance
+ */
+export function createRecordStore(name, { backend, ...options }) {
+  const factory = RECORD_STORE_FACTORIES[backend];
+
+  if (!factory) {
+    throw new Error(`Unknown ${name} store: ${backend} (available: ${Object.keys(RECORD_STORE_FACTORIES).join(', ')})`);
+  }
+
+  return factory({ name, ...options });
+}
+
+/**
+ * Get a shared domain store backed by a record store
+ * @param {string} name - Store name in RECORD_STORES
+ * @param {Object} config - Storage configuration
+ * @returns {Object} Domain store instance
+ */
+function getRecordStore(name, config = STORAGE_CONFIG) {
+  if (!recordStores.has(name)) {
+    const { wrap, ...options } = RECORD_STORES[name];
+    const records = createRecordStore(name, {
+      ...options,
+      backend: config[`${name}Store`],
+      filePath: config[`${name}StorePath`]
+    });
+    recordStores.set(name, wrap(records));
+  }
+  return recordStores.get(name);
+}
+
+/**
+ * Get shared AR message store instance
+ * @returns {MessageStore} Message store instance
+ */
+export function getMessageStore() {
+  return getRecordStore('message');
+}
+
+/**
+ * Get shared team store instance
+ * @returns {TeamStore} Team store instance
+ */
+export function getTeamStore() {
+  return getRecordStore('team');
+}
+
+/**
+ * Get shared telemetry store instance
+ * @returns {TelemetryStore} Telemetry store instance
+ */
+export function getTelemetryStore() {
+  return getRecordStore('telemetry');
+}
+
+/**
+ * Get shared hunt progress store instance
+ * @returns {ProgressStore} Hunt progress store instance
+ */
+export function getHuntStore() {
+  return getRecordStore('hunt');
+}
+
+/**
+ * Get shared hint progress store instance
+ * @returns {ProgressStore} Hint progress store instance
+ */
+export function getHintStore() {
+  return getRecordStore('hint');
+}
+
+export { SessionStore, MemorySessionStore } from './sessionStore.js';
+export { FileSessionStore } from './fileSessionStore.js';
+export { MemoryRecordStore, FileRecordStore } from './recordStore.js';
+export { MessageStore } from './messageStore.js';
+export { TeamStore } from './teamStore.js';
+export { TelemetryStore } from './telemetryStore.js';
+export { ProgressStore } from './progressStore.js';
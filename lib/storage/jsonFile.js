@@ -0,0 +1,135 @@
+/**
+ * JSON File Helper
+ * Atomic read/write of JSON documents for file-backed storage adapters
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * JSON file wrapper with change detection and serialized atomic writes
+ * Writes are serialized within a process only: server instances sharing a file do not lock it,
+ * so the last instance to write wins when two update it at the same time.
+ */
+export class JsonFile {
+  constructor(filePath, defaultData = {}) {
+    this.filePath = path.resolve(filePath);
+    this.defaultData = defaultData;
+    this.lastModified = 0;
+    this.writeQueue = Promise.resolve();
+    this.pendingWrites = 0;
+    this.writeCount = 0;
+    this.loaded = false;
+    this.syncing = null;
+  }
+
+  /**
+   * Load the document on first use or when another instance changed the file
+   * Concurrent callers share one read, and `apply` runs at most once per read. A read that overlaps
+   * a write from this process is dropped, since the caller's in-memory data is newer than the file.
+   * @param {Function} apply - Receives the parsed document and replaces the caller's in-memory data
+   * @returns {Promise<void>}
+   */
+  sync(apply) {
+    if (!this.syncing) {
+      this.syncing = this.readChanges(apply).finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Read and apply the document if needed, see sync
+   * @param {Function} apply - Receives the parsed document
+   */
+  async readChanges(apply) {
+    if (this.loaded && !(await this.hasChanged())) {
+      return;
+    }
+
+    const writes = this.writeCount;
+    const data = await this.read();
+    if (this.writeCount !== writes) {
+      return;
+    }
+
+    apply(data);
+    this.loaded = true;
+  }
+
+  /**
+   * Read the document from disk
+   * @returns {Promise<Object>} Parsed document, or a copy of the default data if the file does not exist
+   */
+  async read() {
+    try {
+      const [contents, stats] = await Promise.all([
+        fs.readFile(this.filePath, 'utf8'),
+        fs.stat(this.filePath)
+      ]);
+
+      this.lastModified = stats.mtimeMs;
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return JSON.parse(JSON.stringify(this.defaultData));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the file was changed on disk since the last read or write
+   * Used to pick up writes from other server instances sharing the same file. While this process
+   * still has writes queued the in-memory data is newer than the file, so it never counts as changed.
+   * @returns {Promise<boolean>} True if changed
+   */
+  async hasChanged() {
+    if (this.pendingWrites > 0) {
+      return false;
+    }
+
+    try {
+      const stats = await fs.stat(this.filePath);
+      return stats.mtimeMs !== this.lastModified;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the document to disk atomically (temp file + rename)
+   * Writes are queued so concurrent callers never interleave
+   * @param {Object} data - Document to write
+   * @returns {Promise<void>}
+   */
+  write(data) {
+    const contents = JSON.stringify(data, null, 2);
+
+    this.pendingWrites++;
+    this.writeCount++;
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(tempPath, contents, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+
+        const stats = await fs.stat(this.filePath);
+        this.lastModified = stats.mtimeMs;
+      })
+      .finally(() => {
+        this.pendingWrites--;
+      });
+
+    return this.writeQueue;
+  }
+}
+
+export default JsonFile;
@@ -0,0 +1,54 @@
+/**
+ * AR Message Store
+ * Stores admin-authored AR messages with separate draft and published versions
+ */
+
+/**
+ * Message store
+ * Each record holds the editable draft and the last published version of a message, keyed by `key`
+ */
+export class MessageStore {
+  /**
+   * @param {MemoryRecordStore} records - Record store keyed by message key
+   */
+  constructor(records) {
+    this.records = records;
+  }
+
+  /**
+   * Get message record by key
+   * @param {string} key - Message key
+   * @returns {Promise<Object|null>} Message record or null if not found
+   */
+  getMessage(key) {
+    return this.records.get(key);
+  }
+
+  /**
+   * Create or replace a message record
+   * @param {Object} record - Message record (must include key)
+   * @returns {Promise<Object>} Stored record
+   */
+  saveMessage(record) {
+    return this.records.save(record);
+  }
+
+  /**
+   * Delete a message record
+   * @param {string} key - Message key
+   * @returns {Promise<boolean>} True if the record existed
+   */
+  deleteMessage(key) {
+    return this.records.delete(key);
+  }
+
+  /**
+   * List all message records
+   * @returns {Promise<Array<Object>>} Message records
+   */
+  listMessages() {
+    return this.records.list();
+  }
+}
+
+export default MessageStore;
@@ -0,0 +1,53 @@
+/**
+ * Progress Store
+ * Stores per-session progress records: the clues scanned in the scavenger hunt and the hints revealed per clue
+ */
+
+/**
+ * Progress store, keyed by sessionId
+ */
+export class ProgressStore {
+  /**
+   * @param {MemoryRecordStore} records - Record store keyed by sessionId
+   */
+  constructor(records) {
+    this.records = records;
+  }
+
+  /**
+   * Get a session's progress
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Progress record or null if the session has none yet
+   */
+  getProgress(sessionId) {
+    return this.records.get(sessionId);
+  }
+
+  /**
+   * Create or replace a session's progress
+   * @param {Object} progress - Progress record (must include sessionId)
+   * @returns {Promise<Object>} Stored progress
+   */
+  saveProgress(progress) {
+    return this.records.save(progress);
+  }
+
+  /**
+   * Delete a session's progress
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if progress existed
+   */
+  deleteProgress(sessionId) {
+    return this.records.delete(sessionId);
+  }
+
+  /**
+   * List the progress of every session
+   * @returns {Promise<Array<Object>>} Progress records
+   */
+  listProgress() {
+    return this.records.list();
+  }
+}
+
+export default ProgressStore;
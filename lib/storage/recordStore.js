@@ -0,0 +1,134 @@
+/**
+ * Record Storage Adapters
+ * Generic key/value stores for JSON records, used by the message, team, telemetry, hunt and hint stores
+ */
+
+import { JsonFile } from './jsonFile.js';
+
+/**
+ * In-memory record store
+ * Data is lost on restart and not shared between server instances
+ */
+export class MemoryRecordStore {
+  /**
+   * @param {Object} options - { keyField: record property holding the key }
+   */
+  constructor({ keyField }) {
+    this.keyField = keyField;
+    this.records = new Map();
+  }
+
+  /**
+   * Get a record by key
+   * @param {string} key - Record key
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  /**
+   * Create or replace a record
+   * @param {Object} record - Record (must include the key field)
+   * @returns {Promise<Object>} Stored record
+   */
+  async save(record) {
+    this.records.set(record[this.keyField], record);
+    return record;
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   * @returns {Promise<boolean>} True if the record existed
+   */
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  /**
+   * List all records
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async list() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Delete all records
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async clear() {
+    const count = this.records.size;
+    this.records.clear();
+    return count;
+  }
+}
+
+/**
+ * JSON file record store
+ * Keeps the records under `collection` in the file, e.g. { teams: { [teamId]: team } }
+ */
+export class FileRecordStore extends MemoryRecordStore {
+  /**
+   * @param {string} filePath - JSON file path
+   * @param {Object} options - { keyField, collection }
+   */
+  constructor(filePath, { keyField, collection }) {
+    super({ keyField });
+    this.collection = collection;
+    this.file = new JsonFile(filePath, { [collection]: {} });
+  }
+
+  /**
+   * Load data from disk on first use or when the file changed
+   */
+  async sync() {
+    await this.file.sync(data => {
+      this.records = new Map(Object.entries(data[this.collection] || {}));
+    });
+  }
+
+  /**
+   * Write current data to disk
+   */
+  async persist() {
+    await this.file.write({
+      [this.collection]: Object.fromEntries(this.records),
+      savedAt: new Date().toISOString()
+    });
+  }
+
+  async get(key) {
+    await this.sync();
+    return super.get(key);
+  }
+
+  async save(record) {
+    await this.sync();
+    await super.save(record);
+    await this.persist();
+    return record;
+  }
+
+  async delete(key) {
+    await this.sync();
+    const deleted = await super.delete(key);
+    await this.persist();
+    return deleted;
+  }
+
+  async list() {
+    await this.sync();
+    return super.list();
+  }
+
+  async clear() {
+    await this.sync();
+    const count = await super.clear();
+    await this.persist();
+    return count;
+  }
+}
+
+export default FileRecordStore;
@@ -0,0 +1,134 @@
+/**
+ * Session Storage Adapters
+ * Storage interface used by the session API, plus the in-memory implementation
+ */
+
+/**
+ * Session store interface
+ * Other backends (SQLite, Redis, a hosted database...) implement these methods
+ */
+export class SessionStore {
+  /**
+   * Get session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Session or null if not found
+   */
+  async getSession(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement getSession`);
+  }
+
+  /**
+   * Create or replace a session
+   * @param {Object} session - Session record (must include sessionId)
+   * @returns {Promise<Object>} Stored session
+   */
+  async saveSession(session) {
+    throw new Error(`${this.constructor.name} does not implement saveSession`);
+  }
+
+  /**
+   * Delete a session and its interactions
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} True if the session existed
+   */
+  async deleteSession(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement deleteSession`);
+  }
+
+  /**
+   * List all sessions
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async listSessions() {
+    throw new Error(`${this.constructor.name} does not implement listSessions`);
+  }
+
+  /**
+   * Get interactions recorded for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<Object>>} Interactions, oldest first
+   */
+  async getInteractions(sessionId) {
+    throw new Error(`${this.constructor.name} does not implement getInteractions`);
+  }
+
+  /**
+   * Replace the interactions recorded for a session
+   * @param {string} sessionId - Session ID
+   * @param {Array<Object>} interactions - Interactions, oldest first
+   * @returns {Promise<void>}
+   */
+  async saveInteractions(sessionId, interactions) {
+    throw new Error(`${this.constructor.name} does not implement saveInteractions`);
+  }
+
+  /**
+   * Count stored sessions
+   * @returns {Promise<number>} Session count
+   */
+  async countSessions() {
+    const sessions = await this.listSessions();
+    return sessions.length;
+  }
+
+  /**
+   * Count interactions across all sessions
+   * @returns {Promise<number>} Interaction count
+   */
+  async countInteractions() {
+    const sessions = await this.listSessions();
+    const counts = await Promise.all(
+      sessions.map(async session => (await this.getInteractions(session.sessionId)).length)
+    );
+    return counts.reduce((sum, count) => sum + count, 0);
+  }
+}
+
+/**
+ * In-memory session store
+ * Data is lost on restart and not shared between server instances
+ */
+export class MemorySessionStore extends SessionStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+    this.interactions = new Map();
+  }
+
+  async getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.sessionId, session);
+    return session;
+  }
+
+  async deleteSession(sessionId) {
+    const deleted = this.sessions.delete(sessionId);
+    this.interactions.delete(sessionId);
+    return deleted;
+  }
+
+  async listSessions() {
+    return Array.from(this.sessions.values());
+  }
+
+  async getInteractions(sessionId) {
+    return this.interactions.get(sessionId) || [];
+  }
+
+  async saveInteractions(sessionId, interactions) {
+    this.interactions.set(sessionId, interactions);
+  }
+
+  async countSessions() {
+    return this.sessions.size;
+  }
+
+  async countInteractions() {
+    return Array.from(this.interactions.values()).reduce((sum, arr) => sum + arr.length, 0);
+  }
+}
+
+export default SessionStore;
@@ -0,0 +1,74 @@
+/**
+ * Team Store
+ * Stores party teams, their join codes and member sessions
+ */
+
+/**
+ * Team store, keyed by teamId
+ */
+export class TeamStore {
+  /**
+   * @param {MemoryRecordStore} records - Record store keyed by teamId
+   */
+  constructor(records) {
+    this.records = records;
+  }
+
+  /**
+   * Get team by ID
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Object|null>} Team or null if not found
+   */
+  getTeam(teamId) {
+    return this.records.get(teamId);
+  }
+
+  /**
+   * Find team by join code
+   * @param {string} joinCode - Join code (case-insensitive)
+   * @returns {Promise<Object|null>} Team or null if not found
+   */
+  async findTeamByCode(joinCode) {
+    const code = joinCode.toUpperCase();
+    const teams = await this.records.list();
+    return teams.find(team => team.joinCode === code) || null;
+  }
+
+  /**
+   * Find the team a session belongs to
+   * @param {string} sessionId - Member session ID
+   * @returns {Promise<Object|null>} Team or null if the session has no team
+   */
+  async findTeamBySession(sessionId) {
+    const teams = await this.records.list();
+    return teams.find(team => team.members.some(member => member.sessionId === sessionId)) || null;
+  }
+
+  /**
+   * Create or replace a team
+   * @param {Object} team - Team record (must include teamId)
+   * @returns {Promise<Object>} Stored team
+   */
+  saveTeam(team) {
+    return this.records.save(team);
+  }
+
+  /**
+   * Delete a team
+   * @param {string} teamId - Team ID
+   * @returns {Promise<boolean>} True if the team existed
+   */
+  deleteTeam(teamId) {
+    return this.records.delete(teamId);
+  }
+
+  /**
+   * List all teams
+   * @returns {Promise<Array<Object>>} Teams
+   */
+  listTeams() {
+    return this.records.list();
+  }
+}
+
+export default TeamStore;
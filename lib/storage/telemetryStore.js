@@ -0,0 +1,52 @@
+/**
+ * Telemetry Store
+ * Stores AR performance telemetry aggregated per classifier version, device class and browser
+ */
+
+/**
+ * Telemetry store, keyed by group key
+ */
+export class TelemetryStore {
+  /**
+   * @param {MemoryRecordStore} records - Record store keyed by group key
+   */
+  constructor(records) {
+    this.records = records;
+  }
+
+  /**
+   * Get an aggregate group by key
+   * @param {string} key - Group key ('v<classifierVersion>:<deviceClass>:<browser>')
+   * @returns {Promise<Object|null>} Group or null if no report was recorded yet
+   */
+  getGroup(key) {
+    return this.records.get(key);
+  }
+
+  /**
+   * Create or replace an aggregate group
+   * @param {Object} group - Group record (must include key)
+   * @returns {Promise<Object>} Stored group
+   */
+  saveGroup(group) {
+    return this.records.save(group);
+  }
+
+  /**
+   * List all aggregate groups
+   * @returns {Promise<Array<Object>>} Groups
+   */
+  listGroups() {
+    return this.records.list();
+  }
+
+  /**
+   * Delete all aggregate groups
+   * @returns {Promise<number>} Number of groups deleted
+   */
+  clear() {
+    return this.records.clear();
+  }
+}
+
+export default TelemetryStore;
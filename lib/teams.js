@@ -0,0 +1,277 @@
+/**
+ * Team Mode
+ * Join codes, membership and shared hunt progress for teams of guests (server-side)
+ */
+
+import crypto from 'crypto';
+import { getTeamStore } from './storage/index.js';
+import { getOrderedClues, getTeamHuntProgress, isClueUnlocked } from './hunt.js';
+
+const store = getTeamStore();
+
+// Team configuration
+export const TEAM_CONFIG = {
+  codeLength: 5,
+  // No 0/O or 1/I/L so codes can be read aloud and copied from a printed card
+  codeAlphabet: 'ABCDEFGHJKMNPQRSTUVWXYZ23456789',
+  maxMembers: 8,
+  maxNameLength: 30
+};
+
+// Membership updates running per team, so concurrent joins and leaves do not overwrite each other
+const pendingUpdates = new Map();
+
+/**
+ * Error raised for invalid team operations
+ * Carries the HTTP status the API should answer with
+ */
+export class TeamError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TeamError';
+    this.status = status;
+  }
+}
+
+/**
+ * Generate a join code that is not in use yet
+ * @returns {Promise<string>} Join code
+ */
+async function generateJoinCode() {
+  const { codeLength, codeAlphabet } = TEAM_CONFIG;
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const bytes = crypto.randomBytes(codeLength);
+    const code = Array.from(bytes, byte => codeAlphabet[byte % codeAlphabet.length]).join('');
+    if (!await store.findTeamByCode(code)) {
+      return code;
+    }
+  }
+
+  throw new TeamError('Could not allocate a join code', 503);
+}
+
+/**
+ * Normalize a display name
+ * @param {string} name - Name provided by the guest
+ * @param {string} fallback - Name used when empty
+ * @returns {string} Trimmed name
+ */
+function cleanName(name, fallback) {
+  const trimmed = typeof name === 'string' ? name.trim().slice(0, TEAM_CONFIG.maxNameLength) : '';
+  return trimmed || fallback;
+}
+
+/**
+ * Run a read-modify-write of one team after the updates already queued for it
+ * @param {string} teamId - Team ID
+ * @param {Function} update - Async update, reads the team itself
+ * @returns {Promise<*>} Result of the update
+ */
+function queueUpdate(teamId, update) {
+  const previous = pendingUpdates.get(teamId) || Promise.resolve();
+  const current = previous.then(update, update);
+  const cleanup = () => {
+    if (pendingUpdates.get(teamId) === current) {
+      pendingUpdates.delete(teamId);
+    }
+  };
+
+  pendingUpdates.set(teamId, current);
+  current.then(cleanup, cleanup);
+  return current;
+}
+
+/**
+ * Check that a team has room for another member
+ * @param {Object} team - Team record
+ * @throws {TeamError} If the team is full
+ */
+function assertRoom(team) {
+  if (team.members.length >= TEAM_CONFIG.maxMembers) {
+    throw new TeamError(`Team is full (${TEAM_CONFIG.maxMembers} members)`, 409);
+  }
+}
+
+/**
+ * Remove a session from its current team, deleting teams left empty
+ * @param {string} sessionId - Member session ID
+ * @returns {Promise<Object|null>} Team the session left, or null
+ */
+export async function leaveTeam(sessionId) {
+  const found = await store.findTeamBySession(sessionId);
+  if (!found) {
+    return null;
+  }
+
+  return queueUpdate(found.teamId, async () => {
+    const team = await store.getTeam(found.teamId);
+    if (!team?.members.some(member => member.sessionId === sessionId)) {
+      return null;
+    }
+
+    const members = team.members.filter(member => member.sessionId !== sessionId);
+    if (members.length === 0) {
+      await store.deleteTeam(team.teamId);
+    } else {
+      await store.saveTeam({ ...team, members });
+    }
+
+    return team;
+  });
+}
+
+/**
+ * Create a team with the session as its first member
+ * @param {string} sessionId - Creator session ID
+ * @param {string} name - Team name
+ * @param {string} playerName - Creator display name
+ * @returns {Promise<Object>} Created team
+ */
+export async function createTeam(sessionId, name, playerName) {
+  await leaveTeam(sessionId);
+
+  const now = new Date().toISOString();
+  const team = {
+    teamId: `team_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    name: cleanName(name, 'Equipe sem nome'),
+    joinCode: await generateJoinCode(),
+    createdAt: now,
+    members: [{ sessionId, name: cleanName(playerName, 'Jogador 1'), joinedAt: now }]
+  };
+
+  return store.saveTeam(team);
+}
+
+/**
+ * Join a team by its code
+ * @param {string} sessionId - Joining session ID
+ * @param {string} joinCode - Team join code
+ * @param {string} playerName - Display name
+ * @returns {Promise<Object>} Joined team
+ */
+export async function joinTeam(sessionId, joinCode, playerName) {
+  const found = await store.findTeamByCode(String(joinCode || '').trim());
+  if (!found) {
+    throw new TeamError('Team not found', 404);
+  }
+
+  if (found.members.some(member => member.sessionId === sessionId)) {
+    return found;
+  }
+  assertRoom(found);
+
+  // A session belongs to one team at a time. The old team is left outside this team's queue,
+  // so two guests swapping teams do not wait on each other.
+  await leaveTeam(sessionId);
+
+  // Check again against the latest members, other guests may have joined meanwhile
+  return queueUpdate(found.teamId, async () => {
+    const team = await store.getTeam(found.teamId);
+    if (!team) {
+      throw new TeamError('Team not found', 404);
+    }
+
+    if (team.members.some(member => member.sessionId === sessionId)) {
+      return team;
+    }
+    assertRoom(team);
+
+    return store.saveTeam({
+      ...team,
+      members: [
+        ...team.members,
+        {
+          sessionId,
+          name: cleanName(playerName, `Jogador ${team.members.length + 1}`),
+          joinedAt: new Date().toISOString()
+        }
+      ]
+    });
+  });
+}
+
+/**
+ * Get the team a session belongs to
+ * @param {string} sessionId - Member session ID
+ * @returns {Promise<Object|null>} Team or null
+ */
+export async function getTeamForSession(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+  return store.findTeamBySession(sessionId);
+}
+
+/**
+ * Get a session's team and the session IDs of its teammates
+ * @param {string} sessionId - Member session ID
+ * @returns {Promise<Object>} { team, teammates } (null team and no teammates without a team)
+ */
+export async function getTeamContext(sessionId) {
+  const team = await getTeamForSession(sessionId);
+  if (!team) {
+    return { team: null, teammates: [] };
+  }
+
+  return {
+    team,
+    teammates: team.members
+      .map(member => member.sessionId)
+      .filter(memberId => memberId !== sessionId)
+  };
+}
+
+/**
+ * Describe a team and its combined hunt progress for API responses
+ * Member session IDs are not exposed, members are identified by name
+ * @param {Object} team - Team record
+ * @param {string} sessionId - Session asking, marked as "you" in the member list
+ * @returns {Promise<Object>} Team summary
+ */
+export async function describeTeam(team, sessionId = null) {
+  const memberIds = team.members.map(member => member.sessionId);
+  const progress = await getTeamHuntProgress(memberIds);
+  const scans = new Map(progress.scanned.map(entry => [entry.clueId, entry]));
+  const nameOf = (memberId) => team.members.find(member => member.sessionId === memberId)?.name || null;
+  const [firstMember, ...otherMembers] = memberIds;
+  const unlocked = await Promise.all(
+    getOrderedClues().map(clue => isClueUnlocked(firstMember, clue.id, otherMembers))
+  );
+
+  return {
+    teamId: team.teamId,
+    name: team.name,
+    joinCode: team.joinCode,
+    members: team.members.map(member => ({
+      name: member.name,
+      joinedAt: member.joinedAt,
+      isYou: member.sessionId === sessionId
+    })),
+    clues: getOrderedClues().map((clue, index) => {
+      const scan = scans.get(clue.id);
+      return {
+        id: clue.id,
+        order: index + 1,
+        // Found by any member, or available to scan next
+        found: Boolean(scan),
+        unlocked: unlocked[index],
+        scannedAt: scan ? scan.scannedAt : null,
+        scannedBy: scan ? nameOf(scan.scannedBy) : null
+      };
+    }),
+    startedAt: progress.startedAt,
+    completedAt: progress.completedAt
+  };
+}
+
+export default {
+  TEAM_CONFIG,
+  TeamError,
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  getTeamForSession,
+  getTeamContext,
+  describeTeam
+};
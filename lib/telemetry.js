@@ -0,0 +1,321 @@
+/**
+ * AR Performance Telemetry
+ * Aggregates periodic performance summaries from AR sessions per device class and browser (server-side)
+ */
+
+import { getTelemetryStore, getSessionStore } from './storage/index.js';
+
+const store = getTelemetryStore();
+const sessionStore = getSessionStore();
+
+// Reports counted per client address in the current window (per server instance)
+const clientReports = new Map();
+
+// Telemetry configuration
+export const TELEMETRY_CONFIG = {
+  // Device classes assigned by /api/ar/capabilities
+  deviceClasses: ['high_end', 'mid_range', 'low_end'],
+  // Optimizations ARPerformanceOptimizer can apply
+  optimizations: [
+    'reduce_render_scale',
+    'disable_effects',
+    'reduce_fps_target',
+    'reduce_texture_quality',
+    'reduce_quality',
+    'memory_cleanup'
+  ],
+  memoryTrends: ['increasing', 'stable', 'decreasing'],
+  maxFPS: 240,
+  maxBrowserLength: 30,
+  // Reports averaging below this are counted as struggling (the monitor's minFPS)
+  lowFPS: 20,
+  // Reports accepted per client address per window. Guests on the venue Wi-Fi share one address,
+  // so this leaves room for about 60 phones at the scene's 30 second interval.
+  clientLimit: { reports: 120, window: 60 * 1000 },
+  maxClassifierVersion: 1000
+};
+
+// Group updates running per key, so concurrent reports for one group do not overwrite each other
+const pendingUpdates = new Map();
+
+/**
+ * Error raised for invalid telemetry reports
+ * Carries the HTTP status the API should answer with
+ */
+export class TelemetryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TelemetryError';
+    this.status = status;
+  }
+}
+
+/**
+ * Normalize a browser name into a group key part
+ * @param {string} name - Browser name reported by the client
+ * @returns {string} Lowercase name, or 'unknown'
+ */
+function cleanBrowser(name) {
+  const cleaned = typeof name === 'string'
+    ? name.trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, TELEMETRY_CONFIG.maxBrowserLength)
+    : '';
+  return cleaned || 'unknown';
+}
+
+/**
+ * Check an optional frame rate value
+ * @param {*} value - Reported value
+ * @returns {boolean} True if missing or a frame rate in range
+ */
+function isFrameRate(value) {
+  return value === undefined || value === null ||
+    (Number.isFinite(value) && value >= 0 && value <= TELEMETRY_CONFIG.maxFPS);
+}
+
+/**
+ * Validate and normalize a telemetry report
+ * @param {Object} report - { deviceClass, classifierVersion, browser, summary: { averageFPS, minFPS, renderFPS, fpsCap, memoryTrend }, optimizations }
+ * @returns {Object} Normalized report
+ */
+export function normalizeReport(report = {}) {
+  const { deviceClass, classifierVersion = null, browser, summary, optimizations = [] } = report;
+
+  if (!TELEMETRY_CONFIG.deviceClasses.includes(deviceClass)) {
+    throw new TelemetryError(`deviceClass must be one of: ${TELEMETRY_CONFIG.deviceClasses.join(', ')}`);
+  }
+
+  if (classifierVersion !== null && !(Number.isInteger(classifierVersion) &&
+    classifierVersion > 0 && classifierVersion <= TELEMETRY_CONFIG.maxClassifierVersion)) {
+    throw new TelemetryError('classifierVersion must be a positive integer');
+  }
+
+  if (!summary || typeof summary !== 'object') {
+    throw new TelemetryError('summary is required');
+  }
+
+  const { averageFPS, minFPS, renderFPS, fpsCap, memoryTrend = 'stable' } = summary;
+  if (!Number.isFinite(averageFPS) || ![averageFPS, minFPS, renderFPS, fpsCap].every(isFrameRate)) {
+    throw new TelemetryError(`Frame rates must be numbers between 0 and ${TELEMETRY_CONFIG.maxFPS}`);
+  }
+
+  if (!TELEMETRY_CONFIG.memoryTrends.includes(memoryTrend)) {
+    throw new TelemetryError(`memoryTrend must be one of: ${TELEMETRY_CONFIG.memoryTrends.join(', ')}`);
+  }
+
+  if (!Array.isArray(optimizations) || optimizations.some(type => !TELEMETRY_CONFIG.optimizations.includes(type))) {
+    throw new TelemetryError(`optimizations must be a list of: ${TELEMETRY_CONFIG.optimizations.join(', ')}`);
+  }
+
+  return {
+    deviceClass,
+    classifierVersion,
+    browser: cleanBrowser(typeof browser === 'object' ? browser?.name : browser),
+    averageFPS,
+    minFPS: minFPS ?? averageFPS,
+    renderFPS: renderFPS ?? null,
+    fpsCap: fpsCap ?? null,
+    memoryTrend,
+    optimizations: Array.from(new Set(optimizations))
+  };
+}
+
+/**
+ * Create an empty aggregate group
+ * @param {string} key - Group key
+ * @param {Object} report - Normalized report the group is created for
+ * @returns {Object} Group record
+ */
+function createGroup(key, report) {
+  return {
+    key,
+    deviceClass: report.deviceClass,
+    classifierVersion: report.classifierVersion,
+    browser: report.browser,
+    reports: 0,
+    fpsSum: 0,
+    minFPSSum: 0,
+    lowestFPS: null,
+    lowFPSReports: 0,
+    renderFPSSum: 0,
+    renderReports: 0,
+    fpsCapSum: 0,
+    memoryTrends: Object.fromEntries(TELEMETRY_CONFIG.memoryTrends.map(trend => [trend, 0])),
+    optimizations: {},
+    firstReportAt: new Date().toISOString(),
+    lastReportAt: null
+  };
+}
+
+/**
+ * Run an update after the previous updates for the same key
+ * @param {string} key - Group key
+ * @param {Function} update - Async update
+ * @returns {Promise<*>} Update result
+ */
+function queueUpdate(key, update) {
+  const previous = pendingUpdates.get(key) || Promise.resolve();
+  const current = previous.then(update, update);
+  const cleanup = () => {
+    if (pendingUpdates.get(key) === current) {
+      pendingUpdates.delete(key);
+    }
+  };
+
+  pendingUpdates.set(key, current);
+  current.then(cleanup, cleanup);
+  return current;
+}
+
+/**
+ * Count a report against its client's limit for the current window
+ * New session IDs are free to create, so the limit is kept per client address rather than per session
+ * @param {string} client - Client address
+ * @throws {TelemetryError} If the client reached the limit
+ */
+function countClientReport(client) {
+  const { reports: limit, window } = TELEMETRY_CONFIG.clientLimit;
+  const now = Date.now();
+
+  clientReports.forEach((entry, address) => {
+    if (now - entry.windowStart >= window) {
+      clientReports.delete(address);
+    }
+  });
+
+  const entry = clientReports.get(client) || { windowStart: now, reports: 0 };
+  if (entry.reports >= limit) {
+    throw new TelemetryError('Too many telemetry reports, try again later', 429);
+  }
+
+  entry.reports++;
+  clientReports.set(client, entry);
+}
+
+/**
+ * Record a telemetry report into its classifier version, device class and browser group
+ * @param {Object} report - Report as posted by the AR scene
+ * @param {Object} source - { sessionId: server session that sent it (see /api/session), client: client address }
+ * @returns {Promise<Object>} Updated group summary
+ */
+export async function recordTelemetry(report, { sessionId, client } = {}) {
+  if (!sessionId || typeof sessionId !== 'string') {
+    throw new TelemetryError('Session ID required');
+  }
+
+  const normalized = normalizeReport(report);
+  if (!(await sessionStore.getSession(sessionId))) {
+    throw new TelemetryError('Session not found', 404);
+  }
+  countClientReport(client || 'unknown');
+
+  // Reports from before classifier versions were sent keep the old key
+  const key = [normalized.classifierVersion && `v${normalized.classifierVersion}`, normalized.deviceClass, normalized.browser]
+    .filter(Boolean)
+    .join(':');
+  return queueUpdate(key, () => addToGroup(key, normalized));
+}
+
+/**
+ * Add a normalized report to its group, see recordTelemetry
+ * @param {string} key - Group key
+ * @param {Object} normalized - Normalized report
+ * @returns {Promise<Object>} Updated group summary
+ */
+async function addToGroup(key, normalized) {
+  const group = (await store.getGroup(key)) || createGroup(key, normalized);
+
+  group.reports++;
+  group.fpsSum += normalized.averageFPS;
+  group.minFPSSum += normalized.minFPS;
+  group.lowestFPS = group.lowestFPS === null ? normalized.minFPS : Math.min(group.lowestFPS, normalized.minFPS);
+  if (normalized.averageFPS < TELEMETRY_CONFIG.lowFPS) {
+    group.lowFPSReports++;
+  }
+  if (normalized.renderFPS !== null) {
+    group.renderFPSSum += normalized.renderFPS;
+    group.fpsCapSum += normalized.fpsCap ?? 0;
+    group.renderReports++;
+  }
+  group.memoryTrends[normalized.memoryTrend]++;
+  normalized.optimizations.forEach(type => {
+    group.optimizations[type] = (group.optimizations[type] || 0) + 1;
+  });
+  group.lastReportAt = new Date().toISOString();
+
+  await store.saveGroup(group);
+  return describeGroup(group);
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Turn an aggregate group into averages and shares for tuning
+ * @param {Object} group - Group record
+ * @returns {Object} Group summary
+ */
+export function describeGroup(group) {
+  const share = count => round((count / group.reports) * 100);
+
+  return {
+    deviceClass: group.deviceClass,
+    classifierVersion: group.classifierVersion ?? null,
+    browser: group.browser,
+    reports: group.reports,
+    averageFPS: round(group.fpsSum / group.reports),
+    averageMinFPS: round(group.minFPSSum / group.reports),
+    lowestFPS: round(group.lowestFPS),
+    lowFPSPercent: share(group.lowFPSReports),
+    averageRenderFPS: group.renderReports ? round(group.renderFPSSum / group.renderReports) : null,
+    averageFPSCap: group.renderReports ? round(group.fpsCapSum / group.renderReports) : null,
+    memoryTrendPercent: Object.fromEntries(
+      Object.entries(group.memoryTrends).map(([trend, count]) => [trend, share(count)])
+    ),
+    optimizationPercent: Object.fromEntries(
+      Object.entries(group.optimizations).map(([type, count]) => [type, share(count)])
+    ),
+    firstReportAt: group.firstReportAt,
+    lastReportAt: group.lastReportAt
+  };
+}
+
+/**
+ * Get every group summary, newest classifier version first, then device class order, then busiest browser
+ * @returns {Promise<Array<Object>>} Group summaries
+ */
+export async function getTelemetrySummary() {
+  const groups = await store.listGroups();
+  const order = TELEMETRY_CONFIG.deviceClasses;
+
+  return groups
+    .sort((a, b) =>
+      (b.classifierVersion ?? 0) - (a.classifierVersion ?? 0) ||
+      order.indexOf(a.deviceClass) - order.indexOf(b.deviceClass) ||
+      b.reports - a.reports
+    )
+    .map(describeGroup);
+}
+
+/**
+ * Delete all aggregated telemetry
+ * @returns {Promise<number>} Number of groups deleted
+ */
+export async function resetTelemetry() {
+  return store.clear();
+}
+
+export default {
+  TELEMETRY_CONFIG,
+  TelemetryError,
+  normalizeReport,
+  recordTelemetry,
+  describeGroup,
+  getTelemetrySummary,
+  resetTelemetry
+};
@@ -0,0 +1,383 @@
+/**
+ * Organizer Dashboard Page
+ * Live view of the party: active players, marker detections, message views, errors and hunt progress
+ */
+
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+
+// Admin token is shared with the message admin page for this browser tab
+const TOKEN_STORAGE_KEY = 'halloween_ar_admin_token';
+
+const ACTIVITY_LIMIT = 25;
+
+const ACTIVITY_LABELS = {
+  session_created: 'Novo jogador',
+  state_change: 'Mudança de estado',
+  page_visit: 'Visitou a página',
+  qr_scan: 'Escaneou um QR',
+  ar_start: 'Iniciou a AR',
+  marker_found: 'Detectou marcador',
+  ar_message_view: 'Viu mensagem',
+  hint_used: 'Usou uma dica',
+  ar_end: 'Encerrou a AR',
+  camera_permission: 'Permissão de câmera',
+  error_occurred: 'Erro'
+};
+
+const CONNECTION_LABELS = {
+  idle: 'Informe o token para conectar',
+  connecting: 'Conectando...',
+  live: 'Ao vivo',
+  error: 'Conexão perdida, tentando novamente...'
+};
+
+/**
+ * Format elapsed time since a timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Human readable elapsed time
+ */
+function formatSince(timestamp) {
+  if (!timestamp) return '—';
+  const minutes = Math.floor((Date.now() - new Date(timestamp)) / 60000);
+  if (minutes < 1) return 'agora';
+  if (minutes < 60) return `há ${minutes} min`;
+  return `há ${Math.floor(minutes / 60)} h`;
+}
+
+/**
+ * Describe a stream event for the activity feed
+ * @param {Object} event - Session event
+ * @returns {string} Label
+ */
+function describeActivity(event) {
+  if (event.type === 'interaction') {
+    const { type, data = {} } = event.interaction;
+    const label = ACTIVITY_LABELS[type] || type;
+    const detail = data.clueId || data.marker || data.message || '';
+    return detail ? `${label} · ${detail}` : label;
+  }
+  if (event.type === 'state_change') {
+    return `${ACTIVITY_LABELS.state_change} · ${event.state}`;
+  }
+  return ACTIVITY_LABELS[event.type] || event.type;
+}
+
+export default function OrganizerDashboard() {
+  const [token, setToken] = useState('');
+  const [stats, setStats] = useState(null);
+  const [activity, setActivity] = useState([]);
+  const [connection, setConnection] = useState('idle');
+
+  // Restore token saved earlier in this tab
+  useEffect(() => {
+    const saved = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+    if (saved) {
+      setToken(saved);
+    }
+  }, []);
+
+  // Subscribe to the live stream (EventSource reconnects on its own)
+  useEffect(() => {
+    if (!token) {
+      setConnection('idle');
+      return;
+    }
+
+    setConnection('connecting');
+    const source = new EventSource(`/api/session/dashboard?token=${encodeURIComponent(token)}`);
+
+    source.addEventListener('stats', (e) => {
+      setStats(JSON.parse(e.data));
+      setConnection('live');
+    });
+
+    source.addEventListener('activity', (e) => {
+      const event = JSON.parse(e.data);
+      // Heartbeats only keep sessions alive, they are not worth a feed entry
+      if (event.type === 'heartbeat') return;
+      setActivity(prev => [event, ...prev].slice(0, ACTIVITY_LIMIT));
+    });
+
+    source.onerror = () => setConnection('error');
+
+    return () => source.close();
+  }, [token]);
+
+  const handleTokenChange = (value) => {
+    setToken(value);
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, value);
+  };
+
+  const totals = stats?.totals || {};
+  const sessions = stats?.sessions || {};
+
+  return (
+    <>
+      <Head>
+        <title>Admin - Painel da Festa</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="dashboard-page">
+        <header>
+          <h1>🦇 Painel da Festa</h1>
+          <span className={`connection connection-${connection}`}>{CONNECTION_LABELS[connection]}</span>
+        </header>
+
+        <label className="token-field">
+          Token de administrador
+          <input
+            type="password"
+            value={token}
+            onChange={(e) => handleTokenChange(e.target.value)}
+            placeholder="ADMIN_TOKEN"
+          />
+        </label>
+
+        <section className="cards">
+          <div className="card">
+            <strong>{sessions.active ?? '—'}</strong>
+            <span>Jogadores ativos</span>
+            <small>{sessions.arActive ?? 0} com a câmera AR aberta</small>
+          </div>
+          <div className="card">
+            <strong>{totals.markerDetections ?? '—'}</strong>
+            <span>Marcadores detectados</span>
+            <small>{totals.qrScans ?? 0} códigos QR escaneados</small>
+          </div>
+          <div className="card">
+            <strong>{totals.messageViews ?? '—'}</strong>
+            <span>Mensagens vistas</span>
+            <small>{sessions.completed ?? 0} sessões concluídas</small>
+          </div>
+          <div className={`card ${totals.errors ? 'card-alert' : ''}`}>
+            <strong>{totals.errors ?? '—'}</strong>
+            <span>Erros</span>
+            <small>{sessions.withErrors ?? 0} jogadores afetados</small>
+          </div>
+        </section>
+
+        <div className="dashboard-layout">
+          <section>
+            <h2>Pistas</h2>
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Pista</th>
+                  <th>Encontrada por</th>
+                  <th>Detecções</th>
+                  <th>Procurando</th>
+                  <th>Travados</th>
+                  <th>Última vez</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(stats?.clues || []).map(clue => (
+                  <tr key={clue.id} className={clue.stuck > 0 ? 'stuck' : ''}>
+                    <td>{clue.order}</td>
+                    <td>{clue.id}</td>
+                    <td>{clue.found}</td>
+                    <td>{clue.detections}</td>
+                    <td>{clue.waiting}</td>
+                    <td>{clue.stuck > 0 ? `⚠️ ${clue.stuck}` : 0}</td>
+                    <td>{formatSince(clue.lastFoundAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <h2>Erros recentes</h2>
+            {stats?.recentErrors?.length ? (
+              <ul className="errors">
+                {stats.recentErrors.map(error => (
+                  <li key={`${error.sessionId}-${error.timestamp}`}>
+                    <span>{formatSince(error.timestamp)}</span> {error.message}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="empty">Nenhum erro até agora 🎃</p>
+            )}
+          </section>
+
+          <section>
+            <h2>Atividade</h2>
+            {activity.length ? (
+              <ul className="activity">
+                {activity.map(event => (
+                  <li key={`${event.sessionId}-${event.timestamp}-${event.type}-${event.interaction?.id || ''}`}>
+                    <time>{new Date(event.timestamp).toLocaleTimeString('pt-BR')}</time>
+                    <span>{describeActivity(event)}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="empty">Aguardando atividade...</p>
+            )}
+          </section>
+        </div>
+
+        <style jsx>{`
+          .dashboard-page {
+            min-height: 100vh;
+            padding: 2rem;
+            background: #0a0a0a;
+            color: #f0e6d2;
+            font-family: system-ui, sans-serif;
+          }
+
+          header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 1rem;
+            margin-bottom: 1.5rem;
+          }
+
+          h1 {
+            color: #ff6b35;
+            margin: 0;
+          }
+
+          h2 {
+            color: #c9b8e8;
+            font-size: 1.1rem;
+          }
+
+          .connection {
+            padding: 0.35rem 0.75rem;
+            border-radius: 1rem;
+            font-size: 0.8rem;
+            background: #1a1023;
+            border: 1px solid #4b2a6b;
+          }
+
+          .connection-live {
+            border-color: #228b22;
+            color: #7fd67f;
+          }
+
+          .connection-error {
+            border-color: #8b0000;
+            color: #ff8080;
+          }
+
+          label {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            margin-bottom: 1.5rem;
+            font-size: 0.875rem;
+            color: #c9b8e8;
+          }
+
+          input {
+            padding: 0.5rem;
+            border: 1px solid #4b2a6b;
+            border-radius: 0.375rem;
+            background: #1a1023;
+            color: #f0e6d2;
+            font-size: 1rem;
+          }
+
+          .token-field {
+            max-width: 320px;
+          }
+
+          .cards {
+            display: grid;
+            grid-template-columns: repeat(4, 1fr);
+            gap: 1rem;
+            margin-bottom: 2rem;
+          }
+
+          .card {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            padding: 1rem;
+            border-radius: 0.5rem;
+            background: #1a1023;
+            border: 1px solid #4b2a6b;
+          }
+
+          .card strong {
+            font-size: 2rem;
+            color: #ff6b35;
+          }
+
+          .card small {
+            color: #a08cc0;
+          }
+
+          .card-alert {
+            border-color: #8b0000;
+          }
+
+          .dashboard-layout {
+            display: grid;
+            grid-template-columns: 2fr 1fr;
+            gap: 1.5rem;
+          }
+
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 2rem;
+          }
+
+          th, td {
+            padding: 0.5rem;
+            text-align: left;
+            border-bottom: 1px solid #2a1a3a;
+          }
+
+          th {
+            font-size: 0.75rem;
+            color: #a08cc0;
+            text-transform: uppercase;
+          }
+
+          tr.stuck td {
+            background: rgba(139, 0, 0, 0.2);
+          }
+
+          ul {
+            list-style: none;
+            padding: 0;
+            margin: 0;
+          }
+
+          .activity li, .errors li {
+            display: flex;
+            gap: 0.75rem;
+            padding: 0.4rem 0;
+            border-bottom: 1px solid #2a1a3a;
+            font-size: 0.875rem;
+          }
+
+          .activity time, .errors span {
+            color: #a08cc0;
+            white-space: nowrap;
+          }
+
+          .empty {
+            color: #a08cc0;
+          }
+
+          @media (max-width: 900px) {
+            .cards {
+              grid-template-columns: repeat(2, 1fr);
+            }
+
+            .dashboard-layout {
+              grid-template-columns: 1fr;
+            }
+          }
+        `}</style>
+      </div>
+    </>
+  );
+}
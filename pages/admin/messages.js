@@ -0,0 +1,728 @@
+/**
+ * AR Message Admin Page
+ * Lets organizers create, preview and publish AR messages without code changes
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import Head from 'next/head';
+import { LOCALES } from '../../lib/i18n';
+
+// Admin token is kept for the browser tab only
+const TOKEN_STORAGE_KEY = 'halloween_ar_admin_token';
+
+const EMPTY_FORM = {
+  key: '',
+  text: '',
+  language: 'pt',
+  displayDuration: 10000,
+  style: {
+    fontSize: 'large',
+    color: '#8b0000',
+    backgroundColor: 'rgba(0, 0, 0, 0.8)',
+    textAlign: 'center'
+  },
+  animation: {
+    entrance: 'vampireGlow',
+    duration: '2s'
+  },
+  audio: {
+    enabled: false,
+    soundFile: '',
+    loop: false,
+    volume: 0.7
+  },
+  // glTF model on the marker; position, rotation and loop are kept from the saved draft
+  model: {
+    src: '',
+    scale: 1,
+    animation: '',
+    showText: true
+  },
+  // Other language variants, keyed by locale ({ text, hints })
+  translations: {}
+};
+
+const PREVIEW_FONT_SIZES = {
+  'x-small': '0.75rem',
+  small: '0.875rem',
+  medium: '1rem',
+  large: '1.25rem',
+  'x-large': '1.5rem'
+};
+
+const STATUS_LABELS = {
+  draft: 'Rascunho',
+  modified: 'Alterado (não publicado)',
+  published: 'Publicado'
+};
+
+export default function MessageAdmin() {
+  const [token, setToken] = useState('');
+  const [tokenInput, setTokenInput] = useState('');
+  const [messages, setMessages] = useState([]);
+  const [options, setOptions] = useState({ fontSizes: [], animations: [], deviceTypes: [] });
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [deviceType, setDeviceType] = useState('mobile_high');
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [narration, setNarration] = useState(null);
+
+  // Restore token saved earlier in this tab
+  useEffect(() => {
+    const saved = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+    if (saved) {
+      setToken(saved);
+      setTokenInput(saved);
+    }
+  }, []);
+
+  /**
+   * Call the message API with the admin token
+   */
+  const adminFetch = useCallback(async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        ...options.headers
+      }
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      const details = data.errors ? `: ${data.errors.join('; ')}` : '';
+      throw new Error(`${data.error || `HTTP ${response.status}`}${details}`);
+    }
+
+    return data;
+  }, [token]);
+
+  const loadMessages = useCallback(async () => {
+    if (!token) return;
+
+    try {
+      const data = await adminFetch('/api/ar/message?view=admin');
+      setMessages(data.messages);
+      setOptions(data.options);
+      setStatus(null);
+    } catch (error) {
+      setStatus({ type: 'error', text: error.message });
+    }
+  }, [token, adminFetch]);
+
+  useEffect(() => {
+    loadMessages();
+  }, [loadMessages]);
+
+  // Messages load when the token is submitted, not on every keystroke
+  const handleTokenSubmit = (event) => {
+    event.preventDefault();
+    const value = tokenInput.trim();
+    setToken(value);
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, value);
+  };
+
+  const selectMessage = (entry) => {
+    const draft = entry.draft || {};
+    setSelectedKey(entry.key);
+    setPreview(null);
+    setNarration(null);
+    setForm({
+      key: entry.key,
+      text: draft.text || '',
+      language: draft.language || 'pt',
+      displayDuration: draft.displayDuration || EMPTY_FORM.displayDuration,
+      style: { ...EMPTY_FORM.style, ...draft.style },
+      animation: { ...EMPTY_FORM.animation, ...draft.animation },
+      audio: { ...EMPTY_FORM.audio, ...draft.audio, soundFile: draft.audio?.soundFile || '' },
+      model: {
+        ...EMPTY_FORM.model,
+        ...draft.model,
+        src: draft.model?.src || '',
+        animation: draft.model?.animation || ''
+      },
+      translations: draft.translations || {}
+    });
+  };
+
+  const startNewMessage = () => {
+    setSelectedKey(null);
+    setPreview(null);
+    setNarration(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateNested = (group, field, value) => {
+    setForm(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  };
+
+  const updateTranslation = (locale, text) => {
+    setForm(prev => ({
+      ...prev,
+      translations: { ...prev.translations, [locale]: { ...prev.translations[locale], text } }
+    }));
+  };
+
+  // Only the languages other than the message's own, and only those with a text
+  const buildTranslations = () => Object.fromEntries(
+    Object.entries(form.translations).filter(([locale, variant]) => locale !== form.language && variant?.text)
+  );
+
+  const buildMessage = () => ({
+    text: form.text,
+    language: form.language,
+    displayDuration: Number(form.displayDuration),
+    style: form.style,
+    animation: form.animation,
+    audio: {
+      ...form.audio,
+      soundFile: form.audio.soundFile || null,
+      volume: Number(form.audio.volume)
+    },
+    model: form.model.src
+      ? { ...form.model, scale: Number(form.model.scale), animation: form.model.animation || undefined }
+      : null,
+    translations: buildTranslations()
+  });
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      setStatus({ type: 'error', text: error.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handlePreview = () => runAction(async () => {
+    const data = await adminFetch('/api/ar/message', {
+      method: 'POST',
+      body: JSON.stringify({
+        action: 'preview_message',
+        data: { key: form.key || 'preview', message: buildMessage(), deviceType }
+      })
+    });
+    setPreview(data);
+    setStatus(data.validation.valid
+      ? { type: 'success', text: 'Pré-visualização atualizada' }
+      : { type: 'error', text: data.validation.errors.join('; ') });
+  });
+
+  const handleSave = () => runAction(async () => {
+    if (selectedKey) {
+      await adminFetch(`/api/ar/message?key=${encodeURIComponent(selectedKey)}`, {
+        method: 'PUT',
+        body: JSON.stringify({ message: buildMessage() })
+      });
+    } else {
+      await adminFetch('/api/ar/message', {
+        method: 'POST',
+        body: JSON.stringify({
+          action: 'create_message',
+          data: { key: form.key, message: buildMessage() }
+        })
+      });
+      setSelectedKey(form.key);
+    }
+    setStatus({ type: 'success', text: 'Rascunho salvo' });
+    await loadMessages();
+  });
+
+  const handlePublish = () => runAction(async () => {
+    await adminFetch('/api/ar/message', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'publish_message', data: { key: selectedKey } })
+    });
+    setStatus({ type: 'success', text: 'Mensagem publicada' });
+    await loadMessages();
+  });
+
+  // Voices the published text; drafts are narrated once published
+  const handleGenerateNarration = () => runAction(async () => {
+    const data = await adminFetch('/api/ar/message', {
+      method: 'POST',
+      body: JSON.stringify({ action: 'generate_narration', data: { key: selectedKey } })
+    });
+    // One recording per language of the message
+    const failed = data.narration.find(result => result.error);
+    if (failed) {
+      throw new Error(failed.error);
+    }
+    setNarration(data.narration);
+    setStatus({
+      type: 'success',
+      text: data.narration.every(result => result.cached) ? 'Narração já estava atualizada' : 'Narração gerada'
+    });
+  });
+
+  const handleDelete = () => runAction(async () => {
+    const data = await adminFetch(`/api/ar/message?key=${encodeURIComponent(selectedKey)}`, {
+      method: 'DELETE'
+    });
+    setStatus({ type: 'success', text: data.reverted ? 'Mensagem restaurada ao padrão' : 'Mensagem removida' });
+    startNewMessage();
+    await loadMessages();
+  });
+
+  const previewMessage = preview?.message || buildMessage();
+  const selectedEntry = messages.find(entry => entry.key === selectedKey);
+
+  return (
+    <>
+      <Head>
+        <title>Admin - Mensagens AR</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="admin-page">
+        <h1>🧛‍♂️ Mensagens AR</h1>
+
+        <form className="token-form" onSubmit={handleTokenSubmit}>
+          <label className="token-field">
+            Token de administrador
+            <input
+              type="password"
+              value={tokenInput}
+              onChange={(e) => setTokenInput(e.target.value)}
+              placeholder="ADMIN_TOKEN"
+            />
+          </label>
+          <button type="submit" disabled={!tokenInput.trim()}>Entrar</button>
+        </form>
+
+        {status && (
+          <div className={`status status-${status.type}`}>{status.text}</div>
+        )}
+
+        <div className="admin-layout">
+          <aside className="message-list">
+            <button onClick={startNewMessage} className="secondary">+ Nova mensagem</button>
+            <ul>
+              {messages.map(entry => (
+                <li key={entry.key}>
+                  <button
+                    className={entry.key === selectedKey ? 'selected' : ''}
+                    onClick={() => selectMessage(entry)}
+                  >
+                    <strong>{entry.key}</strong>
+                    <span>{STATUS_LABELS[entry.status] || entry.status}{entry.hunt ? ` · pista ${entry.hunt}` : ''}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </aside>
+
+          <section className="editor">
+            <label>
+              Chave
+              <input
+                value={form.key}
+                onChange={(e) => updateField('key', e.target.value)}
+                disabled={Boolean(selectedKey)}
+                placeholder="ex: biblioteca"
+              />
+            </label>
+
+            <label>
+              Texto
+              <textarea
+                value={form.text}
+                onChange={(e) => updateField('text', e.target.value)}
+                rows={5}
+                maxLength={500}
+              />
+              <small>{form.text.length}/500</small>
+            </label>
+
+            <div className="row">
+              <label>
+                Idioma
+                <input value={form.language} onChange={(e) => updateField('language', e.target.value)} />
+              </label>
+              <label>
+                Duração (ms)
+                <input
+                  type="number"
+                  min={1000}
+                  max={30000}
+                  step={500}
+                  value={form.displayDuration}
+                  onChange={(e) => updateField('displayDuration', e.target.value)}
+                />
+              </label>
+            </div>
+
+            {Object.entries(LOCALES).filter(([locale]) => locale !== form.language).map(([locale, info]) => (
+              <label key={locale}>
+                Texto em {info.name} (opcional)
+                <textarea
+                  value={form.translations[locale]?.text || ''}
+                  onChange={(e) => updateTranslation(locale, e.target.value)}
+                  rows={3}
+                  maxLength={500}
+                  lang={info.intl}
+                />
+              </label>
+            ))}
+
+            <div className="row">
+              <label>
+                Tamanho da fonte
+                <select value={form.style.fontSize} onChange={(e) => updateNested('style', 'fontSize', e.target.value)}>
+                  {options.fontSizes.map(size => <option key={size} value={size}>{size}</option>)}
+                </select>
+              </label>
+              <label>
+                Cor do texto
+                <input type="color" value={form.style.color} onChange={(e) => updateNested('style', 'color', e.target.value)} />
+              </label>
+              <label>
+                Alinhamento
+                <select value={form.style.textAlign} onChange={(e) => updateNested('style', 'textAlign', e.target.value)}>
+                  <option value="left">Esquerda</option>
+                  <option value="center">Centro</option>
+                  <option value="right">Direita</option>
+                </select>
+              </label>
+            </div>
+
+            <div className="row">
+              <label>
+                Animação
+                <select value={form.animation.entrance} onChange={(e) => updateNested('animation', 'entrance', e.target.value)}>
+                  {options.animations.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </label>
+              <label>
+                Duração da animação
+                <input value={form.animation.duration} onChange={(e) => updateNested('animation', 'duration', e.target.value)} />
+              </label>
+              <label>
+                Dispositivo
+                <select value={deviceType} onChange={(e) => setDeviceType(e.target.value)}>
+                  {options.deviceTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              </label>
+            </div>
+
+            <div className="row">
+              <label className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={form.audio.enabled}
+                  onChange={(e) => updateNested('audio', 'enabled', e.target.checked)}
+                />
+                Som
+              </label>
+              <label>
+                Arquivo de som
+                <input
+                  value={form.audio.soundFile}
+                  onChange={(e) => updateNested('audio', 'soundFile', e.target.value)}
+                  placeholder="/ar-assets/audio/vampire-whisper.mp3"
+                />
+              </label>
+              <label className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={form.audio.loop}
+                  onChange={(e) => updateNested('audio', 'loop', e.target.checked)}
+                />
+                Repetir (ambiente)
+              </label>
+              <label>
+                Volume ({Math.round(form.audio.volume * 100)}%)
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={form.audio.volume}
+                  onChange={(e) => updateNested('audio', 'volume', e.target.value)}
+                />
+              </label>
+            </div>
+
+            <div className="row">
+              <label>
+                Modelo 3D (.glb)
+                <input
+                  value={form.model.src}
+                  onChange={(e) => updateNested('model', 'src', e.target.value)}
+                  placeholder="/ar-assets/models/vampire.glb"
+                />
+              </label>
+              <label>
+                Animação
+                <input
+                  value={form.model.animation}
+                  onChange={(e) => updateNested('model', 'animation', e.target.value)}
+                  placeholder="Todas"
+                />
+              </label>
+              <label>
+                Escala
+                <input
+                  type="number"
+                  min={0.1}
+                  max={10}
+                  step={0.1}
+                  value={form.model.scale}
+                  onChange={(e) => updateNested('model', 'scale', e.target.value)}
+                />
+              </label>
+              <label className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={form.model.showText}
+                  onChange={(e) => updateNested('model', 'showText', e.target.checked)}
+                />
+                Mostrar texto
+              </label>
+            </div>
+
+            <div className="actions">
+              <button onClick={handlePreview} disabled={isBusy || !token}>Pré-visualizar</button>
+              <button onClick={handleSave} disabled={isBusy || !token || !form.key}>Salvar rascunho</button>
+              <button
+                onClick={handlePublish}
+                disabled={isBusy || !token || !selectedEntry || selectedEntry.status === 'published'}
+              >
+                Publicar
+              </button>
+              {selectedKey && (
+                <button
+                  onClick={handleGenerateNarration}
+                  disabled={isBusy || !token || selectedEntry?.status === 'draft'}
+                  className="secondary"
+                >
+                  Gerar narração
+                </button>
+              )}
+              {selectedKey && (
+                <button onClick={handleDelete} disabled={isBusy || !token} className="danger">
+                  {selectedEntry?.builtIn ? 'Restaurar padrão' : 'Excluir'}
+                </button>
+              )}
+            </div>
+          </section>
+
+          <section className="preview">
+            <h2>Pré-visualização</h2>
+            <div className="preview-stage">
+              <div
+                className="preview-message"
+                style={{
+                  ...previewMessage.style,
+                  fontSize: PREVIEW_FONT_SIZES[previewMessage.style?.fontSize] || previewMessage.style?.fontSize,
+                  animation: `${previewMessage.animation?.entrance} ${previewMessage.animation?.duration} ease-in-out infinite alternate`
+                }}
+              >
+                {previewMessage.text || 'Digite o texto da mensagem…'}
+              </div>
+            </div>
+            {narration?.filter(result => result.file).map(result => (
+              <label key={result.file} className="narration">
+                {LOCALES[result.language]?.name || result.language}
+                <audio controls src={result.file} className="narration-player" />
+              </label>
+            ))}
+          </section>
+        </div>
+
+        <style jsx>{`
+          .admin-page {
+            min-height: 100vh;
+            padding: 2rem;
+            background: #0a0a0a;
+            color: #f0e6d2;
+            font-family: system-ui, sans-serif;
+          }
+
+          h1 {
+            color: #ff6b35;
+            margin-bottom: 1.5rem;
+          }
+
+          label {
+            display: flex;
+            flex-direction: column;
+            gap: 0.25rem;
+            margin-bottom: 1rem;
+            font-size: 0.875rem;
+            color: #c9b8e8;
+          }
+
+          input, textarea, select {
+            padding: 0.5rem;
+            border: 1px solid #4b2a6b;
+            border-radius: 0.375rem;
+            background: #1a1023;
+            color: #f0e6d2;
+            font-size: 1rem;
+          }
+
+          .token-form {
+            display: flex;
+            align-items: flex-end;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+          }
+
+          .token-field {
+            max-width: 320px;
+            margin-bottom: 0;
+          }
+
+          .status {
+            padding: 0.75rem 1rem;
+            border-radius: 0.375rem;
+            margin-bottom: 1rem;
+          }
+
+          .status-success {
+            background: rgba(34, 139, 34, 0.2);
+            border: 1px solid #228b22;
+          }
+
+          .status-error {
+            background: rgba(139, 0, 0, 0.3);
+            border: 1px solid #8b0000;
+          }
+
+          .admin-layout {
+            display: grid;
+            grid-template-columns: 220px 1fr 1fr;
+            gap: 1.5rem;
+          }
+
+          .message-list ul {
+            list-style: none;
+            padding: 0;
+            margin: 1rem 0 0;
+          }
+
+          .message-list li button {
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            width: 100%;
+            margin-bottom: 0.5rem;
+            background: #1a1023;
+            border: 1px solid #4b2a6b;
+          }
+
+          .message-list li button.selected {
+            border-color: #ff6b35;
+          }
+
+          .message-list span {
+            font-size: 0.75rem;
+            color: #a08cc0;
+          }
+
+          .row {
+            display: flex;
+            gap: 1rem;
+          }
+
+          .row label {
+            flex: 1;
+          }
+
+          .narration {
+            margin-top: 1rem;
+          }
+
+          .narration-player {
+            width: 100%;
+          }
+
+          .row label.checkbox {
+            flex: 0 0 auto;
+            flex-direction: row;
+            align-items: center;
+            gap: 0.4rem;
+          }
+
+          .actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+          }
+
+          button {
+            padding: 0.6rem 1rem;
+            border: none;
+            border-radius: 0.375rem;
+            background: #8b0000;
+            color: white;
+            cursor: pointer;
+            font-size: 0.9rem;
+          }
+
+          button:disabled {
+            opacity: 0.5;
+            cursor: not-allowed;
+          }
+
+          button.secondary {
+            background: #4b2a6b;
+          }
+
+          button.danger {
+            background: transparent;
+            border: 1px solid #8b0000;
+          }
+
+          .preview-stage {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            min-height: 320px;
+            padding: 1rem;
+            border-radius: 0.5rem;
+            background: radial-gradient(circle, #2a1a3a 0%, #000 100%);
+          }
+
+          @media (max-width: 900px) {
+            .admin-layout {
+              grid-template-columns: 1fr;
+            }
+          }
+        `}</style>
+
+        <style jsx global>{`
+          @keyframes vampireGlow {
+            from { text-shadow: 0 0 5px rgba(139, 0, 0, 0.5); }
+            to { text-shadow: 0 0 20px rgba(139, 0, 0, 1), 0 0 30px rgba(139, 0, 0, 0.6); }
+          }
+
+          @keyframes arTextFadeIn {
+            from { opacity: 0; transform: translateY(10px); }
+            to { opacity: 1; transform: translateY(0); }
+          }
+
+          @keyframes arTextPulse {
+            from { transform: scale(1); }
+            to { transform: scale(1.04); }
+          }
+
+          @keyframes arTextFlicker {
+            0%, 100% { opacity: 1; }
+            50% { opacity: 0.6; }
+          }
+        `}</style>
+      </div>
+    </>
+  );
+}
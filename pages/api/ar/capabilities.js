@@ -4,6 +4,7 @@
  */
 
 import { NextApiRequest, NextApiResponse } from 'next';
+import { classifyDevice } from '../../../lib/deviceClassifier.js';
 
 // Browser AR support matrix
 const BROWSER_SUPPORT = {
@@ -29,27 +30,32 @@ const BROWSER_SUPPORT = {
 };
 
 // Device performance profiles
+// Criteria are the typical hardware of each class, used for scoring when the browser does not report it;
+// classification itself follows CLASSIFICATION_RULES in lib/deviceClassifier.js
 const DEVICE_CLASSES = {
   high_end: {
     criteria: { ram: 6, cores: 8, gpu_tier: 'high' },
     ar_quality: 'high',
     max_fps: 60,
     effects: true,
-    marker_resolution: 'high'
+    marker_resolution: 'high',
+    max_score: 100
   },
   mid_range: {
     criteria: { ram: 4, cores: 6, gpu_tier: 'medium' },
     ar_quality: 'medium',
     max_fps: 30,
     effects: true,
-    marker_resolution: 'medium'
+    marker_resolution: 'medium',
+    max_score: 79
   },
   low_end: {
     criteria: { ram: 2, cores: 4, gpu_tier: 'low' },
     ar_quality: 'low',
     max_fps: 24,
     effects: false,
-    marker_resolution: 'low'
+    marker_resolution: 'low',
+    max_score: 55
   }
 };
 
@@ -105,6 +111,8 @@ async function handleGetCapabilities(req, res) {
     deviceMemory,
     hardwareConcurrency,
     maxTouchPoints,
+    gpuRenderer,
+    benchmarkMs,
     format = 'detailed'
   } = req.query;
 
@@ -114,12 +122,15 @@ async function handleGetCapabilities(req, res) {
     
     // Assess device capabilities
     const deviceCapabilities = assessDeviceCapabilities({
+      userAgent,
       screenWidth: parseInt(screenWidth) || 0,
       screenHeight: parseInt(screenHeight) || 0,
       pixelRatio: parseFloat(pixelRatio) || 1,
-      deviceMemory: parseInt(deviceMemory) || null,
+      deviceMemory: parseFloat(deviceMemory) || null, // Chrome reports fractions such as 0.5
       hardwareConcurrency: parseInt(hardwareConcurrency) || null,
-      maxTouchPoints: parseInt(maxTouchPoints) || 0
+      maxTouchPoints: parseInt(maxTouchPoints) || 0,
+      gpuRenderer: gpuRenderer ? String(gpuRenderer).slice(0, 200) : null,
+      benchmarkMs: parseFloat(benchmarkMs) || null
     });
 
     // Check browser AR support
@@ -248,42 +259,50 @@ function parseUserAgent(userAgent) {
  */
 function assessDeviceCapabilities(deviceInfo) {
   const {
+    userAgent,
     screenWidth,
     screenHeight,
     pixelRatio,
     deviceMemory,
     hardwareConcurrency,
-    maxTouchPoints
+    maxTouchPoints,
+    gpuRenderer,
+    benchmarkMs
   } = deviceInfo;
 
   // Calculate device metrics
   const totalPixels = screenWidth * screenHeight * pixelRatio * pixelRatio;
-  const estimatedRAM = deviceMemory || estimateRAMFromSpecs(screenWidth, screenHeight);
-  const estimatedCores = hardwareConcurrency || estimateCoresFromRAM(estimatedRAM);
-
-  // Classify device performance
-  let deviceClass = 'low_end';
-  if (estimatedRAM >= 6 && estimatedCores >= 8 && totalPixels <= 2073600) { // <= 1080p
-    deviceClass = 'high_end';
-  } else if (estimatedRAM >= 4 && estimatedCores >= 6) {
-    deviceClass = 'mid_range';
-  }
 
-  const deviceProfile = DEVICE_CLASSES[deviceClass];
+  // Classify device performance from the signals the browser reported
+  const classification = classifyDevice({ userAgent, deviceMemory, hardwareConcurrency, gpuRenderer, benchmarkMs });
+  const deviceProfile = DEVICE_CLASSES[classification.class];
+
+  // Score unreported hardware as typical for the class
+  const ram = deviceMemory || deviceProfile.criteria.ram;
+  const cores = hardwareConcurrency || deviceProfile.criteria.cores;
 
   return {
-    class: deviceClass,
+    class: classification.class,
     profile: deviceProfile,
+    classification: {
+      version: classification.version,
+      rule: classification.rule,
+      gpu_tier: classification.signals.gpuTier,
+      platform: classification.signals.platform
+    },
     metrics: {
       screen_resolution: `${screenWidth}x${screenHeight}`,
       pixel_ratio: pixelRatio,
       total_pixels: totalPixels,
-      estimated_ram_gb: estimatedRAM,
-      estimated_cores: estimatedCores,
+      ram_gb: deviceMemory,
+      cores: hardwareConcurrency,
+      gpu_renderer: gpuRenderer,
+      benchmark_ms: benchmarkMs,
       touch_support: maxTouchPoints > 0,
       max_touch_points: maxTouchPoints
     },
-    performance_score: calculatePerformanceScore(estimatedRAM, estimatedCores, totalPixels)
+    // Capped by class so a slow GPU or benchmark is not rated above its class
+    performance_score: Math.min(calculatePerformanceScore(ram, cores, totalPixels), deviceProfile.max_score)
   };
 }
 
@@ -395,32 +414,6 @@ function generateARAssessment(browserInfo, deviceCapabilities, arSupport) {
   };
 }
 
-/**
- * Estimate RAM from screen specifications
- * @param {number} width - Screen width
- * @param {number} height - Screen height
- * @returns {number} Estimated RAM in GB
- */
-function estimateRAMFromSpecs(width, height) {
-  const totalPixels = width * height;
-  if (totalPixels < 921600) return 2;      // < 720p
-  if (totalPixels < 2073600) return 4;     // < 1080p
-  if (totalPixels < 8294400) return 6;     // < 4K
-  return 8;                                // >= 4K
-}
-
-/**
- * Estimate CPU cores from RAM
- * @param {number} ram - RAM in GB
- * @returns {number} Estimated cores
- */
-function estimateCoresFromRAM(ram) {
-  if (ram <= 2) return 4;
-  if (ram <= 4) return 6;
-  if (ram <= 6) return 8;
-  return 12;
-}
-
 /**
  * Calculate device performance score
  * @param {number} ram - RAM in GB
@@ -505,13 +498,23 @@ function testWebGLCapabilities(capabilities) {
 }
 
 /**
- * Performance benchmark (placeholder for future implementation)
+ * Classify a device from benchmark results measured by useDeviceCapabilities
  */
-function performanceBenchmark(capabilities) {
+function performanceBenchmark(capabilities = {}) {
+  const classification = classifyDevice({
+    userAgent: capabilities.userAgent || null,
+    deviceMemory: parseFloat(capabilities.deviceMemory) || null,
+    hardwareConcurrency: parseInt(capabilities.hardwareConcurrency) || null,
+    gpuRenderer: capabilities.gpuRenderer || null,
+    benchmarkMs: parseFloat(capabilities.benchmarkMs) || null
+  });
+
   return {
-    score: Math.floor(Math.random() * 100),
-    fps_estimate: 30,
-    memory_usage: 'normal',
+    class: classification.class,
+    rule: classification.rule,
+    version: classification.version,
+    benchmark_ms: classification.signals.benchmarkMs,
+    fps_estimate: DEVICE_CLASSES[classification.class].max_fps,
     tested: new Date().toISOString()
   };
 }
\ No newline at end of file
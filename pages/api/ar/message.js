@@ -3,7 +3,54 @@
  * Provides configuration and content for AR message display
  */
 
+import fs from 'fs';
+import path from 'path';
 import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  getOrderedClues,
+  getClue,
+  findClueByMarker,
+  findClueByMessageKey,
+  isClueUnlocked,
+  getCurrentClue,
+  getNextClue,
+  recordClueScan,
+  describeClue
+} from '../../../lib/hunt.js';
+import { getTeamContext, describeTeam } from '../../../lib/teams.js';
+import { HINT_CONFIG, getMessageHints, withoutHints, getHints, requestHint, viewHints } from '../../../lib/hints.js';
+import { getNarration, generateNarration, pruneNarration } from '../../../lib/narration.js';
+import { getMessageStore } from '../../../lib/storage/index.js';
+import { requireAdmin } from '../../../lib/adminAuth.js';
+import { I18N_CONFIG, LOCALES, translate } from '../../../lib/i18n/index.js';
+import { getMessageLocales, selectMessageLocale, localizeMessage } from '../../../lib/i18n/messages.js';
+
+// Admin-authored messages (drafts and published overrides of AR_MESSAGES)
+const messageStore = getMessageStore();
+
+// Shared vampire theme styling for hunt messages
+const VAMPIRE_STYLE = {
+  fontSize: 'large',
+  color: '#8b0000', // Dark red for vampire theme
+  backgroundColor: 'rgba(0, 0, 0, 0.8)',
+  border: '2px solid #8b0000',
+  borderRadius: '12px',
+  padding: '1.5rem',
+  textAlign: 'center',
+  fontWeight: '600',
+  textShadow: '0 0 10px rgba(139, 0, 0, 0.5)',
+  boxShadow: '0 0 20px rgba(139, 0, 0, 0.3), inset 0 0 20px rgba(139, 0, 0, 0.1)',
+  maxWidth: '90%',
+  wordWrap: 'break-word'
+};
+
+const VAMPIRE_ANIMATION = {
+  entrance: 'vampireGlow',
+  duration: '2s',
+  timing: 'ease-in-out',
+  iteration: 'infinite',
+  direction: 'alternate'
+};
 
 // AR Message Configuration
 const AR_MESSAGES = {
@@ -16,30 +63,14 @@ const AR_MESSAGES = {
     displayDuration: 10000, // 10 seconds
     fadeInDuration: 1000,
     fadeOutDuration: 1000,
-    style: {
-      fontSize: 'large',
-      color: '#8b0000', // Dark red for vampire theme
-      backgroundColor: 'rgba(0, 0, 0, 0.8)',
-      border: '2px solid #8b0000',
-      borderRadius: '12px',
-      padding: '1.5rem',
-      textAlign: 'center',
-      fontWeight: '600',
-      textShadow: '0 0 10px rgba(139, 0, 0, 0.5)',
-      boxShadow: '0 0 20px rgba(139, 0, 0, 0.3), inset 0 0 20px rgba(139, 0, 0, 0.1)',
-      maxWidth: '90%',
-      wordWrap: 'break-word'
-    },
-    animation: {
-      entrance: 'vampireGlow',
-      duration: '2s',
-      timing: 'ease-in-out',
-      iteration: 'infinite',
-      direction: 'alternate'
-    },
+    style: VAMPIRE_STYLE,
+    animation: VAMPIRE_ANIMATION,
+    // Played while the marker is visible. The sound files are not in the repository, so the built-in
+    // messages keep audio off until one is added to public/ar-assets/audio (see its README)
     audio: {
-      enabled: false, // For future enhancement
-      soundFile: null,
+      enabled: false,
+      soundFile: '/ar-assets/audio/vampire-whisper.mp3',
+      loop: false,
       volume: 0.7
     },
     metadata: {
@@ -47,14 +78,113 @@ const AR_MESSAGES = {
       author: 'Halloween AR Experience',
       category: 'vampire_hunt',
       difficulty: 'beginner',
-      location_hint: 'reflection'
+      location_hint: 'reflection',
+      // Ordered hints for finding this clue's marker, unlocked `delay` ms after the clue becomes available
+      hints: [
+        { text: 'Vampiros não têm reflexo… mas o marcador tem.', delay: 2 * 60 * 1000 },
+        { text: 'Procure onde você consegue ver o próprio rosto.', delay: 5 * 60 * 1000 },
+        { text: 'Confira os espelhos da casa.', delay: 8 * 60 * 1000 }
+      ]
+    },
+    // A custom text from the environment has no translations
+    translations: process.env.NEXT_PUBLIC_AR_MESSAGE ? {} : {
+      en: {
+        text: 'The vampire hides in the reflection, but Rupert saw the truth… Follow him to the next clue before he vanishes too.',
+        hints: [
+          'Vampires have no reflection… but the marker does.',
+          'Look where you can see your own face.',
+          'Check the mirrors in the house.'
+        ]
+      }
     }
   },
-  
+
+  portrait: {
+    id: 'portrait_gaze',
+    text: 'Rupert encontrou o retrato, mas os olhos da pintura ainda o seguem… Onde os mortos descansam, a última pista aguarda.',
+    language: 'pt',
+    type: 'story',
+    theme: 'vampire',
+    displayDuration: 10000,
+    fadeInDuration: 1000,
+    fadeOutDuration: 1000,
+    style: VAMPIRE_STYLE,
+    animation: VAMPIRE_ANIMATION,
+    audio: {
+      enabled: false,
+      soundFile: '/ar-assets/audio/portrait-ambience.mp3',
+      loop: true, // Ambient loop
+      volume: 0.5
+    },
+    metadata: {
+      created: '2025-10-24',
+      author: 'Halloween AR Experience',
+      category: 'vampire_hunt',
+      difficulty: 'intermediate',
+      location_hint: 'portrait',
+      hints: [
+        { text: 'Alguém observa você da parede.', delay: 2 * 60 * 1000 },
+        { text: 'Procure entre os quadros e fotografias.', delay: 5 * 60 * 1000 },
+        { text: 'O marcador está junto a um retrato.', delay: 8 * 60 * 1000 }
+      ]
+    },
+    translations: {
+      en: {
+        text: 'Rupert found the portrait, but the painting\'s eyes still follow him… Where the dead rest, the last clue awaits.',
+        hints: [
+          'Someone is watching you from the wall.',
+          'Search among the paintings and photographs.',
+          'The marker is next to a portrait.'
+        ]
+      }
+    }
+  },
+
+  crypt: {
+    id: 'crypt_finale',
+    text: 'A cripta está aberta e o vampiro foi desmascarado. Rupert está a salvo — vocês venceram a caçada!',
+    language: 'pt',
+    type: 'finale',
+    theme: 'vampire',
+    displayDuration: 12000,
+    fadeInDuration: 1000,
+    fadeOutDuration: 1500,
+    style: VAMPIRE_STYLE,
+    animation: VAMPIRE_ANIMATION,
+    audio: {
+      enabled: false,
+      soundFile: '/ar-assets/audio/crypt-finale.mp3',
+      loop: false,
+      volume: 0.8
+    },
+    metadata: {
+      created: '2025-10-24',
+      author: 'Halloween AR Experience',
+      category: 'vampire_hunt',
+      difficulty: 'intermediate',
+      location_hint: 'crypt',
+      hints: [
+        { text: 'Onde os mortos descansam, a luz não entra.', delay: 2 * 60 * 1000 },
+        { text: 'Procure um lugar fechado e escuro.', delay: 5 * 60 * 1000 },
+        { text: 'Abra caixas, baús ou armários: um deles é a cripta.', delay: 8 * 60 * 1000 }
+      ]
+    },
+    translations: {
+      en: {
+        text: 'The crypt is open and the vampire has been unmasked. Rupert is safe — you won the hunt!',
+        hints: [
+          'Where the dead rest, no light gets in.',
+          'Look for a closed, dark place.',
+          'Open boxes, chests or cupboards: one of them is the crypt.'
+        ]
+      }
+    }
+  },
+
   fallback: {
     id: 'fallback_message',
-    text: 'A mysterious message appears...',
-    language: 'en',
+    text: translate(I18N_CONFIG.defaultLocale, 'arMessages.fallback'),
+    language: I18N_CONFIG.defaultLocale,
     type: 'fallback',
     theme: 'halloween',
     displayDuration: 5000,
@@ -68,7 +198,11 @@ const AR_MESSAGES = {
       borderRadius: '8px',
       padding: '1rem',
       textAlign: 'center'
-    }
+    },
+    // Taken from the i18n catalogs so every supported locale has a fallback
+    translations: Object.fromEntries(Object.keys(LOCALES)
+      .filter(locale => locale !== I18N_CONFIG.defaultLocale)
+      .map(locale => [locale, { text: translate(locale, 'arMessages.fallback') }]))
   }
 };
 
@@ -111,6 +245,31 @@ const AR_SCENE_CONFIG = {
   }
 };
 
+// Compiled MindAR target set holding one image target per hunt marker, in hunt order
+const AR_TARGET_SET = {
+  src: process.env.NEXT_PUBLIC_AR_TARGET_SET || '/ar-assets/targets/hunt.mind'
+};
+
+// Message keys, also the message IDs QR codes are bound to (see /api/qr-code)
+export const MESSAGE_ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+// Authoring constraints for admin-created messages
+const MESSAGE_FONT_SIZES = ['x-small', 'small', 'medium', 'large', 'x-large'];
+const MESSAGE_ANIMATIONS = ['vampireGlow', 'arTextFadeIn', 'arTextPulse', 'arTextFlicker'];
+const AUTHORABLE_FIELDS = [
+  'id', 'text', 'language', 'type', 'theme', 'displayDuration', 'fadeInDuration',
+  'fadeOutDuration', 'style', 'animation', 'audio', 'model', 'metadata', 'translations'
+];
+const MODEL_FILE_PATTERN = /^(\/|https?:\/\/)\S+\.(glb|gltf)$/i;
+const MODEL_MAX_SCALE = 10;
+
+// 3D models are scaled down with the device profile's quality, lighter scenes on weaker devices
+const MODEL_QUALITY_SCALE = {
+  high: 1.0,
+  medium: 0.85,
+  low: 0.7
+};
+
 // Supported device configurations
 const DEVICE_PROFILES = {
   desktop: {
@@ -150,8 +309,8 @@ const DEVICE_PROFILES = {
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -162,15 +321,25 @@ export default async function handler(req, res) {
   try {
     switch (req.method) {
       case 'GET':
-        await handleGetConfiguration(req, res);
+        if (req.query.view === 'admin') {
+          await handleListMessages(req, res);
+        } else {
+          await handleGetConfiguration(req, res);
+        }
         break;
       case 'POST':
         await handleUpdateConfiguration(req, res);
         break;
+      case 'PUT':
+        await handleEditMessage(req, res);
+        break;
+      case 'DELETE':
+        await handleDeleteMessage(req, res);
+        break;
       default:
         res.status(405).json({ 
           error: 'Method not allowed',
-          allowed: ['GET', 'POST', 'OPTIONS']
+          allowed: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
         });
     }
   } catch (error) {
@@ -186,16 +355,67 @@ export default async function handler(req, res) {
  * Handle GET requests for AR configuration
  */
 async function handleGetConfiguration(req, res) {
-  const { 
-    messageType = 'vampire',
+  const {
     deviceType = 'mobile_high',
     format = 'full',
-    includeScene = 'true'
+    includeScene = 'true',
+    sessionId,
+    clue: clueId
   } = req.query;
+  let { messageType = 'vampire' } = req.query;
+
+  if (format === 'targets') {
+    await handleGetTargets(req, res);
+    return;
+  }
+
+  if (format === 'hints') {
+    await handleGetHints(req, res);
+    return;
+  }
 
   try {
-    // Get base message configuration
-    const message = AR_MESSAGES[messageType] || AR_MESSAGES.vampire;
+    // Teammates share hunt progress
+    const { team, teammates } = await getTeamContext(sessionId);
+
+    // Resolve hunt clue: explicit clue, the session's current clue, or the clue behind the message
+    let huntClue = null;
+    if (clueId) {
+      huntClue = getClue(clueId);
+      if (!huntClue) {
+        res.status(404).json({
+          error: 'Clue not found',
+          clue: clueId
+        });
+        return;
+      }
+    } else if (sessionId && !req.query.messageType) {
+      huntClue = await getCurrentClue(sessionId, teammates);
+    } else {
+      huntClue = findClueByMessageKey(messageType);
+    }
+
+    // Refuse to reveal later clues before earlier ones are scanned
+    if (huntClue && !(await isClueUnlocked(sessionId, huntClue.id, teammates))) {
+      res.status(403).json({
+        error: 'Clue locked',
+        message: 'Earlier clues must be scanned first',
+        clue: huntClue.id,
+        currentClue: (await getCurrentClue(sessionId, teammates)).id
+      });
+      return;
+    }
+
+    if (huntClue) {
+      messageType = huntClue.messageKey;
+    }
+
+    // Get base message configuration (published admin edits take precedence) in the guest's language
+    const localeRequest = getLocaleRequest(req);
+    const messageKey = (await getLiveMessage(messageType)) ? messageType : 'vampire';
+    const message = await resolveMessage(messageKey, localeRequest);
+    const hunt = huntClue ? await describeClue(huntClue, sessionId, teammates) : null;
+    const teamSummary = team ? await describeTeam(team, sessionId) : null;
     
     // Get device profile
     const deviceProfile = DEVICE_PROFILES[deviceType] || DEVICE_PROFILES.mobile_high;
@@ -207,12 +427,15 @@ async function handleGetConfiguration(req, res) {
       // Only message data
       response = {
         message: {
-          ...message,
+          ...withoutHints(message),
           style: {
             ...message.style,
             fontSize: adjustFontSize(message.style.fontSize, deviceProfile.messageScale)
-          }
+          },
+          model: adjustModel(message.model, deviceProfile.quality)
         },
+        hunt,
+        team: teamSummary,
         deviceProfile
       };
     } else if (format === 'scene') {
@@ -232,11 +455,12 @@ async function handleGetConfiguration(req, res) {
       // Full configuration
       response = {
         message: {
-          ...message,
+          ...withoutHints(message),
           style: {
             ...message.style,
             fontSize: adjustFontSize(message.style.fontSize, deviceProfile.messageScale)
-          }
+          },
+          model: adjustModel(message.model, deviceProfile.quality)
         },
         scene: includeScene === 'true' ? {
           ...AR_SCENE_CONFIG,
@@ -246,19 +470,28 @@ async function handleGetConfiguration(req, res) {
             adaptiveQuality: deviceProfile.quality !== 'high'
           }
         } : null,
+        hunt,
+        team: teamSummary,
         deviceProfile,
         metadata: {
           version: '1.0.0',
           generated: new Date().toISOString(),
           deviceType,
-          messageType
+          messageType,
+          language: message.language
         }
       };
     }
 
-    // Add caching headers
-    res.setHeader('Cache-Control', 'public, max-age=300'); // Cache for 5 minutes
-    res.setHeader('ETag', generateConfigETag(messageType, deviceType, format));
+    // Add caching headers (hunt and team responses depend on session progress and must not be shared)
+    if ((hunt || teamSummary) && sessionId) {
+      res.setHeader('Cache-Control', 'private, no-store');
+    } else {
+      res.setHeader('Cache-Control', 'public, max-age=300'); // Cache for 5 minutes
+      res.setHeader('Vary', 'Accept-Language');
+      const record = await messageStore.getMessage(messageKey);
+      res.setHeader('ETag', generateConfigETag(messageType, deviceType, format, message, record));
+    }
 
     res.status(200).json(response);
 
@@ -272,6 +505,195 @@ async function handleGetConfiguration(req, res) {
   }
 }
 
+/**
+ * Handle GET requests for the multi-target set
+ * Returns the compiled target file and the content for each target index
+ */
+async function handleGetTargets(req, res) {
+  const { deviceType = 'mobile_high', sessionId } = req.query;
+  const deviceProfile = DEVICE_PROFILES[deviceType] || DEVICE_PROFILES.mobile_high;
+
+  try {
+    const { team, teammates } = await getTeamContext(sessionId);
+    const localeRequest = getLocaleRequest(req);
+    const markers = await Promise.all(getOrderedClues().map(async (clue, index) => {
+      const message = (await resolveMessage(clue.messageKey, localeRequest)) ||
+        localizeMessage(AR_MESSAGES.fallback, selectMessageLocale(AR_MESSAGES.fallback, localeRequest));
+      const locked = !(await isClueUnlocked(sessionId, clue.id, teammates));
+
+      return {
+        index,
+        marker: clue.marker,
+        messageKey: clue.messageKey,
+        locked,
+        // Locked clues are tracked but their content stays hidden until earlier clues are scanned
+        message: locked ? null : {
+          ...withoutHints(message),
+          style: {
+            ...message.style,
+            fontSize: adjustFontSize(message.style.fontSize, deviceProfile.messageScale)
+          },
+          model: adjustModel(message.model, deviceProfile.quality)
+        },
+        hunt: await describeClue(clue, sessionId, teammates)
+      };
+    }));
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.status(200).json({
+      targets: {
+        // Clients fall back to single-marker tracking until the target set has been compiled
+        src: targetSetExists() ? AR_TARGET_SET.src : null,
+        markers
+      },
+      team: team ? await describeTeam(team, sessionId) : null,
+      deviceProfile
+    });
+  } catch (error) {
+    console.error('Target set retrieval error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retrieve target set',
+      deviceType
+    });
+  }
+}
+
+/**
+ * Resolve the clue a hint request refers to
+ * Defaults to the clue the session is looking for next
+ * @param {string} sessionId - Session ID
+ * @param {string} clueId - Requested clue ID (optional)
+ * @param {Array<string>} teammates - Session IDs of the other team members
+ * @returns {Promise<Object>} { clue, error, status } (null clue once the hunt is complete)
+ */
+async function resolveHintClue(sessionId, clueId, teammates) {
+  if (!clueId) {
+    return { clue: await getNextClue(sessionId, teammates) };
+  }
+
+  const clue = getClue(clueId);
+  if (!clue) {
+    return { error: 'Clue not found', status: 404 };
+  }
+  if (!(await isClueUnlocked(sessionId, clue.id, teammates))) {
+    return { error: 'Clue locked', status: 403 };
+  }
+  return { clue };
+}
+
+/**
+ * Handle GET requests for the hints a session has unlocked, revealing any whose timer ran out
+ */
+async function handleGetHints(req, res) {
+  const { sessionId, clue: clueId } = req.query;
+
+  if (!sessionId) {
+    res.status(400).json({ error: 'Session ID required' });
+    return;
+  }
+
+  const { teammates } = await getTeamContext(sessionId);
+  const { clue, error, status } = await resolveHintClue(sessionId, clueId, teammates);
+  if (error) {
+    res.status(status).json({ error, clue: clueId });
+    return;
+  }
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  // Nothing left to find once the hunt is complete
+  if (!clue) {
+    res.status(200).json({ hints: null });
+    return;
+  }
+
+  const hints = getMessageHints(await resolveMessage(clue.messageKey, getLocaleRequest(req)));
+  res.status(200).json({
+    hints: await getHints(sessionId, clue, hints, teammates),
+    hunt: await describeClue(clue, sessionId, teammates)
+  });
+}
+
+/**
+ * Resolve the session, clue and hints a hint action refers to, answering the request on errors
+ * @param {Object} data - { sessionId, clueId }
+ * @param {NextApiResponse} res - API response
+ * @param {Object} localeRequest - { lang, acceptLanguage } from getLocaleRequest
+ * @returns {Promise<Object|null>} { sessionId, clue, hints, teammates }, or null if the request was answered
+ */
+async function resolveHintAction(data = {}, res, localeRequest = {}) {
+  const { sessionId, clueId } = data;
+
+  if (!sessionId) {
+    res.status(400).json({ error: 'Session ID required' });
+    return null;
+  }
+
+  const { teammates } = await getTeamContext(sessionId);
+  const { clue, error, status } = await resolveHintClue(sessionId, clueId, teammates);
+  if (error) {
+    res.status(status).json({ error, clue: clueId });
+    return null;
+  }
+
+  if (!clue) {
+    res.status(409).json({ error: 'Hunt already completed' });
+    return null;
+  }
+
+  const hints = getMessageHints(await resolveMessage(clue.messageKey, localeRequest));
+  return { sessionId, clue, hints, teammates };
+}
+
+/**
+ * Reveal the next hint for a clue on request
+ * @param {Object} data - { sessionId, clueId, lang }
+ * @param {NextApiResponse} res - API response
+ * @param {Object} localeRequest - { lang, acceptLanguage } from getLocaleRequest
+ */
+async function handleHintRequest(data = {}, res, localeRequest = {}) {
+  const context = await resolveHintAction(data, res, localeRequest);
+  if (!context) {
+    return;
+  }
+
+  const { sessionId, clue, hints, teammates } = context;
+  const result = await requestHint(sessionId, clue, hints, teammates);
+
+  res.status(200).json({
+    status: result.status,
+    hints: result.hints,
+    hunt: await describeClue(clue, sessionId, teammates)
+  });
+}
+
+/**
+ * Record that the guest opened the hint panel, so hints unlocked by their timer count as seen
+ * @param {Object} data - { sessionId, clueId, lang }
+ * @param {NextApiResponse} res - API response
+ * @param {Object} localeRequest - { lang, acceptLanguage } from getLocaleRequest
+ */
+async function handleHintView(data = {}, res, localeRequest = {}) {
+  const context = await resolveHintAction(data, res, localeRequest);
+  if (!context) {
+    return;
+  }
+
+  const { sessionId, clue, hints, teammates } = context;
+  res.status(200).json({ hints: await viewHints(sessionId, clue, hints, teammates) });
+}
+
+/**
+ * Check whether the compiled target set is available
+ * @returns {boolean} True if the target file can be served
+ */
+function targetSetExists() {
+  if (/^https?:\/\//.test(AR_TARGET_SET.src)) {
+    return true;
+  }
+  return fs.existsSync(path.join(process.cwd(), 'public', AR_TARGET_SET.src));
+}
+
 /**
  * Handle POST requests for configuration updates
  */
@@ -289,11 +711,50 @@ async function handleUpdateConfiguration(req, res) {
         const profile = testDeviceProfile(data);
         res.status(200).json({ profile, supported: profile.supported });
         break;
+
+      case 'scan_clue':
+        await handleClueScan(data, res, getLocaleRequest(req, data?.lang));
+        break;
+
+      case 'request_hint':
+        await handleHintRequest(data, res, getLocaleRequest(req, data?.lang));
+        break;
+
+      case 'view_hints':
+        await handleHintView(data, res, getLocaleRequest(req, data?.lang));
+        break;
+
+      case 'create_message':
+        if (requireAdmin(req, res)) {
+          await handleCreateMessage(data, res);
+        }
+        break;
+
+      case 'publish_message':
+        if (requireAdmin(req, res)) {
+          await handlePublishMessage(data, res);
+        }
+        break;
+
+      case 'preview_message':
+        if (requireAdmin(req, res)) {
+          handlePreviewMessage(data, res);
+        }
+        break;
+
+      case 'generate_narration':
+        if (requireAdmin(req, res)) {
+          await handleGenerateNarration(data, res);
+        }
+        break;
         
       default:
         res.status(400).json({ 
           error: 'Invalid action',
-          validActions: ['validate_message', 'test_device_profile']
+          validActions: [
+            'validate_message', 'test_device_profile', 'scan_clue', 'request_hint', 'view_hints',
+            'create_message', 'publish_message', 'preview_message', 'generate_narration'
+          ]
         });
     }
   } catch (error) {
@@ -305,6 +766,386 @@ async function handleUpdateConfiguration(req, res) {
   }
 }
 
+/**
+ * Record a hunt clue scan for a session and reveal its message
+ * @param {Object} data - Scan data ({ sessionId, clueId } or { sessionId, marker }, optional lang)
+ * @param {NextApiResponse} res - API response
+ * @param {Object} localeRequest - { lang, acceptLanguage } from getLocaleRequest
+ */
+async function handleClueScan(data = {}, res, localeRequest = {}) {
+  const { sessionId, clueId, marker } = data;
+
+  if (!sessionId || (!clueId && !marker)) {
+    res.status(400).json({
+      error: 'Session ID and clueId or marker required'
+    });
+    return;
+  }
+
+  const clue = clueId ? getClue(clueId) : findClueByMarker(marker);
+  if (!clue) {
+    res.status(404).json({
+      error: 'Clue not found',
+      clue: clueId || marker
+    });
+    return;
+  }
+
+  const { team, teammates } = await getTeamContext(sessionId);
+  const result = await recordClueScan(sessionId, clue.id, teammates);
+
+  if (result.status === 'locked') {
+    res.status(403).json({
+      error: 'Clue locked',
+      message: 'Earlier clues must be scanned first',
+      clue: clue.id,
+      currentClue: (await getCurrentClue(sessionId, teammates)).id
+    });
+    return;
+  }
+
+  res.status(200).json({
+    status: result.status,
+    message: withoutHints((await resolveMessage(clue.messageKey, localeRequest)) ||
+      localizeMessage(AR_MESSAGES.fallback, selectMessageLocale(AR_MESSAGES.fallback, localeRequest))),
+    hunt: await describeClue(clue, sessionId, teammates),
+    progress: result.progress,
+    team: team ? await describeTeam(team, sessionId) : null
+  });
+}
+
+/**
+ * Read the language preferences of a request
+ * @param {NextApiRequest} req - API request
+ * @param {string} lang - Explicit language (defaults to the `lang` query parameter)
+ * @returns {Object} { lang, acceptLanguage }
+ */
+function getLocaleRequest(req, lang = req.query.lang) {
+  return { lang, acceptLanguage: req.headers['accept-language'] };
+}
+
+/**
+ * Get the live version of a message with all its translations
+ * Published admin edits override the built-in AR_MESSAGES entry
+ * @param {string} key - Message key
+ * @returns {Promise<Object|null>} Message configuration or null if unknown
+ */
+async function getLiveMessage(key) {
+  const record = await messageStore.getMessage(key);
+  return record?.published || AR_MESSAGES[key] || null;
+}
+
+/**
+ * Resolve the live version of a message in the best language for a request
+ * @param {string} key - Message key
+ * @param {Object} localeRequest - { lang, acceptLanguage } from getLocaleRequest
+ * @returns {Promise<Object|null>} Localized message configuration or null if unknown
+ */
+async function resolveMessage(key, localeRequest = {}) {
+  const message = await getLiveMessage(key);
+  if (!message) {
+    return null;
+  }
+
+  const localized = localizeMessage(message, selectMessageLocale(message, localeRequest));
+
+  // Narration is only attached once generated for the variant's current text
+  return { ...localized, narration: getNarration(key, localized) };
+}
+
+/**
+ * Generate narration audio for one or all published messages (admin)
+ * @param {Object} data - { key, force }
+ * @param {NextApiResponse} res - API response
+ */
+async function handleGenerateNarration(data = {}, res) {
+  const { key, force = false } = data;
+
+  let keys;
+  if (key) {
+    keys = [key];
+  } else {
+    const records = await messageStore.listMessages();
+    keys = Array.from(new Set([
+      ...Object.keys(AR_MESSAGES).filter(entry => entry !== 'fallback'),
+      ...records.filter(record => record.published).map(record => record.key)
+    ]));
+  }
+
+  const results = [];
+  for (const messageKey of keys) {
+    const message = await getLiveMessage(messageKey);
+    if (!message) {
+      res.status(404).json({ error: 'Message not found', key: messageKey });
+      return;
+    }
+
+    // One recording per language the message is available in
+    for (const locale of getMessageLocales(message)) {
+      try {
+        results.push(await generateNarration(messageKey, localizeMessage(message, locale), { force }));
+      } catch (error) {
+        if (error.code === 'ENGINE_UNAVAILABLE') {
+          res.status(503).json({
+            error: 'Speech engine not available',
+            message: 'Install espeak-ng (or set TTS_ENGINE) on the server to generate narration'
+          });
+          return;
+        }
+        results.push({ key: messageKey, language: locale, error: error.message });
+      }
+    }
+  }
+
+  // A full run leaves only the narration of current message texts
+  const pruned = key ? 0 : await pruneNarration(
+    results.filter(result => result.file).map(result => path.basename(result.file))
+  );
+
+  res.status(200).json({
+    success: results.every(result => !result.error),
+    narration: results,
+    pruned
+  });
+}
+
+/**
+ * Keep only authorable fields and fill defaults for a message
+ * @param {string} key - Message key
+ * @param {Object} message - Submitted message configuration
+ * @returns {Object} Normalized message configuration
+ */
+function normalizeMessage(key, message = {}) {
+  const normalized = {};
+  AUTHORABLE_FIELDS.forEach(field => {
+    if (message[field] !== undefined) {
+      normalized[field] = message[field];
+    }
+  });
+
+  return {
+    id: `${key}_message`,
+    language: 'pt',
+    type: 'story',
+    theme: 'vampire',
+    displayDuration: 10000,
+    fadeInDuration: 1000,
+    fadeOutDuration: 1000,
+    ...normalized,
+    style: { ...VAMPIRE_STYLE, ...normalized.style },
+    animation: { ...VAMPIRE_ANIMATION, ...normalized.animation }
+  };
+}
+
+/**
+ * Describe a message for the admin listing
+ * @param {string} key - Message key
+ * @param {Object|null} record - Stored record
+ * @returns {Object} Admin view of the message
+ */
+function describeMessageForAdmin(key, record) {
+  const builtIn = AR_MESSAGES[key] || null;
+
+  return {
+    key,
+    builtIn: Boolean(builtIn),
+    hunt: findClueByMessageKey(key)?.id || null,
+    status: record?.status || 'published',
+    draft: record?.draft || builtIn,
+    published: record?.published || builtIn,
+    createdAt: record?.createdAt || null,
+    updatedAt: record?.updatedAt || null,
+    publishedAt: record?.publishedAt || null
+  };
+}
+
+/**
+ * List all messages with drafts (admin)
+ */
+async function handleListMessages(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const records = await messageStore.listMessages();
+  const recordsByKey = new Map(records.map(record => [record.key, record]));
+  const keys = new Set([...Object.keys(AR_MESSAGES), ...recordsByKey.keys()]);
+
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.status(200).json({
+    messages: Array.from(keys).map(key => describeMessageForAdmin(key, recordsByKey.get(key) || null)),
+    options: {
+      fontSizes: MESSAGE_FONT_SIZES,
+      animations: MESSAGE_ANIMATIONS,
+      deviceTypes: Object.keys(DEVICE_PROFILES)
+    }
+  });
+}
+
+/**
+ * Create a new draft message (admin)
+ * @param {Object} data - { key, message }
+ * @param {NextApiResponse} res - API response
+ */
+async function handleCreateMessage(data = {}, res) {
+  const { key, message } = data;
+
+  if (!key || !MESSAGE_ID_PATTERN.test(key)) {
+    res.status(400).json({
+      error: 'Invalid message key',
+      pattern: MESSAGE_ID_PATTERN.source
+    });
+    return;
+  }
+
+  if (AR_MESSAGES[key] || await messageStore.getMessage(key)) {
+    res.status(409).json({ error: 'Message already exists', key });
+    return;
+  }
+
+  const draft = normalizeMessage(key, message);
+  const validation = validateMessageConfig(draft);
+  if (!validation.valid) {
+    res.status(400).json({ error: 'Invalid message', errors: validation.errors });
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const record = await messageStore.saveMessage({
+    key,
+    status: 'draft',
+    draft,
+    published: null,
+    createdAt: now,
+    updatedAt: now,
+    publishedAt: null
+  });
+
+  res.status(201).json({ success: true, message: describeMessageForAdmin(key, record) });
+}
+
+/**
+ * Update a message draft (admin)
+ */
+async function handleEditMessage(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const { key } = req.query;
+  const { message = {} } = req.body || {};
+
+  const existing = key ? await messageStore.getMessage(key) : null;
+  if (!existing && !AR_MESSAGES[key]) {
+    res.status(404).json({ error: 'Message not found', key });
+    return;
+  }
+
+  // Built-in messages get a stored record on first edit; live content stays built-in until published
+  const current = existing?.draft || AR_MESSAGES[key];
+  const draft = normalizeMessage(key, {
+    ...current,
+    ...message,
+    style: { ...current.style, ...message.style },
+    animation: { ...current.animation, ...message.animation }
+  });
+
+  const validation = validateMessageConfig(draft);
+  if (!validation.valid) {
+    res.status(400).json({ error: 'Invalid message', errors: validation.errors });
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const hasPublished = Boolean(existing?.published || AR_MESSAGES[key]);
+  const record = await messageStore.saveMessage({
+    key,
+    createdAt: now,
+    publishedAt: null,
+    published: null,
+    ...existing,
+    status: hasPublished ? 'modified' : 'draft',
+    draft,
+    updatedAt: now
+  });
+
+  res.status(200).json({ success: true, message: describeMessageForAdmin(key, record) });
+}
+
+/**
+ * Publish a message draft (admin)
+ * @param {Object} data - { key }
+ * @param {NextApiResponse} res - API response
+ */
+async function handlePublishMessage(data = {}, res) {
+  const { key } = data;
+  const record = key ? await messageStore.getMessage(key) : null;
+
+  if (!record) {
+    res.status(404).json({ error: 'No draft to publish', key });
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const published = await messageStore.saveMessage({
+    ...record,
+    status: 'published',
+    published: record.draft,
+    updatedAt: now,
+    publishedAt: now
+  });
+
+  res.status(200).json({ success: true, message: describeMessageForAdmin(key, published) });
+}
+
+/**
+ * Preview a message as a given device would receive it, without saving (admin)
+ * @param {Object} data - { key, message, deviceType, lang }
+ * @param {NextApiResponse} res - API response
+ */
+function handlePreviewMessage(data = {}, res) {
+  const { key = 'preview', message, deviceType = 'mobile_high', lang } = data;
+  const deviceProfile = DEVICE_PROFILES[deviceType] || DEVICE_PROFILES.mobile_high;
+  const preview = normalizeMessage(key, message);
+  const localized = localizeMessage(preview, selectMessageLocale(preview, { lang }));
+
+  res.status(200).json({
+    message: {
+      ...localized,
+      style: {
+        ...localized.style,
+        fontSize: adjustFontSize(localized.style.fontSize, deviceProfile.messageScale)
+      },
+      model: adjustModel(localized.model, deviceProfile.quality)
+    },
+    deviceProfile,
+    validation: validateMessageConfig(preview)
+  });
+}
+
+/**
+ * Delete an admin-authored message or revert a built-in message to its default (admin)
+ */
+async function handleDeleteMessage(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const { key } = req.query;
+  const deleted = key ? await messageStore.deleteMessage(key) : false;
+
+  if (!deleted) {
+    res.status(404).json({ error: 'Message not found', key });
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    reverted: Boolean(AR_MESSAGES[key]),
+    message: AR_MESSAGES[key] ? 'Message reverted to built-in default' : 'Message deleted successfully'
+  });
+}
+
 /**
  * Adjust font size based on device scale
  * @param {string} fontSize - Original font size
@@ -322,12 +1163,27 @@ function adjustFontSize(fontSize, scale) {
   return sizeMap[fontSize] || fontSize;
 }
 
+/**
+ * Scale a message's 3D model for the device profile's quality level
+ * @param {Object} model - Model configuration ({ src, scale, ... })
+ * @param {string} quality - Device profile quality ('high', 'medium' or 'low')
+ * @returns {Object|undefined} Adjusted model, or undefined if the message has none
+ */
+function adjustModel(model, quality) {
+  if (!model) {
+    return undefined;
+  }
+
+  const scale = (model.scale ?? 1) * (MODEL_QUALITY_SCALE[quality] ?? 1);
+  return { ...model, scale: Math.round(scale * 1000) / 1000 };
+}
+
 /**
  * Validate message configuration
  * @param {Object} config - Message configuration to validate
  * @returns {Object} Validation result
  */
-function validateMessageConfig(config) {
+function validateMessageConfig(config = {}) {
   const errors = [];
   
   if (!config.text || config.text.length === 0) {
@@ -341,6 +1197,75 @@ function validateMessageConfig(config) {
   if (config.displayDuration && (config.displayDuration < 1000 || config.displayDuration > 30000)) {
     errors.push('Display duration must be between 1-30 seconds');
   }
+
+  if (config.style?.fontSize && !MESSAGE_FONT_SIZES.includes(config.style.fontSize)) {
+    errors.push(`Font size must be one of: ${MESSAGE_FONT_SIZES.join(', ')}`);
+  }
+
+  if (config.animation?.entrance && !MESSAGE_ANIMATIONS.includes(config.animation.entrance)) {
+    errors.push(`Animation must be one of: ${MESSAGE_ANIMATIONS.join(', ')}`);
+  }
+
+  if (config.animation?.duration && !/^\d+(\.\d+)?m?s$/.test(config.animation.duration)) {
+    errors.push('Animation duration must be a CSS time such as "2s" or "800ms"');
+  }
+
+  if (config.audio?.volume !== undefined && !(config.audio.volume >= 0 && config.audio.volume <= 1)) {
+    errors.push('Audio volume must be between 0 and 1');
+  }
+
+  if (config.audio?.enabled && !/^(\/|https?:\/\/)\S+$/.test(config.audio.soundFile || '')) {
+    errors.push('Enabled audio needs a soundFile path or URL');
+  }
+
+  const model = config.model;
+  if (model !== undefined && model !== null) {
+    const isVector = value => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+
+    if (typeof model !== 'object' || !MODEL_FILE_PATTERN.test(model.src || '')) {
+      errors.push('Model needs a .glb or .gltf src path or URL');
+    } else if (model.scale !== undefined && !(Number.isFinite(model.scale) && model.scale > 0 && model.scale <= MODEL_MAX_SCALE)) {
+      errors.push(`Model scale must be a number above 0 and at most ${MODEL_MAX_SCALE}`);
+    } else if ((model.position !== undefined && !isVector(model.position)) ||
+      (model.rotation !== undefined && !isVector(model.rotation))) {
+      errors.push('Model position and rotation must be [x, y, z] numbers');
+    } else if (model.animation !== undefined && (typeof model.animation !== 'string' || !model.animation)) {
+      errors.push('Model animation must be the name of one of its clips');
+    }
+  }
+
+  const hints = config.metadata?.hints;
+  if (hints !== undefined) {
+    if (!Array.isArray(hints) || hints.length > HINT_CONFIG.maxHints) {
+      errors.push(`Hints must be a list of at most ${HINT_CONFIG.maxHints} entries`);
+    } else if (hints.some(hint => !hint?.text || hint.text.length > HINT_CONFIG.maxTextLength)) {
+      errors.push(`Each hint needs a text of at most ${HINT_CONFIG.maxTextLength} characters`);
+    } else if (hints.some(hint => hint.delay !== undefined && !(Number.isFinite(hint.delay) && hint.delay >= 0))) {
+      errors.push('Hint delays must be a non-negative number of milliseconds');
+    }
+  }
+
+  const translations = config.translations;
+  if (translations !== undefined) {
+    const entries = translations && typeof translations === 'object' && !Array.isArray(translations)
+      ? Object.entries(translations)
+      : null;
+
+    if (!entries) {
+      errors.push('Translations must be an object keyed by locale');
+    } else {
+      entries.forEach(([locale, variant]) => {
+        if (!LOCALES[locale]) {
+          errors.push(`Translation locale must be one of: ${Object.keys(LOCALES).join(', ')}`);
+        } else if (!variant?.text || variant.text.length > 500) {
+          errors.push(`Translation "${locale}" needs a text of at most 500 characters`);
+        } else if (variant.hints !== undefined && (!Array.isArray(variant.hints) ||
+          variant.hints.some(hint => typeof hint !== 'string' || hint.length > HINT_CONFIG.maxTextLength))) {
+          errors.push(`Translation "${locale}" hints must be texts of at most ${HINT_CONFIG.maxTextLength} characters`);
+        }
+      });
+    }
+  }
   
   return {
     valid: errors.length === 0,
@@ -385,15 +1310,19 @@ function testDeviceProfile(deviceInfo) {
 
 /**
  * Generate ETag for configuration caching
+ * Publishing an edit or generating narration changes the served message, so both are part of the tag
  * @param {string} messageType - Message type
  * @param {string} deviceType - Device type  
  * @param {string} format - Response format
+ * @param {Object} message - Served message variant (from resolveMessage)
+ * @param {Object|null} record - Stored admin record of the served message, null for unedited built-in messages
  * @returns {string} ETag
  */
-function generateConfigETag(messageType, deviceType, format) {
+function generateConfigETag(messageType, deviceType, format, message, record) {
+  const revision = [record?.publishedAt, record?.updatedAt, message.narration?.file].map(part => part || '').join('-');
   const hash = require('crypto')
     .createHash('md5')
-    .update(`${messageType}-${deviceType}-${format}-v1.0.0`)
+    .update(`${messageType}-${deviceType}-${format}-${message.language}-${revision}-v1.0.0`)
     .digest('hex');
   return `"${hash}"`;
 }
@@ -407,11 +1336,21 @@ export function getAvailableMessages() {
     id: key,
     name: AR_MESSAGES[key].text.substring(0, 50) + '...',
     language: AR_MESSAGES[key].language,
+    locales: getMessageLocales(AR_MESSAGES[key]),
     theme: AR_MESSAGES[key].theme,
     type: AR_MESSAGES[key].type
   }));
 }
 
+/**
+ * Check whether a message key is live (built-in or published)
+ * @param {string} key - Message key
+ * @returns {Promise<boolean>} True if the message exists
+ */
+export async function messageExists(key) {
+  return Boolean(await getLiveMessage(key));
+}
+
 /**
  * Get device profiles
  * @returns {Object} Available device profiles
@@ -0,0 +1,55 @@
+/**
+ * Message Narration Audio API
+ * Serves the narration files generated by the generate_narration admin action
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { readNarration } from '../../../lib/narration.js';
+
+/**
+ * Narration API Handler
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed',
+      allowed: ['GET', 'OPTIONS']
+    });
+    return;
+  }
+
+  try {
+    const { file } = req.query;
+    const buffer = await readNarration(file);
+
+    if (!buffer) {
+      res.status(404).json({ error: 'Narration not found', file: file || null });
+      return;
+    }
+
+    // File names carry a hash of the text and voice, so a file never changes once generated
+    res.setHeader('Content-Type', 'audio/wav');
+    res.setHeader('Content-Length', buffer.length.toString());
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.status(200).send(buffer);
+  } catch (error) {
+    console.error('Narration API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Failed to read narration'
+    });
+  }
+}
@@ -0,0 +1,340 @@
+/**
+ * AR Target Compiler API
+ * Renders QR markers with the same settings as /api/qr-code and compiles them into cached MindAR .mind target files
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import QRCode from 'qrcode';
+import { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../lib/adminAuth.js';
+import { MESSAGE_ID_PATTERN, messageExists } from './message.js';
+import {
+  QR_CONFIG,
+  URL_PATTERN,
+  MAX_URL_LENGTH,
+  bindMessageId,
+  getSiteOrigins
+} from '../qr-code.js';
+
+// Target compilation configuration
+const TARGET_CONFIG = {
+  cacheDir: path.join(process.cwd(), 'public', 'ar-assets', 'cache'),
+  maxTargets: 5,
+  maxCachedTargets: 100, // Least recently used targets are deleted beyond this
+  // Bump when the compiler or marker rendering changes so stale targets are not reused
+  version: 'mindar-1.2.5-v1'
+};
+
+// Compilations in progress, so concurrent requests for the same markers share one job
+const pendingCompilations = new Map();
+
+/**
+ * AR Target Compiler API Handler
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  let targets = [];
+
+  if (req.method === 'GET') {
+    targets = [req.query];
+  } else if (req.method === 'POST') {
+    const body = req.body || {};
+    targets = Array.isArray(body.targets) ? body.targets : [body];
+  } else {
+    res.status(405).json({
+      error: 'Method not allowed',
+      allowed: ['GET', 'POST', 'OPTIONS']
+    });
+    return;
+  }
+
+  if (targets.length === 0 || targets.length > TARGET_CONFIG.maxTargets) {
+    res.status(400).json({
+      error: 'Invalid number of targets',
+      range: `1-${TARGET_CONFIG.maxTargets}`,
+      provided: targets.length
+    });
+    return;
+  }
+
+  // Resolve the exact payload printed in each QR code
+  const payloads = [];
+  for (const target of targets) {
+    const resolved = resolvePayload(target);
+    if (resolved.error) {
+      res.status(400).json(resolved);
+      return;
+    }
+    payloads.push(resolved.payload);
+  }
+
+  const etag = `"${getCacheKey(payloads)}"`;
+  if (req.headers['if-none-match'] === etag) {
+    res.status(304).end();
+    return;
+  }
+
+  try {
+    const startTime = Date.now();
+    let buffer = await readCachedTarget(payloads);
+    const cached = Boolean(buffer);
+
+    // Compiled targets are served to anyone, but only the hunt's own codes are compiled on demand
+    if (!cached && !(await isHuntPayload(req, payloads)) && !requireAdmin(req, res)) {
+      return;
+    }
+
+    if (!cached) {
+      buffer = await compileAndCacheTarget(payloads);
+    }
+
+    // Targets are addressed by their payloads, so they never change once compiled
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${getCacheKey(payloads)}.mind"`);
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('ETag', etag);
+    res.setHeader('X-AR-Target-Count', payloads.length.toString());
+    res.setHeader('X-AR-Target-Cache', cached ? 'HIT' : 'MISS');
+    res.setHeader('X-AR-Compile-Time', (Date.now() - startTime).toString());
+
+    res.status(200).send(buffer);
+
+    if (process.env.NODE_ENV === 'development' && !cached) {
+      console.log(`AR target compiled: ${payloads.length} marker(s) (${Date.now() - startTime}ms)`);
+    }
+  } catch (error) {
+    console.error('AR target compilation error:', error);
+
+    if (error.code === 'COMPILER_UNAVAILABLE') {
+      res.status(503).json({
+        error: 'Target compiler not available',
+        message: 'Install the optional mind-ar and canvas dependencies to compile targets on the server'
+      });
+    } else {
+      res.status(500).json({
+        error: 'Target compilation failed',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+/**
+ * Resolve the QR payload for a target, binding the message ID the same way /api/qr-code does
+ * @param {Object} target - { data | url, messageId }
+ * @returns {Object} { payload } or an error description
+ */
+function resolvePayload(target = {}) {
+  const data = target.data || target.url || '';
+  const { messageId } = target;
+
+  if (!data) {
+    return {
+      error: 'Missing required parameter: data or url',
+      example: '/api/ar/target?url=https://yoursite.com/ar&messageId=portrait'
+    };
+  }
+
+  if (data.length > MAX_URL_LENGTH) {
+    return {
+      error: 'Data too long',
+      maxLength: MAX_URL_LENGTH,
+      provided: data.length
+    };
+  }
+
+  if (!messageId) {
+    return { payload: data };
+  }
+
+  if (!MESSAGE_ID_PATTERN.test(messageId)) {
+    return {
+      error: 'Invalid message ID',
+      pattern: MESSAGE_ID_PATTERN.source,
+      provided: messageId
+    };
+  }
+
+  if (!URL_PATTERN.test(data)) {
+    return { error: 'Message binding requires a URL' };
+  }
+
+  return { payload: bindMessageId(data, messageId) };
+}
+
+/**
+ * Build the cache key for a set of marker payloads
+ * @param {Array<string>} payloads - QR payloads in target index order
+ * @returns {string} Cache key
+ */
+function getCacheKey(payloads) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ payloads, qr: QR_CONFIG, version: TARGET_CONFIG.version }))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Check whether a request is for a single code the hunt prints:
+ * the AR page bound to a known message, the plain AR page or the home page of this site
+ * @param {NextApiRequest} req - API request
+ * @param {Array<string>} payloads - QR payloads
+ * @returns {Promise<boolean>} True if the target may be compiled without the admin token
+ */
+async function isHuntPayload(req, payloads) {
+  if (payloads.length !== 1) {
+    return false;
+  }
+
+  let url;
+  try {
+    url = new URL(payloads[0]);
+  } catch {
+    return false;
+  }
+
+  const { origin } = url;
+  if (!getSiteOrigins(req).includes(origin)) {
+    return false;
+  }
+
+  const payload = payloads[0];
+  if (payload === `${origin}/` || payload === `${origin}/ar`) {
+    return true;
+  }
+
+  // Anything beyond the bound message ID (other parameters, hashes) needs the admin token
+  const messageId = url.searchParams.get('qr');
+  return Boolean(messageId) &&
+    MESSAGE_ID_PATTERN.test(messageId) &&
+    payload === bindMessageId(`${origin}/ar`, messageId) &&
+    await messageExists(messageId);
+}
+
+/**
+ * Read a compiled target from cache
+ * @param {Array<string>} payloads - QR payloads in target index order
+ * @returns {Promise<Buffer|null>} Compiled target data, or null if not cached
+ */
+async function readCachedTarget(payloads) {
+  const filePath = path.join(TARGET_CONFIG.cacheDir, `${getCacheKey(payloads)}.mind`);
+
+  try {
+    const buffer = await fs.readFile(filePath);
+    // Mark as recently used for cache eviction
+    const now = new Date();
+    await fs.utimes(filePath, now, now).catch(() => {});
+    return buffer;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Compile a target and add it to the cache
+ * @param {Array<string>} payloads - QR payloads in target index order
+ * @returns {Promise<Buffer>} Compiled target data
+ */
+async function compileAndCacheTarget(payloads) {
+  const key = getCacheKey(payloads);
+  const filePath = path.join(TARGET_CONFIG.cacheDir, `${key}.mind`);
+
+  if (!pendingCompilations.has(key)) {
+    const job = compileTargets(payloads)
+      .then(async (buffer) => {
+        await fs.mkdir(TARGET_CONFIG.cacheDir, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, buffer);
+        await fs.rename(tempPath, filePath);
+        await pruneCache();
+        return buffer;
+      })
+      .finally(() => pendingCompilations.delete(key));
+
+    pendingCompilations.set(key, job);
+  }
+
+  return pendingCompilations.get(key);
+}
+
+/**
+ * Delete the least recently used targets beyond the cache limit
+ */
+async function pruneCache() {
+  const files = (await fs.readdir(TARGET_CONFIG.cacheDir)).filter(file => file.endsWith('.mind'));
+  if (files.length <= TARGET_CONFIG.maxCachedTargets) {
+    return;
+  }
+
+  const entries = await Promise.all(files.map(async (file) => {
+    const filePath = path.join(TARGET_CONFIG.cacheDir, file);
+    const stats = await fs.stat(filePath).catch(() => null);
+    return { filePath, usedAt: stats ? stats.mtimeMs : 0 };
+  }));
+
+  entries
+    .sort((a, b) => b.usedAt - a.usedAt)
+    .slice(TARGET_CONFIG.maxCachedTargets)
+    .forEach(({ filePath }) => fs.unlink(filePath).catch(() => {}));
+}
+
+/**
+ * Render QR markers and compile them into a single .mind file
+ * @param {Array<string>} payloads - QR payloads in target index order
+ * @returns {Promise<Buffer>} Compiled target data
+ */
+async function compileTargets(payloads) {
+  const { OfflineCompiler, loadImage } = await loadCompiler();
+
+  // Render exactly what /api/qr-code prints
+  const images = await Promise.all(payloads.map(async (payload) => {
+    const png = await QRCode.toBuffer(payload, { ...QR_CONFIG, type: 'image/png' });
+    return loadImage(png);
+  }));
+
+  const compiler = new OfflineCompiler();
+  await compiler.compileImageTargets(images, () => {});
+
+  return Buffer.from(compiler.exportData());
+}
+
+/**
+ * Load the MindAR offline compiler
+ * mind-ar and canvas are optional native/ESM-only dependencies, so they are loaded at runtime
+ * @returns {Promise<Object>} { OfflineCompiler, loadImage }
+ */
+async function loadCompiler() {
+  try {
+    const [compilerModule, canvasModule] = await Promise.all([
+      import(/* webpackIgnore: true */ 'mind-ar/src/image-target/offline-compiler.js'),
+      import(/* webpackIgnore: true */ 'canvas')
+    ]);
+
+    return {
+      OfflineCompiler: compilerModule.OfflineCompiler,
+      loadImage: canvasModule.loadImage || canvasModule.default.loadImage
+    };
+  } catch (error) {
+    const unavailable = new Error(`MindAR offline compiler could not be loaded: ${error.message}`);
+    unavailable.code = 'COMPILER_UNAVAILABLE';
+    throw unavailable;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * AR Performance Telemetry API Endpoint
+ * Receives periodic performance summaries from AR sessions and serves the per device class and browser aggregates
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../lib/adminAuth.js';
+import {
+  TELEMETRY_CONFIG,
+  TelemetryError,
+  recordTelemetry,
+  getTelemetrySummary,
+  resetTelemetry
+} from '../../../lib/telemetry.js';
+
+/**
+ * Telemetry API Handler
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers; reports are only accepted from the site itself, so POST drops the
+  // wildcard origin next.config.js adds to every API route
+  if (req.method === 'POST') {
+    res.removeHeader('Access-Control-Allow-Origin');
+    res.removeHeader('Access-Control-Allow-Credentials');
+  } else {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        await handleGetTelemetry(req, res);
+        break;
+      case 'POST':
+        await handleReport(req, res);
+        break;
+      case 'DELETE':
+        await handleResetTelemetry(req, res);
+        break;
+      default:
+        res.status(405).json({
+          error: 'Method not allowed',
+          allowed: ['GET', 'POST', 'DELETE', 'OPTIONS']
+        });
+    }
+  } catch (error) {
+    if (error instanceof TelemetryError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+
+    console.error('Telemetry API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Telemetry operation failed'
+    });
+  }
+}
+
+/**
+ * Get the address a request came from
+ * Forwarded headers can be set by anyone, so they are only used behind a proxy that sets them (TRUST_PROXY=1)
+ * @param {NextApiRequest} req - API request
+ * @returns {string} Client address
+ */
+function getClientAddress(req) {
+  if (process.env.TRUST_PROXY === '1') {
+    const forwarded = req.headers['x-forwarded-for']?.split(',')[0].trim();
+    if (forwarded) {
+      return forwarded;
+    }
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Record one AR session's performance summary
+ * The report must name an existing server session; each client address can only send a limited number per minute
+ */
+async function handleReport(req, res) {
+  const { sessionId } = req.query;
+  const group = await recordTelemetry(req.body || {}, { sessionId, client: getClientAddress(req) });
+
+  res.status(202).json({
+    success: true,
+    group: {
+      classifierVersion: group.classifierVersion,
+      deviceClass: group.deviceClass,
+      browser: group.browser,
+      reports: group.reports
+    }
+  });
+}
+
+/**
+ * Get the aggregates for tuning device classes (organizers only)
+ */
+async function handleGetTelemetry(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const { deviceClass, version } = req.query;
+  const groups = (await getTelemetrySummary())
+    .filter(group => !deviceClass || group.deviceClass === deviceClass)
+    .filter(group => !version || String(group.classifierVersion) === version);
+
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    lowFPS: TELEMETRY_CONFIG.lowFPS,
+    groups
+  });
+}
+
+/**
+ * Delete the aggregates, e.g. after device class thresholds change (organizers only)
+ */
+async function handleResetTelemetry(req, res) {
+  if (!requireAdmin(req, res)) {
+    return;
+  }
+
+  const deleted = await resetTelemetry();
+  res.status(200).json({ success: true, deleted });
+}
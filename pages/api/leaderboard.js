@@ -0,0 +1,50 @@
+/**
+ * Leaderboard API Endpoint
+ * Ranks players and teams by hunt score, ties broken by completion time
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { getLeaderboard } from '../../lib/leaderboard.js';
+
+const MAX_LIMIT = 100;
+
+/**
+ * Leaderboard API Handler
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed',
+      allowed: ['GET', 'OPTIONS']
+    });
+    return;
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIMIT);
+    const leaderboard = await getLeaderboard({ limit });
+
+    // Scores change with every scan
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json(leaderboard);
+  } catch (error) {
+    console.error('Leaderboard API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Failed to compute leaderboard'
+    });
+  }
+}
@@ -5,9 +5,11 @@
 
 import QRCode from 'qrcode';
 import { NextApiRequest, NextApiResponse } from 'next';
+import { resolveBranding, renderBrandedQR, checkScannability } from '../../lib/qrBranding.js';
+import { MESSAGE_ID_PATTERN, messageExists } from './ar/message.js';
 
-// QR Code configuration for AR optimization
-const QR_CONFIG = {
+// QR Code configuration for AR optimization (shared with the AR target compiler)
+export const QR_CONFIG = {
   // High error correction for better AR marker recognition
   errorCorrectionLevel: 'H',
   type: 'image/png',
@@ -22,8 +24,11 @@ const QR_CONFIG = {
 };
 
 // Validation patterns
-const URL_PATTERN = /^https?:\/\/.+/i;
-const MAX_URL_LENGTH = 2048;
+export const URL_PATTERN = /^https?:\/\/.+/i;
+export const MAX_URL_LENGTH = 2048;
+
+// URL parameter the AR page reads the bound message ID from
+const MESSAGE_ID_PARAM = 'qr';
 
 /**
  * QR Code Generation API Handler
@@ -44,12 +49,15 @@ export default async function handler(req, res) {
 
   try {
     let qrData = '';
+    let messageId = '';
     let customConfig = {};
+    let brandingOptions = {};
 
     // Handle different HTTP methods
     if (req.method === 'GET') {
       // Extract data from query parameters
       qrData = req.query.data || req.query.url || '';
+      messageId = req.query.messageId || '';
       
       // Parse custom configuration from query
       if (req.query.size) {
@@ -61,12 +69,24 @@ export default async function handler(req, res) {
       if (req.query.errorLevel) {
         customConfig.errorCorrectionLevel = req.query.errorLevel.toUpperCase();
       }
+      brandingOptions = {
+        theme: req.query.theme,
+        logo: req.query.logo,
+        logoSize: req.query.logoSize
+      };
       
     } else if (req.method === 'POST') {
       // Extract data from request body
       const body = req.body;
       qrData = body.data || body.url || '';
+      messageId = body.messageId || '';
       customConfig = body.config || {};
+      brandingOptions = {
+        theme: body.theme,
+        logo: body.logo,
+        logoSize: body.logoSize,
+        color: customConfig.color
+      };
       
     } else {
       res.status(405).json({ 
@@ -94,6 +114,36 @@ export default async function handler(req, res) {
       return;
     }
 
+    // Bind the code to a specific AR message
+    if (messageId) {
+      if (!MESSAGE_ID_PATTERN.test(messageId)) {
+        res.status(400).json({ 
+          error: 'Invalid message ID',
+          pattern: MESSAGE_ID_PATTERN.source,
+          provided: messageId
+        });
+        return;
+      }
+
+      if (!await messageExists(messageId)) {
+        res.status(404).json({ 
+          error: 'Message not found',
+          provided: messageId
+        });
+        return;
+      }
+
+      if (!URL_PATTERN.test(qrData)) {
+        res.status(400).json({ 
+          error: 'Message binding requires a URL',
+          example: '/api/qr-code?url=https://yoursite.com/ar&messageId=portrait'
+        });
+        return;
+      }
+
+      qrData = bindMessageId(qrData, messageId);
+    }
+
     // Check data length
     if (qrData.length > MAX_URL_LENGTH) {
       res.status(400).json({ 
@@ -126,10 +176,61 @@ export default async function handler(req, res) {
       return;
     }
 
+    // Resolve branding (themes, custom colors, center logo)
+    let branding = null;
+    let scannability = null;
+    if (brandingOptions.theme || brandingOptions.logo || brandingOptions.color) {
+      const brandingResult = resolveBranding(brandingOptions, config.errorCorrectionLevel);
+      if (brandingResult.errors) {
+        res.status(400).json({ 
+          error: 'Invalid branding',
+          errors: brandingResult.errors
+        });
+        return;
+      }
+      branding = brandingResult.branding;
+      config.color = branding.color;
+
+      // AR targets are compiled from the plain code (QR_CONFIG), which a themed or logo print no longer matches
+      if (isARMarkerPayload(qrData, messageId, req)) {
+        res.status(400).json({ 
+          error: 'Branding is not supported for AR marker codes',
+          message: 'Codes for the AR experience must use the default black and white design so they track in AR'
+        });
+        return;
+      }
+
+      if (branding.logo && config.type === 'svg') {
+        res.status(400).json({ 
+          error: 'Logos are only supported for PNG codes',
+          provided: 'svg'
+        });
+        return;
+      }
+    }
+
     // Generate QR code
     let qrCode;
     const startTime = Date.now();
 
+    // Branded designs are decoded back before they are served
+    if (branding) {
+      const png = await renderBrandedQR(qrData, config, branding);
+      scannability = await checkScannability(png, qrData, branding);
+
+      if (!scannability.scannable) {
+        res.status(422).json({ 
+          error: 'QR design would not scan reliably',
+          ...scannability
+        });
+        return;
+      }
+
+      if (config.type !== 'svg') {
+        qrCode = png;
+      }
+    }
+
     if (config.type === 'svg') {
       // Generate SVG format
       qrCode = await QRCode.toString(qrData, {
@@ -142,7 +243,7 @@ export default async function handler(req, res) {
       
     } else {
       // Generate PNG format (default)
-      qrCode = await QRCode.toBuffer(qrData, config);
+      qrCode = qrCode || await QRCode.toBuffer(qrData, config);
       
       res.setHeader('Content-Type', 'image/png');
       res.setHeader('Content-Disposition', `inline; filename="qr-code.png"`);
@@ -152,12 +253,21 @@ export default async function handler(req, res) {
 
     // Add caching headers for better performance
     res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
-    res.setHeader('ETag', generateETag(qrData, config));
+    res.setHeader('ETag', generateETag(qrData, { ...config, branding }));
 
     // Add custom headers with generation info
     res.setHeader('X-QR-Data-Length', qrData.length.toString());
     res.setHeader('X-QR-Generation-Time', generationTime.toString());
     res.setHeader('X-QR-Error-Level', config.errorCorrectionLevel);
+    if (messageId) {
+      res.setHeader('X-QR-Message-Id', messageId);
+    }
+    if (branding) {
+      res.setHeader('X-QR-Theme', branding.theme || 'custom');
+      res.setHeader('X-QR-Logo', branding.logo || 'none');
+      res.setHeader('X-QR-Contrast', scannability.contrastRatio.toString());
+      res.setHeader('X-QR-Verified', 'true');
+    }
 
     // Send the QR code
     res.status(200).send(qrCode);
@@ -190,6 +300,58 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Get the site origins printed codes may point to
+ * NEXT_PUBLIC_BASE_URL when set, so a spoofed Host header cannot create new payloads; the request host otherwise
+ * @param {NextApiRequest} req - API request
+ * @returns {Array<string>} Origins
+ */
+export function getSiteOrigins(req) {
+  if (process.env.NEXT_PUBLIC_BASE_URL) {
+    return [new URL(process.env.NEXT_PUBLIC_BASE_URL).origin];
+  }
+
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  if (!host) {
+    return [];
+  }
+  const protocol = req.headers['x-forwarded-proto'] || (req.socket?.encrypted ? 'https' : 'http');
+  return [`${protocol.split(',')[0].trim()}://${host.split(',')[0].trim()}`];
+}
+
+/**
+ * Check whether a code will be tracked as an AR marker
+ * Codes bound to a message, for the AR page or for this site are compiled into targets by /api/ar/target
+ * @param {string} payload - Encoded data
+ * @param {string} messageId - Bound message ID
+ * @param {NextApiRequest} req - API request
+ * @returns {boolean} True if the code is an AR marker
+ */
+function isARMarkerPayload(payload, messageId, req) {
+  if (messageId) {
+    return true;
+  }
+
+  try {
+    const url = new URL(payload);
+    return url.pathname === '/ar' || getSiteOrigins(req).includes(url.origin);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add the message ID to the AR page URL encoded in the QR code
+ * @param {string} url - AR page URL
+ * @param {string} messageId - AR message ID
+ * @returns {string} URL carrying the message ID
+ */
+export function bindMessageId(url, messageId) {
+  const bound = new URL(url);
+  bound.searchParams.set(MESSAGE_ID_PARAM, messageId);
+  return bound.toString();
+}
+
 /**
  * Generate ETag for caching
  * @param {string} data - QR code data
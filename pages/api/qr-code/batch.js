@@ -0,0 +1,317 @@
+/**
+ * Batch QR Code Sheet API Endpoint
+ * Generates print-ready PDF sheets of QR codes with captions and cut marks
+ */
+
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  QR_CONFIG,
+  URL_PATTERN,
+  MAX_URL_LENGTH,
+  bindMessageId
+} from '../qr-code.js';
+import { MESSAGE_ID_PATTERN } from '../ar/message.js';
+
+// Sheet layout configuration (PDF points, 72pt = 1 inch)
+const SHEET_CONFIG = {
+  pageSize: 'A4',
+  pageSizes: ['A4', 'A3', 'LETTER', 'LEGAL'],
+  pageMargin: 36,
+  columns: 3,
+  maxColumns: 6,
+  captionHeight: 28,
+  captionFontSize: 10,
+  cellPadding: 12,
+  cutMarkLength: 10,
+  cutMarkOffset: 4,
+  maxItems: 200,
+  maxCaptionLength: 80
+};
+
+/**
+ * Batch QR Code Sheet API Handler
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers for cross-origin requests
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({
+      error: 'Method not allowed',
+      allowed: ['POST', 'OPTIONS']
+    });
+    return;
+  }
+
+  const { items, options = {} } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.status(400).json({
+      error: 'Missing required parameter: items',
+      example: { items: [{ url: 'https://yoursite.com/ar', messageId: 'portrait', label: 'Retrato' }] }
+    });
+    return;
+  }
+
+  if (items.length > SHEET_CONFIG.maxItems) {
+    res.status(400).json({
+      error: 'Too many items',
+      maxItems: SHEET_CONFIG.maxItems,
+      provided: items.length
+    });
+    return;
+  }
+
+  const layoutResult = resolveLayout(options);
+  if (layoutResult.error) {
+    res.status(400).json(layoutResult);
+    return;
+  }
+
+  // Validate every item before rendering anything
+  const entries = [];
+  for (let index = 0; index < items.length; index++) {
+    const entry = resolveItem(items[index]);
+    if (entry.error) {
+      res.status(400).json({ ...entry, index });
+      return;
+    }
+    entries.push(entry);
+  }
+
+  try {
+    const startTime = Date.now();
+    const pdf = await renderSheet(entries, layoutResult.layout, options.title);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename="qr-codes.pdf"');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-QR-Count', entries.length.toString());
+    res.setHeader('X-QR-Pages', layoutResult.layout.pageCount(entries.length).toString());
+    res.setHeader('X-QR-Error-Level', QR_CONFIG.errorCorrectionLevel);
+
+    res.status(200).send(pdf);
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`QR sheet generated: ${entries.length} codes (${Date.now() - startTime}ms)`);
+    }
+  } catch (error) {
+    console.error('QR sheet generation error:', error);
+
+    if (error.message.includes('too big')) {
+      res.status(400).json({
+        error: 'Data too long for QR code',
+        message: 'Reduce the amount of data in the payloads'
+      });
+    } else {
+      res.status(500).json({
+        error: 'QR sheet generation failed',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+/**
+ * Validate a sheet item and resolve the payload encoded in its QR code
+ * @param {Object} item - { data | url, messageId, label }
+ * @returns {Object} { payload, label } or an error description
+ */
+function resolveItem(item = {}) {
+  let payload = item.data || item.url || '';
+  const label = typeof item.label === 'string' ? item.label.slice(0, SHEET_CONFIG.maxCaptionLength) : '';
+
+  if (!payload) {
+    return { error: 'Missing required field: data or url' };
+  }
+
+  if (payload.length > MAX_URL_LENGTH) {
+    return {
+      error: 'Data too long',
+      maxLength: MAX_URL_LENGTH,
+      provided: payload.length
+    };
+  }
+
+  if (item.messageId) {
+    if (!MESSAGE_ID_PATTERN.test(item.messageId)) {
+      return {
+        error: 'Invalid message ID',
+        pattern: MESSAGE_ID_PATTERN.source,
+        provided: item.messageId
+      };
+    }
+
+    if (!URL_PATTERN.test(payload)) {
+      return { error: 'Message binding requires a URL' };
+    }
+
+    payload = bindMessageId(payload, item.messageId);
+  }
+
+  return { payload, label: label || item.messageId || '' };
+}
+
+/**
+ * Compute the grid layout for the requested page size and column count
+ * @param {Object} options - { pageSize, columns }
+ * @returns {Object} { layout } or an error description
+ */
+function resolveLayout(options) {
+  const pageSize = (options.pageSize || SHEET_CONFIG.pageSize).toUpperCase();
+  const columns = parseInt(options.columns || SHEET_CONFIG.columns, 10);
+
+  if (!SHEET_CONFIG.pageSizes.includes(pageSize)) {
+    return {
+      error: 'Invalid page size',
+      allowed: SHEET_CONFIG.pageSizes,
+      provided: options.pageSize
+    };
+  }
+
+  if (!columns || columns < 1 || columns > SHEET_CONFIG.maxColumns) {
+    return {
+      error: 'Invalid column count',
+      range: `1-${SHEET_CONFIG.maxColumns}`,
+      provided: options.columns
+    };
+  }
+
+  // Measure the page once so the grid can be computed before drawing
+  const probe = new PDFDocument({ size: pageSize, margin: SHEET_CONFIG.pageMargin, autoFirstPage: true });
+  const { width, height } = probe.page;
+  probe.end();
+
+  const titleHeight = options.title ? 30 : 0;
+  const usableWidth = width - SHEET_CONFIG.pageMargin * 2;
+  const usableHeight = height - SHEET_CONFIG.pageMargin * 2 - titleHeight;
+  const cellWidth = usableWidth / columns;
+  const codeSize = cellWidth - SHEET_CONFIG.cellPadding * 2;
+  const cellHeight = codeSize + SHEET_CONFIG.captionHeight + SHEET_CONFIG.cellPadding * 2;
+  const rows = Math.max(1, Math.floor(usableHeight / cellHeight));
+  const perPage = rows * columns;
+
+  return {
+    layout: {
+      pageSize,
+      columns,
+      rows,
+      perPage,
+      cellWidth,
+      cellHeight,
+      codeSize,
+      titleHeight,
+      pageCount: (count) => Math.ceil(count / perPage)
+    }
+  };
+}
+
+/**
+ * Render all entries into a multi-page PDF
+ * @param {Array<Object>} entries - Resolved { payload, label } entries
+ * @param {Object} layout - Grid layout
+ * @param {string} title - Optional title printed on each page
+ * @returns {Promise<Buffer>} PDF data
+ */
+async function renderSheet(entries, layout, title) {
+  // Render codes with the same error correction and quiet zone as /api/qr-code
+  const images = await Promise.all(entries.map(entry => QRCode.toBuffer(entry.payload, {
+    ...QR_CONFIG,
+    type: 'image/png'
+  })));
+
+  const doc = new PDFDocument({
+    size: layout.pageSize,
+    margin: SHEET_CONFIG.pageMargin,
+    autoFirstPage: false,
+    info: {
+      Title: title || 'Halloween AR QR Codes',
+      Creator: 'Halloween AR Experience'
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  entries.forEach((entry, index) => {
+    const slot = index % layout.perPage;
+
+    if (slot === 0) {
+      doc.addPage();
+      if (title) {
+        doc.fontSize(14).fillColor('#000000')
+          .text(title, SHEET_CONFIG.pageMargin, SHEET_CONFIG.pageMargin, { align: 'center' });
+      }
+    }
+
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    const x = SHEET_CONFIG.pageMargin + column * layout.cellWidth;
+    const y = SHEET_CONFIG.pageMargin + layout.titleHeight + row * layout.cellHeight;
+
+    drawCutMarks(doc, x, y, layout.cellWidth, layout.cellHeight);
+
+    doc.image(images[index], x + SHEET_CONFIG.cellPadding, y + SHEET_CONFIG.cellPadding, {
+      width: layout.codeSize,
+      height: layout.codeSize
+    });
+
+    if (entry.label) {
+      doc.fontSize(SHEET_CONFIG.captionFontSize).fillColor('#000000')
+        .text(entry.label, x + SHEET_CONFIG.cellPadding, y + SHEET_CONFIG.cellPadding + layout.codeSize + 6, {
+          width: layout.codeSize,
+          height: SHEET_CONFIG.captionHeight,
+          align: 'center',
+          ellipsis: true
+        });
+    }
+  });
+
+  doc.end();
+  return finished;
+}
+
+/**
+ * Draw corner cut marks just outside a cell
+ * @param {PDFDocument} doc - PDF document
+ * @param {number} x - Cell left
+ * @param {number} y - Cell top
+ * @param {number} width - Cell width
+ * @param {number} height - Cell height
+ */
+function drawCutMarks(doc, x, y, width, height) {
+  const length = SHEET_CONFIG.cutMarkLength;
+  const offset = SHEET_CONFIG.cutMarkOffset;
+  const corners = [
+    [x, y, -1, -1],
+    [x + width, y, 1, -1],
+    [x, y + height, -1, 1],
+    [x + width, y + height, 1, 1]
+  ];
+
+  doc.save().lineWidth(0.5).strokeColor('#999999');
+
+  corners.forEach(([cx, cy, dx, dy]) => {
+    // Horizontal and vertical ticks pointing away from the cell
+    doc.moveTo(cx + dx * offset, cy).lineTo(cx + dx * (offset + length), cy).stroke();
+    doc.moveTo(cx, cy + dy * offset).lineTo(cx, cy + dy * (offset + length)).stroke();
+  });
+
+  doc.restore();
+}
@@ -5,17 +5,22 @@
 
 import { NextApiRequest, NextApiResponse } from 'next';
 import { InteractionTypes, SessionStates } from '../../lib/sessionManager.js';
+import { getSessionStore } from '../../lib/storage/index.js';
+import { SessionEventTypes, publishSessionEvent } from '../../lib/sessionEvents.js';
+import { getOrderedClues } from '../../lib/hunt.js';
 
-// In-memory session storage (in production, use a database)
-const sessions = new Map();
-const interactions = new Map();
+// Pluggable session storage (file-backed by default, see lib/storage)
+const store = getSessionStore();
 
 // Session configuration
 const SESSION_CONFIG = {
   maxSessions: 1000, // Limit memory usage
   sessionTimeout: 30 * 60 * 1000, // 30 minutes
+  sessionRetention: 24 * 60 * 60 * 1000, // Keep inactive sessions for a day of party analytics
   maxInteractionsPerSession: 100,
-  cleanupInterval: 5 * 60 * 1000 // 5 minutes
+  cleanupInterval: 5 * 60 * 1000, // 5 minutes
+  stuckAfter: 10 * 60 * 1000, // Flag players who have not found their next clue for 10 minutes
+  recentErrorLimit: 10
 };
 
 // Valid interaction types for validation
@@ -79,23 +84,28 @@ async function handleCreateSession(req, res) {
   const sessionId = generateSessionId();
   const now = new Date();
 
-  // Create session record
+  // Create session record; server fields come last so client data cannot replace them
+  // (the store keys records by sessionId, so a client-sent ID would overwrite another session)
   const session = {
+    ...(sessionData && typeof sessionData === 'object' ? sessionData : {}),
     sessionId,
     state: SessionStates.ACTIVE,
     startTime: now.toISOString(),
     lastActivity: now.toISOString(),
     userAgent: req.headers['user-agent'] || 'Unknown',
     ip: getClientIP(req),
-    language: req.headers['accept-language']?.split(',')[0] || 'Unknown',
-    ...sessionData
+    language: req.headers['accept-language']?.split(',')[0] || 'Unknown'
   };
 
   // Store session
-  sessions.set(sessionId, session);
+  await store.saveSession(session);
 
   // Initialize interactions array for this session
-  interactions.set(sessionId, []);
+  await store.saveInteractions(sessionId, []);
+
+  publishSessionEvent(SessionEventTypes.SESSION_CREATED, sessionId, {
+    state: session.state
+  });
 
   // Add initial interaction if provided
   if (initialInteraction) {
@@ -106,7 +116,7 @@ async function handleCreateSession(req, res) {
   }
 
   // Cleanup old sessions
-  cleanupOldSessions();
+  await cleanupOldSessions();
 
   res.status(201).json({
     success: true,
@@ -128,7 +138,7 @@ async function handleUpdateSession(req, res) {
     return;
   }
 
-  const session = sessions.get(sessionId);
+  const session = await store.getSession(sessionId);
   if (!session) {
     res.status(404).json({ error: 'Session not found' });
     return;
@@ -163,7 +173,7 @@ async function handleGetSession(req, res) {
     return;
   }
 
-  const session = sessions.get(sessionId);
+  const session = await store.getSession(sessionId);
   if (!session) {
     res.status(404).json({ error: 'Session not found' });
     return;
@@ -171,12 +181,12 @@ async function handleGetSession(req, res) {
 
   const response = {
     session,
-    stats: calculateSessionStats(sessionId)
+    stats: await calculateSessionStats(sessionId)
   };
 
   // Include interactions if requested
   if (includeInteractions === 'true') {
-    const sessionInteractions = interactions.get(sessionId) || [];
+    const sessionInteractions = await store.getInteractions(sessionId);
     const limitNum = parseInt(limit, 10);
     response.interactions = sessionInteractions.slice(-limitNum);
     response.interactionCount = sessionInteractions.length;
@@ -196,8 +206,7 @@ async function handleDeleteSession(req, res) {
     return;
   }
 
-  const deleted = sessions.delete(sessionId);
-  interactions.delete(sessionId);
+  const deleted = await store.deleteSession(sessionId);
 
   if (deleted) {
     res.status(200).json({ 
@@ -239,7 +248,7 @@ async function handleAddInteraction(sessionId, interactionData, res) {
 async function handleUpdateSessionState(sessionId, stateData, res) {
   const { state, ...updateData } = stateData;
 
-  const session = sessions.get(sessionId);
+  const session = await store.getSession(sessionId);
   
   // Validate state if provided
   if (state && !VALID_SESSION_STATES.includes(state)) {
@@ -261,7 +270,12 @@ async function handleUpdateSessionState(sessionId, stateData, res) {
     updatedSession.state = state;
   }
 
-  sessions.set(sessionId, updatedSession);
+  await store.saveSession(updatedSession);
+
+  publishSessionEvent(SessionEventTypes.STATE_CHANGE, sessionId, {
+    previousState: session.state,
+    state: updatedSession.state
+  });
 
   res.status(200).json({
     success: true,
@@ -274,10 +288,14 @@ async function handleUpdateSessionState(sessionId, stateData, res) {
  * Handle session heartbeat (keep-alive)
  */
 async function handleHeartbeat(sessionId, res) {
-  const session = sessions.get(sessionId);
+  const session = await store.getSession(sessionId);
   
   session.lastActivity = new Date().toISOString();
-  sessions.set(sessionId, session);
+  await store.saveSession(session);
+
+  publishSessionEvent(SessionEventTypes.HEARTBEAT, sessionId, {
+    lastActivity: session.lastActivity
+  });
 
   res.status(200).json({
     success: true,
@@ -304,7 +322,7 @@ async function addInteractionToSession(sessionId, interactionData) {
   };
 
   // Get or create interactions array for session
-  let sessionInteractions = interactions.get(sessionId) || [];
+  let sessionInteractions = [...await store.getInteractions(sessionId)];
   
   // Add new interaction
   sessionInteractions.push(interaction);
@@ -315,24 +333,26 @@ async function addInteractionToSession(sessionId, interactionData) {
   }
   
   // Update storage
-  interactions.set(sessionId, sessionInteractions);
+  await store.saveInteractions(sessionId, sessionInteractions);
   
   // Update session last activity
-  const session = sessions.get(sessionId);
+  const session = await store.getSession(sessionId);
   if (session) {
     session.lastActivity = interaction.timestamp;
-    sessions.set(sessionId, session);
+    await store.saveSession(session);
   }
 
+  publishSessionEvent(SessionEventTypes.INTERACTION, sessionId, { interaction });
+
   return interaction;
 }
 
 /**
  * Calculate session statistics
  */
-function calculateSessionStats(sessionId) {
-  const session = sessions.get(sessionId);
-  const sessionInteractions = interactions.get(sessionId) || [];
+export async function calculateSessionStats(sessionId) {
+  const session = await store.getSession(sessionId);
+  const sessionInteractions = await store.getInteractions(sessionId);
 
   if (!session) return null;
 
@@ -390,45 +410,141 @@ function getClientIP(req) {
 /**
  * Cleanup old sessions
  */
-function cleanupOldSessions() {
+async function cleanupOldSessions() {
   const now = new Date();
-  const cutoff = now - SESSION_CONFIG.sessionTimeout;
+  const cutoff = now - SESSION_CONFIG.sessionRetention;
 
-  for (const [sessionId, session] of sessions.entries()) {
+  const remaining = [];
+  for (const session of await store.listSessions()) {
     const lastActivity = new Date(session.lastActivity);
     
     if (lastActivity < cutoff) {
-      sessions.delete(sessionId);
-      interactions.delete(sessionId);
+      await store.deleteSession(session.sessionId);
+    } else {
+      remaining.push(session);
     }
   }
 
   // Also limit total sessions
-  if (sessions.size > SESSION_CONFIG.maxSessions) {
-    const sortedSessions = Array.from(sessions.entries())
-      .sort(([,a], [,b]) => new Date(a.lastActivity) - new Date(b.lastActivity));
+  if (remaining.length > SESSION_CONFIG.maxSessions) {
+    const sortedSessions = remaining
+      .sort((a, b) => new Date(a.lastActivity) - new Date(b.lastActivity));
     
-    const toDelete = sortedSessions.slice(0, sessions.size - SESSION_CONFIG.maxSessions);
-    toDelete.forEach(([sessionId]) => {
-      sessions.delete(sessionId);
-      interactions.delete(sessionId);
-    });
+    const toDelete = sortedSessions.slice(0, remaining.length - SESSION_CONFIG.maxSessions);
+    for (const session of toDelete) {
+      await store.deleteSession(session.sessionId);
+    }
   }
 }
 
 /**
  * Get API statistics
  */
-export function getAPIStats() {
+export async function getAPIStats() {
   return {
-    activeSessions: sessions.size,
-    totalInteractions: Array.from(interactions.values()).reduce((sum, arr) => sum + arr.length, 0),
+    activeSessions: await store.countSessions(),
+    totalInteractions: await store.countInteractions(),
     config: SESSION_CONFIG,
     uptime: process.uptime()
   };
 }
 
+/**
+ * Get live party statistics for the organizer dashboard
+ * Aggregates every session's stats and derives which hunt clues are being found and where players are stuck
+ */
+export async function getPartyStats() {
+  const now = new Date();
+  const clues = getOrderedClues();
+  const sessions = await store.listSessions();
+
+  const party = {
+    generatedAt: now.toISOString(),
+    api: await getAPIStats(),
+    sessions: { total: sessions.length, active: 0, arActive: 0, completed: 0, withErrors: 0 },
+    totals: { qrScans: 0, markerDetections: 0, messageViews: 0, errors: 0 },
+    clues: clues.map((clue, index) => ({
+      id: clue.id,
+      marker: clue.marker,
+      order: index + 1,
+      found: 0,
+      detections: 0,
+      waiting: 0,
+      stuck: 0,
+      lastFoundAt: null
+    })),
+    recentErrors: []
+  };
+
+  const clueStats = new Map(party.clues.map(entry => [entry.id, entry]));
+  const clueByMarker = new Map(clues.map(clue => [clue.marker, clue.id]));
+
+  for (const session of sessions) {
+    const stats = await calculateSessionStats(session.sessionId);
+    const sessionInteractions = await store.getInteractions(session.sessionId);
+    if (!stats) continue;
+
+    if (stats.isActive) party.sessions.active++;
+    if (stats.isActive && stats.state === SessionStates.AR_ACTIVE) party.sessions.arActive++;
+    if (stats.state === SessionStates.COMPLETED) party.sessions.completed++;
+    if (stats.interactionTypes[InteractionTypes.ERROR_OCCURRED]) party.sessions.withErrors++;
+
+    party.totals.qrScans += stats.interactionTypes[InteractionTypes.QR_SCAN] || 0;
+    party.totals.markerDetections += stats.interactionTypes[InteractionTypes.MARKER_FOUND] || 0;
+    party.totals.messageViews += stats.interactionTypes[InteractionTypes.AR_MESSAGE_VIEW] || 0;
+    party.totals.errors += stats.interactionTypes[InteractionTypes.ERROR_OCCURRED] || 0;
+
+    // Clues this session revealed, and when it last made progress
+    const found = new Set();
+    let lastProgress = new Date(session.startTime);
+
+    sessionInteractions.forEach(interaction => {
+      const clueId = interaction.data?.clueId || clueByMarker.get(interaction.data?.marker);
+      const entry = clueStats.get(clueId);
+
+      if (interaction.type === InteractionTypes.MARKER_FOUND && entry) {
+        entry.detections++;
+      }
+
+      if (interaction.type === InteractionTypes.AR_MESSAGE_VIEW && entry && !found.has(clueId)) {
+        found.add(clueId);
+        entry.found++;
+        lastProgress = new Date(interaction.timestamp);
+        if (!entry.lastFoundAt || interaction.timestamp > entry.lastFoundAt) {
+          entry.lastFoundAt = interaction.timestamp;
+        }
+      }
+
+      if (interaction.type === InteractionTypes.ERROR_OCCURRED) {
+        party.recentErrors.push({
+          sessionId: session.sessionId,
+          timestamp: interaction.timestamp,
+          message: interaction.data?.message || interaction.data?.error || 'Unknown error'
+        });
+      }
+    });
+
+    // Active players are waiting on the first clue they have not revealed yet
+    const nextClue = clues.find(clue => !found.has(clue.id));
+    if (stats.isActive && nextClue) {
+      const entry = clueStats.get(nextClue.id);
+      entry.waiting++;
+      if (now - lastProgress > SESSION_CONFIG.stuckAfter) {
+        entry.stuck++;
+      }
+    }
+  }
+
+  party.recentErrors = party.recentErrors
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .slice(0, SESSION_CONFIG.recentErrorLimit);
+
+  return party;
+}
+
 // Start cleanup interval
 if (typeof setInterval !== 'undefined') {
-  setInterval(cleanupOldSessions, SESSION_CONFIG.cleanupInterval);
+  setInterval(() => {
+    cleanupOldSessions().catch(error => console.error('Session cleanup error:', error));
+  }, SESSION_CONFIG.cleanupInterval);
 }
\ No newline at end of file
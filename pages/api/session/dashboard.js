@@ -0,0 +1,121 @@
+/**
+ * Organizer Dashboard Stream API Endpoint
+ * Streams live party statistics and session activity as server-sent events
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../lib/adminAuth.js';
+import { subscribeSessionEvents, startEventStream, sendEvent } from '../../../lib/sessionEvents.js';
+import { getPartyStats } from '../session.js';
+
+// Stream configuration
+const DASHBOARD_CONFIG = {
+  statsThrottle: 1000, // Recompute stats at most once per second while activity pours in
+  refreshInterval: 15 * 1000, // Periodic refresh so "stuck" timers advance and proxies keep the stream open
+  retry: 3000 // Reconnect delay suggested to EventSource
+};
+
+/**
+ * Dashboard Stream API Handler
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed',
+      allowed: ['GET', 'OPTIONS']
+    });
+    return;
+  }
+
+  if (!requireAdmin(req, res, { allowQueryToken: true })) {
+    return;
+  }
+
+  // JSON snapshot for clients that cannot hold a stream open
+  if (req.query.format === 'json') {
+    try {
+      res.setHeader('Cache-Control', 'no-store');
+      res.status(200).json(await getPartyStats());
+    } catch (error) {
+      console.error('Dashboard stats error:', error);
+      res.status(500).json({
+        error: 'Failed to compute party statistics',
+        message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+    return;
+  }
+
+  startEventStream(res, DASHBOARD_CONFIG.retry);
+
+  await streamDashboard(req, res);
+}
+
+/**
+ * Push stats and activity until the client disconnects
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ * @returns {Promise<void>} Resolves when the stream closes
+ */
+function streamDashboard(req, res) {
+  return new Promise((resolve) => {
+    let closed = false;
+    let pendingStats = null;
+    let lastStatsAt = 0;
+
+    const pushStats = async () => {
+      pendingStats = null;
+      lastStatsAt = Date.now();
+
+      try {
+        const stats = await getPartyStats();
+        if (!closed) {
+          sendEvent(res, 'stats', stats);
+        }
+      } catch (error) {
+        console.error('Dashboard stats error:', error);
+        if (!closed) {
+          sendEvent(res, 'stream_error', { error: 'Failed to compute party statistics' });
+        }
+      }
+    };
+
+    // Coalesce bursts of activity into one stats update
+    const scheduleStats = () => {
+      if (pendingStats) return;
+      const wait = Math.max(0, DASHBOARD_CONFIG.statsThrottle - (Date.now() - lastStatsAt));
+      pendingStats = setTimeout(pushStats, wait);
+    };
+
+    const unsubscribe = subscribeSessionEvents((event) => {
+      if (closed) return;
+      sendEvent(res, 'activity', event);
+      scheduleStats();
+    });
+
+    const refreshTimer = setInterval(pushStats, DASHBOARD_CONFIG.refreshInterval);
+
+    req.on('close', () => {
+      closed = true;
+      unsubscribe();
+      clearInterval(refreshTimer);
+      clearTimeout(pendingStats);
+      resolve();
+    });
+
+    pushStats();
+  });
+}
@@ -0,0 +1,170 @@
+/**
+ * Session Event Stream API Endpoint
+ * Pushes session interactions, state changes and heartbeats to subscribers as server-sent events
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import { requireAdmin } from '../../../lib/adminAuth.js';
+import { InteractionTypes } from '../../../lib/sessionManager.js';
+import { getSessionStore } from '../../../lib/storage/index.js';
+import {
+  SessionEventTypes,
+  subscribeSessionEvents,
+  startEventStream,
+  sendEvent
+} from '../../../lib/sessionEvents.js';
+
+const store = getSessionStore();
+
+// Stream configuration
+const STREAM_CONFIG = {
+  keepAliveInterval: 25 * 1000, // Comment line that keeps proxies from closing idle streams
+  retry: 3000 // Reconnect delay suggested to EventSource
+};
+
+const VALID_INTERACTION_TYPES = Object.values(InteractionTypes);
+const VALID_EVENT_TYPES = Object.values(SessionEventTypes);
+
+/**
+ * Session Event Stream API Handler
+ * Query: sessionId (one session), type (interaction types), events (event types), all comma separated
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed',
+      allowed: ['GET', 'OPTIONS']
+    });
+    return;
+  }
+
+  const sessionIds = parseList(req.query.sessionId);
+  const interactionTypes = parseList(req.query.type);
+  const eventTypes = parseList(req.query.events);
+
+  const invalidTypes = interactionTypes.filter(type => !VALID_INTERACTION_TYPES.includes(type));
+  if (invalidTypes.length > 0) {
+    res.status(400).json({
+      error: 'Invalid interaction type',
+      invalid: invalidTypes,
+      validTypes: VALID_INTERACTION_TYPES
+    });
+    return;
+  }
+
+  const invalidEvents = eventTypes.filter(type => !VALID_EVENT_TYPES.includes(type));
+  if (invalidEvents.length > 0) {
+    res.status(400).json({
+      error: 'Invalid event type',
+      invalid: invalidEvents,
+      validEvents: VALID_EVENT_TYPES
+    });
+    return;
+  }
+
+  try {
+    // Following a known session only needs its ID, watching everyone needs the admin token
+    if (sessionIds.length === 0) {
+      if (!requireAdmin(req, res, { allowQueryToken: true })) {
+        return;
+      }
+    } else {
+      for (const sessionId of sessionIds) {
+        if (!await store.getSession(sessionId)) {
+          res.status(404).json({ error: 'Session not found', sessionId });
+          return;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Session stream error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Session stream failed'
+    });
+    return;
+  }
+
+  startEventStream(res, STREAM_CONFIG.retry);
+  sendEvent(res, 'ready', {
+    sessionIds,
+    interactionTypes,
+    eventTypes: eventTypes.length > 0 ? eventTypes : VALID_EVENT_TYPES
+  });
+
+  await streamEvents(req, res, { sessionIds, interactionTypes, eventTypes });
+}
+
+/**
+ * Split a comma separated (or repeated) query parameter
+ * @param {string|Array<string>} value - Query value
+ * @returns {Array<string>} Non-empty entries
+ */
+function parseList(value) {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(entry => entry.split(',')).map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether an event passes the subscriber's filters
+ * @param {Object} event - Session event
+ * @param {Object} filters - { sessionIds, interactionTypes, eventTypes }
+ * @returns {boolean} True if the event should be sent
+ */
+function matchesFilters(event, { sessionIds, interactionTypes, eventTypes }) {
+  if (sessionIds.length > 0 && !sessionIds.includes(event.sessionId)) {
+    return false;
+  }
+
+  if (eventTypes.length > 0 && !eventTypes.includes(event.type)) {
+    return false;
+  }
+
+  // Interaction type filters narrow interaction events only
+  if (event.type === SessionEventTypes.INTERACTION && interactionTypes.length > 0) {
+    return interactionTypes.includes(event.interaction.type);
+  }
+
+  return true;
+}
+
+/**
+ * Forward matching session events until the client disconnects
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ * @param {Object} filters - { sessionIds, interactionTypes, eventTypes }
+ * @returns {Promise<void>} Resolves when the stream closes
+ */
+function streamEvents(req, res, filters) {
+  return new Promise((resolve) => {
+    const unsubscribe = subscribeSessionEvents((event) => {
+      if (matchesFilters(event, filters)) {
+        sendEvent(res, event.type, event);
+      }
+    });
+
+    const keepAliveTimer = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, STREAM_CONFIG.keepAliveInterval);
+
+    req.on('close', () => {
+      unsubscribe();
+      clearInterval(keepAliveTimer);
+      resolve();
+    });
+  });
+}
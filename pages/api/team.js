@@ -0,0 +1,142 @@
+/**
+ * Team Mode API Endpoint
+ * Creates teams, joins guests by code and reports the team's combined hunt progress
+ */
+
+import { NextApiRequest, NextApiResponse } from 'next';
+import {
+  TEAM_CONFIG,
+  TeamError,
+  createTeam,
+  joinTeam,
+  leaveTeam,
+  getTeamForSession,
+  describeTeam
+} from '../../lib/teams.js';
+import { getTeamStore } from '../../lib/storage/index.js';
+
+const store = getTeamStore();
+
+/**
+ * Team API Handler
+ * @param {NextApiRequest} req - API request
+ * @param {NextApiResponse} res - API response
+ */
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight requests
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        await handleGetTeam(req, res);
+        break;
+      case 'POST':
+        await handleTeamAction(req, res);
+        break;
+      default:
+        res.status(405).json({
+          error: 'Method not allowed',
+          allowed: ['GET', 'POST', 'OPTIONS']
+        });
+    }
+  } catch (error) {
+    if (error instanceof TeamError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+
+    console.error('Team API error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Team operation failed'
+    });
+  }
+}
+
+/**
+ * Get a session's team with its progress, or preview a team by join code
+ */
+async function handleGetTeam(req, res) {
+  const { sessionId, code } = req.query;
+
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (sessionId) {
+    const team = await getTeamForSession(sessionId);
+    res.status(200).json({ team: team ? await describeTeam(team, sessionId) : null });
+    return;
+  }
+
+  if (code) {
+    const team = await store.findTeamByCode(code);
+    if (!team) {
+      res.status(404).json({ error: 'Team not found' });
+      return;
+    }
+
+    // Preview shown before joining, progress stays private to members
+    res.status(200).json({
+      team: {
+        name: team.name,
+        joinCode: team.joinCode,
+        memberCount: team.members.length,
+        maxMembers: TEAM_CONFIG.maxMembers
+      }
+    });
+    return;
+  }
+
+  res.status(400).json({
+    error: 'Missing required parameter: sessionId or code',
+    example: '/api/team?sessionId=local_123'
+  });
+}
+
+/**
+ * Handle team actions
+ */
+async function handleTeamAction(req, res) {
+  const { action, data = {} } = req.body || {};
+  const { sessionId } = data;
+
+  if (!sessionId) {
+    res.status(400).json({ error: 'Session ID required' });
+    return;
+  }
+
+  switch (action) {
+    case 'create_team': {
+      const team = await createTeam(sessionId, data.name, data.playerName);
+      res.status(201).json({ success: true, team: await describeTeam(team, sessionId) });
+      break;
+    }
+    case 'join_team': {
+      if (!data.joinCode) {
+        res.status(400).json({ error: 'Join code required' });
+        return;
+      }
+      const team = await joinTeam(sessionId, data.joinCode, data.playerName);
+      res.status(200).json({ success: true, team: await describeTeam(team, sessionId) });
+      break;
+    }
+    case 'leave_team': {
+      const team = await leaveTeam(sessionId);
+      res.status(200).json({ success: true, left: team ? team.name : null, team: null });
+      break;
+    }
+    default:
+      res.status(400).json({
+        error: 'Invalid action',
+        validActions: ['create_team', 'join_team', 'leave_team']
+      });
+  }
+}
@@ -3,17 +3,21 @@
  * Main AR experience with QR marker detection and vampire message display
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import Head from 'next/head';
 import Layout from '../components/Layout';
 import ARSessionManager from '../src/components/ARSessionManager';
+import QRScanner from '../src/components/QRScanner';
+import TeamPanel from '../src/components/TeamPanel';
+import { trackQRScan } from '../lib/sessionManager';
 import { useSession } from '../lib/session';
 import { useDeviceCapabilities } from '../src/hooks/useDeviceCapabilities';
+import { useTranslation } from '../lib/i18n';
 
 export default function ARExperience() {
   const router = useRouter();
-  const { qr } = router.query; // QR code data from URL params
+  const { qr } = router.query; // Message ID bound to the scanned QR code
   
   // State
   const [arState, setArState] = useState({
@@ -22,10 +26,14 @@ export default function ARExperience() {
     error: null,
     sessionStats: null
   });
+  const [scanMode, setScanMode] = useState(false);
+  const [scannedPayload, setScannedPayload] = useState(null); // Exact content of the code scanned in the page
+  const [showTeamPanel, setShowTeamPanel] = useState(false);
 
   // Hooks
   const { session, updateSession } = useSession();
   const { capabilities, isLoading, isSupported } = useDeviceCapabilities();
+  const { t } = useTranslation();
 
   // Handle session start
   const handleSessionStart = () => {
@@ -85,6 +93,41 @@ export default function ARExperience() {
     });
   };
 
+  // Handle a code decoded by the in-page scanner
+  // Returns false for codes that do not belong to this experience so scanning continues
+  const handleQRScanned = useCallback((payload) => {
+    let target;
+    try {
+      target = new URL(payload, window.location.origin);
+    } catch {
+      return false;
+    }
+
+    const isOwnCode = target.origin === window.location.origin &&
+      (target.pathname === '/ar' || target.pathname === '/');
+
+    trackQRScan({
+      action: 'in_app_scan',
+      payload,
+      accepted: isOwnCode,
+      messageId: isOwnCode ? target.searchParams.get('qr') : null,
+      source: 'ar_page'
+    });
+
+    if (!isOwnCode) {
+      return false;
+    }
+
+    // Switch to the scanned clue's message without reloading the page
+    // The payload is kept as scanned, the AR target is compiled from the code's own content
+    const messageId = target.searchParams.get('qr');
+    setScannedPayload(payload);
+    setScanMode(false);
+    setArState(prev => ({ ...prev, markerDetected: false, sessionStats: null, error: null }));
+    router.push({ pathname: '/ar', query: messageId ? { qr: messageId } : {} }, undefined, { shallow: true });
+    return true;
+  }, [router]);
+
   // Handle back navigation
   const handleBackNavigation = () => {
     if (arState.sessionActive) {
@@ -96,8 +139,8 @@ export default function ARExperience() {
   };
 
   // Page title and meta
-  const pageTitle = 'AR Vampiro - Experiência Imersiva';
-  const pageDescription = 'Aponte sua câmera para o código QR e descubra a mensagem secreta do vampiro Rupert.';
+  const pageTitle = t('ar.pageTitle');
+  const pageDescription = t('ar.pageDescription');
 
   return (
     <>
@@ -116,7 +159,6 @@ export default function ARExperience() {
         <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=0" />
         
         {/* Preload AR libraries */}
-        <link rel="preload" href="https://unpkg.com/three@0.158.0/build/three.min.js" as="script" />
         <link rel="preload" href="https://cdn.jsdelivr.net/npm/mind-ar@1.2.5/dist/mindar-image-three.prod.js" as="script" />
         
         {/* Portuguese AR Fonts */}
@@ -144,8 +186,8 @@ export default function ARExperience() {
             <div className="loading-overlay">
               <div className="loading-content">
                 <div className="vampire-spinner"></div>
-                <h2>Preparando Experiência AR</h2>
-                <p>Verificando capacidades do seu dispositivo...</p>
+                <h2>{t('ar.preparingTitle')}</h2>
+                <p>{t('ar.preparingText')}</p>
               </div>
             </div>
           )}
@@ -154,25 +196,25 @@ export default function ARExperience() {
           {!isLoading && !isSupported && (
             <div className="unsupported-overlay">
               <div className="unsupported-content">
-                <h2>AR Não Suportado</h2>
-                <p>Seu dispositivo ou navegador não suporta a experiência AR.</p>
+                <h2>{t('ar.unsupportedTitle')}</h2>
+                <p>{t('ar.unsupportedText')}</p>
                 
                 <div className="support-info">
-                  <h3>Dispositivos Recomendados:</h3>
+                  <h3>{t('ar.recommendedDevices')}</h3>
                   <ul>
-                    <li>📱 iPhone com iOS 14+ (Safari)</li>
-                    <li>📱 Android com Chrome 81+</li>
-                    <li>📱 Samsung Internet Browser</li>
+                    <li>📱 {t('ar.deviceIOS')}</li>
+                    <li>📱 {t('ar.deviceAndroid')}</li>
+                    <li>📱 {t('ar.deviceSamsung')}</li>
                   </ul>
                 </div>
 
                 <div className="fallback-options">
-                  <h3>Alternativas:</h3>
+                  <h3>{t('ar.alternatives')}</h3>
                   <button 
                     onClick={() => router.push('/')}
                     className="back-button"
                   >
-                    Voltar ao QR Code
+                    {t('ar.backToQr')}
                   </button>
                 </div>
               </div>
@@ -180,9 +222,19 @@ export default function ARExperience() {
           )}
 
           {/* AR Session */}
-          {!isLoading && isSupported && (
+          {!isLoading && isSupported && scanMode && (
+            <QRScanner
+              onScan={handleQRScanned}
+              onCancel={() => setScanMode(false)}
+              onError={handleARError}
+            />
+          )}
+
+          {!isLoading && isSupported && !scanMode && (
             <ARSessionManager
-              qrCodeData={qr}
+              key={scannedPayload || qr || 'default'}
+              markerPayload={scannedPayload}
+              messageId={qr}
               onSessionStart={handleSessionStart}
               onSessionEnd={handleSessionEnd}
               onMarkerDetected={handleMarkerDetected}
@@ -197,21 +249,21 @@ export default function ARExperience() {
             <div className="instructions-overlay">
               <div className="instructions-content">
                 <div className="instruction-icon">📱</div>
-                <h3>Encontre o Vampiro</h3>
-                <p>Aponte sua câmera para o código QR para revelar a mensagem secreta</p>
+                <h3>{t('ar.findTitle')}</h3>
+                <p>{t('ar.findText')}</p>
                 
                 <div className="instruction-tips">
                   <div className="tip">
                     <span className="tip-icon">💡</span>
-                    <span>Mantenha o QR code visível na tela</span>
+                    <span>{t('ar.tipVisible')}</span>
                   </div>
                   <div className="tip">
                     <span className="tip-icon">🔦</span>
-                    <span>Certifique-se de ter boa iluminação</span>
+                    <span>{t('ar.tipLighting')}</span>
                   </div>
                   <div className="tip">
                     <span className="tip-icon">📐</span>
-                    <span>Mantenha a câmera estável</span>
+                    <span>{t('ar.tipSteady')}</span>
                   </div>
                 </div>
               </div>
@@ -222,7 +274,7 @@ export default function ARExperience() {
           {arState.markerDetected && (
             <div className="success-indicator">
               <div className="success-icon">🧛‍♂️</div>
-              <p>Vampiro encontrado!</p>
+              <p>{t('ar.vampireFound')}</p>
             </div>
           )}
 
@@ -231,13 +283,35 @@ export default function ARExperience() {
             <button 
               onClick={handleBackNavigation}
               className="back-nav-button"
-              aria-label="Voltar"
+              aria-label={t('ar.back')}
             >
               <span className="back-icon">←</span>
-              <span className="back-text">Voltar</span>
+              <span className="back-text">{t('ar.back')}</span>
+            </button>
+            {!isLoading && isSupported && !scanMode && (
+              <button 
+                onClick={() => setScanMode(true)}
+                className="back-nav-button"
+                aria-label={t('ar.scanClue')}
+              >
+                <span className="back-icon">📷</span>
+                <span className="back-text">{t('ar.scanClue')}</span>
+              </button>
+            )}
+            <button 
+              onClick={() => setShowTeamPanel(true)}
+              className="back-nav-button"
+              aria-label={t('ar.team')}
+            >
+              <span className="back-icon">👥</span>
+              <span className="back-text">{t('ar.team')}</span>
             </button>
           </div>
 
+          {showTeamPanel && (
+            <TeamPanel onClose={() => setShowTeamPanel(false)} />
+          )}
+
           {/* Error Display */}
           {arState.error && (
             <div className="error-notification">
@@ -252,16 +326,16 @@ export default function ARExperience() {
           {arState.sessionStats && !arState.sessionActive && (
             <div className="session-stats-overlay">
               <div className="stats-content">
-                <h3>Sessão AR Finalizada</h3>
+                <h3>{t('ar.sessionEnded')}</h3>
                 <div className="stats-grid">
                   <div className="stat">
-                    <span className="stat-label">Duração</span>
+                    <span className="stat-label">{t('ar.duration')}</span>
                     <span className="stat-value">
                       {Math.round(arState.sessionStats.duration / 1000)}s
                     </span>
                   </div>
                   <div className="stat">
-                    <span className="stat-label">Detecções</span>
+                    <span className="stat-label">{t('ar.detections')}</span>
                     <span className="stat-value">
                       {arState.sessionStats.statistics?.markerDetections || 0}
                     </span>
@@ -271,7 +345,7 @@ export default function ARExperience() {
                   onClick={() => router.push('/')}
                   className="stats-close-button"
                 >
-                  Finalizar
+                  {t('ar.finish')}
                 </button>
               </div>
             </div>
@@ -422,6 +496,8 @@ export default function ARExperience() {
             top: 1rem;
             left: 1rem;
             z-index: 150;
+            display: flex;
+            gap: 0.5rem;
           }
 
           .back-nav-button {
@@ -10,6 +10,7 @@ import QRCodeDisplay from '../components/QRCodeDisplay';
 import { trackQRScan, trackARStart, getCurrentSession } from '../lib/sessionManager';
 import { getDeviceCapabilities, isARSupported } from '../lib/deviceCapabilities';
 import { isCameraAvailable, getPermissionGuidance } from '../lib/cameraUtils';
+import { useTranslation } from '../lib/i18n';
 
 export default function Home() {
   const [currentUrl, setCurrentUrl] = useState('');
@@ -17,6 +18,7 @@ export default function Home() {
   const [arCapabilities, setArCapabilities] = useState(null);
   const [sessionInfo, setSessionInfo] = useState(null);
   const [showAdvancedInfo, setShowAdvancedInfo] = useState(false);
+  const { t } = useTranslation();
 
   // Initialize page and detect capabilities
   useEffect(() => {
@@ -78,14 +80,14 @@ export default function Home() {
   return (
     <>
       <Head>
-        <title>Halloween AR Hunt - Vampire's Secret</title>
-        <meta name="description" content="Scan the QR code and discover the vampire's hidden message in augmented reality" />
+        <title>{t('home.title')}</title>
+        <meta name="description" content={t('home.description')} />
         <meta name="keywords" content="Halloween, AR, augmented reality, vampire, QR code, hunt" />
         
         {/* Open Graph / Social Media */}
         <meta property="og:type" content="website" />
-        <meta property="og:title" content="Halloween AR Hunt - Vampire's Secret" />
-        <meta property="og:description" content="Scan the QR code and discover the vampire's hidden message in augmented reality" />
+        <meta property="og:title" content={t('home.title')} />
+        <meta property="og:description" content={t('home.description')} />
         <meta property="og:url" content={currentUrl} />
         
         {/* Mobile optimization */}
@@ -95,24 +97,22 @@ export default function Home() {
         <meta name="apple-mobile-web-app-status-bar-style" content="black-translucent" />
       </Head>
 
-      <Layout title="Halloween AR Hunt" showARUI={false}>
+      <Layout title={t('home.title')} showARUI={false}>
         {/* Hero Section */}
         <section className="text-center mb-8 px-4">
           <div className="max-w-4xl mx-auto">
             <h1 className="text-4xl md:text-6xl font-bold text-orange-400 mb-4 halloween-glow">
-              🎃 The Vampire's Secret
+              {t('home.heading')}
             </h1>
             <p className="text-xl md:text-2xl text-purple-300 mb-6">
-              A hidden message awaits those brave enough to seek it...
+              {t('home.tagline')}
             </p>
             <div className="bg-purple-900/30 backdrop-blur-sm rounded-lg p-6 border border-purple-500/30">
               <p className="text-purple-200 text-lg leading-relaxed">
-                🧛‍♂️ <em>"O vampiro se esconde no reflexo, mas Rupert percebeu a verdade... 
-                Siga-o para a próxima pista antes que ele desapareça também."</em>
+                🧛‍♂️ <em>{t('home.teaser')}</em>
               </p>
               <p className="text-purple-400 text-sm mt-2">
-                But this message is just the beginning. To see the vampire's true secret, 
-                you must use the power of augmented reality...
+                {t('home.teaserNote')}
               </p>
             </div>
           </div>
@@ -122,28 +122,28 @@ export default function Home() {
         <section className="mb-8 px-4">
           <div className="max-w-2xl mx-auto">
             <h2 className="text-2xl font-bold text-orange-400 mb-4 text-center">
-              🔍 How to Reveal the Secret
+              {t('home.howTo')}
             </h2>
             <div className="grid md:grid-cols-3 gap-4">
               <div className="bg-black/40 rounded-lg p-4 border border-orange-400/30">
                 <div className="text-2xl mb-2">1️⃣</div>
-                <h3 className="font-semibold text-orange-300 mb-2">Start AR Experience</h3>
+                <h3 className="font-semibold text-orange-300 mb-2">{t('home.step1Title')}</h3>
                 <p className="text-purple-200 text-sm">
-                  Click "Start AR Experience" below on your mobile device to begin
+                  {t('home.step1Text')}
                 </p>
               </div>
               <div className="bg-black/40 rounded-lg p-4 border border-orange-400/30">
                 <div className="text-2xl mb-2">2️⃣</div>
-                <h3 className="font-semibold text-orange-300 mb-2">Allow Camera</h3>
+                <h3 className="font-semibold text-orange-300 mb-2">{t('home.step2Title')}</h3>
                 <p className="text-purple-200 text-sm">
-                  Grant camera permission when prompted to enable AR scanning
+                  {t('home.step2Text')}
                 </p>
               </div>
               <div className="bg-black/40 rounded-lg p-4 border border-orange-400/30">
                 <div className="text-2xl mb-2">3️⃣</div>
-                <h3 className="font-semibold text-orange-300 mb-2">Point at QR Code</h3>
+                <h3 className="font-semibold text-orange-300 mb-2">{t('home.step3Title')}</h3>
                 <p className="text-purple-200 text-sm">
-                  Point your camera at the QR code below to reveal the vampire's message
+                  {t('home.step3Text')}
                 </p>
               </div>
             </div>
@@ -157,7 +157,7 @@ export default function Home() {
               <QRCodeDisplay
                 url={currentUrl}
                 size={320}
-                title="🧛‍♂️ Vampire's Portal"
+                title={t('home.portalTitle')}
                 onLoad={handleQRGenerated}
                 onError={handleQRError}
                 showInstructions={true}
@@ -166,7 +166,7 @@ export default function Home() {
             ) : (
               <div className="text-center">
                 <div className="loading-spinner mx-auto mb-4"></div>
-                <p className="text-purple-300">Preparing your portal...</p>
+                <p className="text-purple-300">{t('home.preparingPortal')}</p>
               </div>
             )}
           </div>
@@ -186,22 +186,22 @@ export default function Home() {
                     {arCapabilities.arSupported ? '✅' : '⚠️'}
                   </span>
                   <h3 className="font-semibold text-lg">
-                    {arCapabilities.arSupported ? 'AR Ready!' : 'Limited AR Support'}
+                    {arCapabilities.arSupported ? t('home.arReady') : t('home.limitedSupport')}
                   </h3>
                 </div>
                 
                 <p className="text-sm mb-3">
                   {arCapabilities.arSupported 
-                    ? 'Your device supports the full AR experience. Scan the QR code to begin!'
-                    : 'Your device has limited AR support. You can still view the content, but the AR experience may be reduced.'
+                    ? t('home.fullSupportText')
+                    : t('home.limitedSupportText')
                   }
                 </p>
 
                 {/* Device Info */}
                 {deviceInfo && (
                   <div className="text-xs text-gray-400">
-                    <p>Device: {deviceInfo.deviceType} • Browser: {deviceInfo.browser}</p>
-                    <p>AR Score: {arCapabilities.arScore}/100</p>
+                    <p>{t('home.deviceInfo', { device: deviceInfo.deviceType, browser: deviceInfo.browser })}</p>
+                    <p>{t('home.arScore', { score: arCapabilities.arScore })}</p>
                   </div>
                 )}
 
@@ -209,7 +209,7 @@ export default function Home() {
                 {arCapabilities.recommendations && arCapabilities.recommendations.length > 0 && (
                   <details className="mt-3">
                     <summary className="text-sm cursor-pointer hover:text-orange-300">
-                      View Recommendations
+                      {t('home.recommendations')}
                     </summary>
                     <div className="mt-2 space-y-2">
                       {arCapabilities.recommendations.map((rec, index) => (
@@ -239,14 +239,14 @@ export default function Home() {
                 href="/ar"
                 className="inline-block btn btn-primary text-lg px-8 py-3 halloween-glow no-underline"
               >
-                🧛‍♂️ Start AR Experience
+                {t('home.start')}
               </a>
               <p className="text-purple-300 text-sm mt-2">
-                Launch the AR vampire hunt directly on your mobile device
+                {t('home.startHint')}
               </p>
               <div className="mt-4 text-xs text-gray-400">
-                <p>✨ Best experienced on mobile devices</p>
-                <p>📱 Requires camera permission</p>
+                <p>{t('home.bestOnMobile')}</p>
+                <p>{t('home.needsCamera')}</p>
               </div>
             </div>
           </section>
@@ -256,10 +256,9 @@ export default function Home() {
         <section className="px-4">
           <div className="max-w-2xl mx-auto text-center">
             <div className="bg-purple-900/20 rounded-lg p-4">
-              <h3 className="font-semibold text-orange-300 mb-2">About this Experience</h3>
+              <h3 className="font-semibold text-orange-300 mb-2">{t('home.aboutTitle')}</h3>
               <p className="text-purple-200 text-sm mb-3">
-                This Halloween AR hunt uses your device's camera and advanced web technologies 
-                to overlay digital content onto the real world. No app download required!
+                {t('home.aboutText')}
               </p>
               
               {/* Advanced Info Toggle */}
@@ -267,20 +266,20 @@ export default function Home() {
                 onClick={() => setShowAdvancedInfo(!showAdvancedInfo)}
                 className="text-orange-400 hover:text-orange-300 text-sm underline"
               >
-                {showAdvancedInfo ? 'Hide' : 'Show'} Technical Details
+                {showAdvancedInfo ? t('home.hideDetails') : t('home.showDetails')}
               </button>
 
               {/* Advanced Information */}
               {showAdvancedInfo && sessionInfo && (
                 <div className="mt-4 text-left text-xs font-mono bg-black/40 rounded p-3 border border-gray-600">
-                  <p><strong>Session:</strong> {sessionInfo.sessionId}</p>
-                  <p><strong>Duration:</strong> {Math.round(sessionInfo.duration / 1000)}s</p>
-                  <p><strong>Interactions:</strong> {sessionInfo.interactionCount}</p>
-                  <p><strong>AR State:</strong> {sessionInfo.state}</p>
+                  <p><strong>{t('home.session')}:</strong> {sessionInfo.sessionId}</p>
+                  <p><strong>{t('home.duration')}:</strong> {Math.round(sessionInfo.duration / 1000)}s</p>
+                  <p><strong>{t('home.interactions')}:</strong> {sessionInfo.interactionCount}</p>
+                  <p><strong>{t('home.arState')}:</strong> {sessionInfo.state}</p>
                   {deviceInfo && (
                     <>
-                      <p><strong>Screen:</strong> {deviceInfo.screenSize?.width}×{deviceInfo.screenSize?.height}</p>
-                      <p><strong>Language:</strong> {deviceInfo.language}</p>
+                      <p><strong>{t('home.screen')}:</strong> {deviceInfo.screenSize?.width}×{deviceInfo.screenSize?.height}</p>
+                      <p><strong>{t('home.language')}:</strong> {deviceInfo.language}</p>
                     </>
                   )}
                 </div>
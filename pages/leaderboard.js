@@ -0,0 +1,234 @@
+/**
+ * Leaderboard Page
+ * Full-screen ranking of players and teams for the host to show on a TV
+ */
+
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import LanguageSwitcher from '../src/components/LanguageSwitcher';
+import { useTranslation } from '../lib/i18n';
+
+const LEADERBOARD_API = '/api/leaderboard';
+const REFRESH_INTERVAL = 10000;
+const MEDALS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Format a hunt duration
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} mm:ss, or a dash while unfinished
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Ranking table for players or teams
+ */
+const RankingTable = ({ title, entries, emptyText, showTeam, t }) => (
+  <section>
+    <h2>{title}</h2>
+    {entries.length ? (
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>{t('leaderboard.name')}</th>
+            <th>{t('leaderboard.clues')}</th>
+            <th>{t('leaderboard.messages')}</th>
+            <th>{t('leaderboard.hints')}</th>
+            <th>{t('leaderboard.time')}</th>
+            <th>{t('leaderboard.points')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <tr key={`${entry.rank}-${entry.name || entry.playerTag}-${entry.firstScanAt}`} className={entry.completedAt ? 'completed' : ''}>
+              <td className="rank">{MEDALS[entry.rank - 1] || entry.rank}</td>
+              <td>
+                {entry.name || t('leaderboard.player', { tag: entry.playerTag })}
+                {showTeam && entry.team && <small> · {entry.team}</small>}
+              </td>
+              <td>{entry.markersFound}/{entry.totalClues}</td>
+              <td>{entry.messagesViewed}</td>
+              <td>{entry.hintsUsed}</td>
+              <td>{formatDuration(entry.completionTime)}</td>
+              <td className="score">{entry.score}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="empty">{emptyText}</p>
+    )}
+
+    <style jsx>{`
+      h2 {
+        color: #c9b8e8;
+        font-size: 2rem;
+        margin: 0 0 1rem;
+      }
+
+      table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 1.5rem;
+      }
+
+      th, td {
+        padding: 0.6rem 0.75rem;
+        text-align: left;
+        border-bottom: 1px solid #2a1a3a;
+      }
+
+      th {
+        font-size: 0.9rem;
+        color: #a08cc0;
+        text-transform: uppercase;
+      }
+
+      .rank {
+        width: 3rem;
+        text-align: center;
+      }
+
+      .score {
+        color: #ff6b35;
+        font-weight: bold;
+      }
+
+      tr.completed td {
+        background: rgba(255, 107, 53, 0.08);
+      }
+
+      small {
+        color: #a08cc0;
+      }
+
+      .empty {
+        font-size: 1.25rem;
+        color: #a08cc0;
+      }
+    `}</style>
+  </section>
+);
+
+export default function LeaderboardPage() {
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [error, setError] = useState(null);
+  const { t, intlLocale } = useTranslation();
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const response = await fetch(LEADERBOARD_API);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setLeaderboard(data);
+          setError(null);
+        }
+      } catch (err) {
+        // Keep showing the last ranking while the server is unreachable
+        if (!cancelled) {
+          setError(err.message);
+        }
+      }
+    };
+
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
+  return (
+    <>
+      <Head>
+        <title>{t('leaderboard.title')}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="leaderboard-page">
+        <header>
+          <h1>{t('leaderboard.heading')}</h1>
+          <span className="updated">
+            {error
+              ? t('leaderboard.offline')
+              : leaderboard
+                ? t('leaderboard.updatedAt', { time: new Date(leaderboard.generatedAt).toLocaleTimeString(intlLocale) })
+                : t('leaderboard.loading')}
+          </span>
+          <LanguageSwitcher />
+        </header>
+
+        <div className="boards">
+          <RankingTable
+            title={t('leaderboard.teams')}
+            entries={leaderboard?.teams || []}
+            emptyText={t('leaderboard.noTeams')}
+            t={t}
+          />
+          <RankingTable
+            title={t('leaderboard.players')}
+            entries={leaderboard?.players || []}
+            emptyText={t('leaderboard.noPlayers')}
+            t={t}
+            showTeam
+          />
+        </div>
+
+        <style jsx>{`
+          .leaderboard-page {
+            min-height: 100vh;
+            padding: 2rem 3rem;
+            background: radial-gradient(circle at top, #1a1023, #0a0a0a 70%);
+            color: #f0e6d2;
+            font-family: system-ui, sans-serif;
+          }
+
+          header {
+            display: flex;
+            align-items: baseline;
+            justify-content: space-between;
+            gap: 1rem;
+            margin-bottom: 2rem;
+          }
+
+          h1 {
+            margin: 0;
+            font-size: 3.5rem;
+            color: #ff6b35;
+          }
+
+          .updated {
+            margin-left: auto;
+            color: #a08cc0;
+          }
+
+          .boards {
+            display: grid;
+            grid-template-columns: 1fr 1fr;
+            gap: 3rem;
+          }
+
+          @media (max-width: 1100px) {
+            .boards {
+              grid-template-columns: 1fr;
+            }
+          }
+        `}</style>
+      </div>
+    </>
+  );
+}
@@ -5,12 +5,130 @@
 
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { useSession } from '../../lib/session';
+import {
+  trackARStart,
+  trackAREnd,
+  trackMarkerFound,
+  trackARMessageView,
+  trackError,
+  getServerSessionId
+} from '../../lib/sessionManager';
 import { useDeviceCapabilities } from '../hooks/useDeviceCapabilities';
+import { PERFORMANCE_PROFILES, ARPerformanceOptimizer, ARFrameScheduler } from '../utils/performance';
+import { ARAudioPlayer } from '../utils/audio';
+import { ARModelLoader, MODEL_DEFAULTS } from '../utils/models';
+import { ARSceneEffects, getEffectLevel } from '../utils/effects';
+import { ARTelemetryReporter } from '../utils/telemetry';
+import i18n, { useTranslation, subscribeLocale } from '../../lib/i18n';
 import MessageOverlay from './MessageOverlay';
+import HintPanel from './HintPanel';
+
+// Markers flicker in and out of tracking, so a marker is reported again only after this long
+const MARKER_REPORT_WINDOW = 5000;
+
+// How often team members poll for clues their teammates found
+const TEAM_REFRESH_INTERVAL = 15000;
+
+// Message canvas width per texture resolution; the canvas keeps the 2:1 shape of the message plane
+const MESSAGE_TEXTURE_WIDTHS = {
+  high: 512,
+  medium: 384,
+  low: 256
+};
+
+/**
+ * Draw a message onto a canvas for its marker's text plane
+ * Layout is in 512x256 units and scaled to the texture resolution
+ * @param {string} text - Message text
+ * @param {string} language - Locale of the subtitle
+ * @param {string} resolution - Texture resolution ('high', 'medium' or 'low')
+ * @returns {HTMLCanvasElement} Canvas
+ */
+const drawMessageCanvas = (text, language, resolution) => {
+  const width = MESSAGE_TEXTURE_WIDTHS[resolution] || MESSAGE_TEXTURE_WIDTHS.high;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = width / 2;
+  const context = canvas.getContext('2d');
+  context.scale(width / 512, width / 512);
+  
+  // Style vampire message
+  context.fillStyle = 'rgba(20, 0, 20, 0.9)';
+  context.fillRect(0, 0, 512, 256);
+  
+  // Add border
+  context.strokeStyle = 'rgba(139, 0, 0, 0.8)';
+  context.lineWidth = 4;
+  context.strokeRect(2, 2, 512 - 4, 256 - 4);
+  
+  // Add text
+  context.fillStyle = '#f4f4f4';
+  context.font = 'bold 28px serif';
+  context.textAlign = 'center';
+  context.shadowColor = 'rgba(139, 0, 0, 0.8)';
+  context.shadowBlur = 10;
+  
+  const maxWidth = 512 - 40;
+  const lineHeight = 35;
+  
+  // Wrap text
+  const words = text.split(' ');
+  let line = '';
+  let y = 80;
+  
+  words.forEach((word, index) => {
+    const testLine = line + word + ' ';
+    const metrics = context.measureText(testLine);
+    
+    if (metrics.width > maxWidth && index > 0) {
+      context.fillText(line, 256, y);
+      line = word + ' ';
+      y += lineHeight;
+    } else {
+      line = testLine;
+    }
+  });
+  
+  context.fillText(line, 256, y);
+  
+  // Add subtitle
+  context.font = 'italic 18px serif';
+  context.fillStyle = 'rgba(220, 220, 220, 0.8)';
+  context.fillText(i18n.translate(language, 'scene.messageSubtitle'), 256, y + 40);
+  
+  return canvas;
+};
+
+/**
+ * Get the frame rate to cap AR at: the lower of the message API's and the performance profile's maxFPS
+ * @param {Object} deviceProfile - Message API device profile
+ * @param {Object} performanceProfile - Current performance profile
+ * @returns {number} Frames per second
+ */
+const getTargetFPS = (deviceProfile, performanceProfile) => {
+  return Math.min(deviceProfile?.maxFPS || Infinity, performanceProfile.maxFPS);
+};
+
+/**
+ * Pick the message API device profile (DEVICE_PROFILES key) for this device
+ * @param {Object} capabilities - Device capabilities from useDeviceCapabilities
+ * @returns {string} Device type
+ */
+const getDeviceType = (capabilities) => {
+  if (!capabilities.browser?.mobile) {
+    return 'desktop';
+  }
+  if (/ipad|tablet/i.test(navigator.userAgent)) {
+    return 'tablet';
+  }
+  return capabilities.device?.class === 'low_end' ? 'mobile_low' : 'mobile_high';
+};
 
 const ARScene = ({
   cameraStream,
   qrCodeData,
+  markerPayload, // Content of the code scanned in the page, when known
+  messageId,
   onMarkerFound,
   onMarkerLost,
   onError,
@@ -32,6 +150,9 @@ const ARScene = ({
 
   const [vampireMessage, setVampireMessage] = useState(null);
   const [showMessage, setShowMessage] = useState(false);
+  const [teamProgress, setTeamProgress] = useState(null);
+  const [scanCount, setScanCount] = useState(0);
+  const [audioState, setAudioState] = useState({ muted: false, unlocked: false });
 
   // Refs
   const containerRef = useRef(null);
@@ -39,15 +160,24 @@ const ARScene = ({
   const threeSceneRef = useRef(null);
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
-  const performanceRef = useRef({
-    frameCount: 0,
-    lastFPS: 0,
-    startTime: Date.now()
-  });
+  const messageRef = useRef(null);
+  const targetSetRef = useRef(null);
+  const visibleTargetsRef = useRef(new Set());
+  const markerReportsRef = useRef(new Map());
+  const anchorsRef = useRef(new Map());
+  const audioRef = useRef(null);
+  const modelsRef = useRef(null);
+  const effectsRef = useRef(null);
+  const optimizerRef = useRef(null);
+  const deviceProfileRef = useRef(null);
+  const performanceProfileRef = useRef(null);
+  const schedulerRef = useRef(null);
+  const telemetryRef = useRef(null);
 
   // Hooks
   const { session, updateSession } = useSession();
   const { capabilities } = useDeviceCapabilities();
+  const { t } = useTranslation();
 
   // Load MindAR and Three.js libraries
   const loadLibraries = useCallback(async () => {
@@ -60,13 +190,10 @@ const ARScene = ({
 
       console.log('Loading AR libraries...');
 
-      // Load Three.js
+      // Load Three.js from the installed package, the same instance the model loader imports
       if (!window.THREE) {
         console.log('Loading Three.js...');
-        await loadScript('https://unpkg.com/three@0.158.0/build/three.min.js');
-        
-        // Wait for THREE to be available
-        await waitForGlobal('THREE', 5000);
+        window.THREE = await import('three');
         console.log('Three.js loaded successfully');
       }
 
@@ -155,23 +282,65 @@ const ARScene = ({
   // Fetch vampire message configuration
   const fetchVampireMessage = useCallback(async () => {
     try {
-      const response = await fetch('/api/ar/message');
+      // Ask for the message bound to the scanned QR code, or the clue this session is currently on
+      const params = new URLSearchParams({ lang: i18n.getLocale() });
+      if (messageId) {
+        params.set('messageType', messageId);
+      }
+      if (session?.id) {
+        params.set('sessionId', session.id);
+      }
+      if (capabilities) {
+        params.set('deviceType', getDeviceType(capabilities));
+      }
+
+      const response = await fetch(`/api/ar/message?${params.toString()}`);
       if (!response.ok) {
         throw new Error('Failed to fetch vampire message');
       }
       const data = await response.json();
+      messageRef.current = data;
+      deviceProfileRef.current = data.deviceProfile || deviceProfileRef.current;
       setVampireMessage(data);
+      setTeamProgress(data.team || null);
       return data;
     } catch (error) {
       console.error('Failed to fetch vampire message:', error);
       return null;
     }
-  }, []);
+  }, [messageId, session?.id, capabilities]);
 
+  // Fetch the compiled multi-target set and the content for each target
+  const fetchTargetSet = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ format: 'targets', lang: i18n.getLocale() });
+      if (session?.id) {
+        params.set('sessionId', session.id);
+      }
+      if (capabilities) {
+        params.set('deviceType', getDeviceType(capabilities));
+      }
 
+      const response = await fetch(`/api/ar/message?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch target set');
+      }
+      const data = await response.json();
+      targetSetRef.current = data.targets?.src ? data.targets : null;
+      deviceProfileRef.current = data.deviceProfile || deviceProfileRef.current;
+      if (data.team) {
+        setTeamProgress(data.team);
+      }
+      return targetSetRef.current;
+    } catch (error) {
+      console.error('Failed to fetch target set:', error);
+      targetSetRef.current = null;
+      return null;
+    }
+  }, [session?.id, capabilities]);
 
   // Create AR marker content
-  const createARContent = useCallback((THREE, scene) => {
+  const createARContent = useCallback((THREE, scene, targetMessage) => {
     try {
       // Create anchor group for AR content
       const anchor = new THREE.Group();
@@ -179,56 +348,14 @@ const ARScene = ({
       // Create vampire message plane
       const messageGeometry = new THREE.PlaneGeometry(2, 1);
       
-      // Create canvas for text rendering
-      const canvas = document.createElement('canvas');
-      canvas.width = 512;
-      canvas.height = 256;
-      const context = canvas.getContext('2d');
-      
-      // Style vampire message
-      context.fillStyle = 'rgba(20, 0, 20, 0.9)';
-      context.fillRect(0, 0, canvas.width, canvas.height);
-      
-      // Add border
-      context.strokeStyle = 'rgba(139, 0, 0, 0.8)';
-      context.lineWidth = 4;
-      context.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
-      
-      // Add text
-      context.fillStyle = '#f4f4f4';
-      context.font = 'bold 28px serif';
-      context.textAlign = 'center';
-      context.shadowColor = 'rgba(139, 0, 0, 0.8)';
-      context.shadowBlur = 10;
-      
-      const text = vampireMessage?.content?.text || 'Vampire message loading...';
-      const maxWidth = canvas.width - 40;
-      const lineHeight = 35;
-      
-      // Wrap text
-      const words = text.split(' ');
-      let line = '';
-      let y = 80;
-      
-      words.forEach((word, index) => {
-        const testLine = line + word + ' ';
-        const metrics = context.measureText(testLine);
-        
-        if (metrics.width > maxWidth && index > 0) {
-          context.fillText(line, canvas.width / 2, y);
-          line = word + ' ';
-          y += lineHeight;
-        } else {
-          line = testLine;
-        }
-      });
-      
-      context.fillText(line, canvas.width / 2, y);
-      
-      // Add subtitle
-      context.font = 'italic 18px serif';
-      context.fillStyle = 'rgba(220, 220, 220, 0.8)';
-      context.fillText('— Uma mensagem do além —', canvas.width / 2, y + 40);
+      // Read the ref as well since MindAR may initialize before the state update lands
+      const message = targetMessage || vampireMessage || messageRef.current;
+      // The server picked the message variant for the guest's language; draw the subtitle in the same one
+      const language = (!message?.locked && message?.message?.language) || i18n.getLocale();
+      const text = message?.locked
+        ? i18n.translate(language, 'scene.lockedClue')
+        : message?.message?.text || i18n.translate(language, 'scene.messageLoading');
+      const canvas = drawMessageCanvas(text, language, performanceProfileRef.current?.textureResolution);
       
       // Create texture and material
       const texture = new THREE.CanvasTexture(canvas);
@@ -240,6 +367,8 @@ const ARScene = ({
       
       const messagePlane = new THREE.Mesh(messageGeometry, material);
       messagePlane.position.set(0, 0, 0.1);
+      // Kept so the texture can be redrawn when the texture resolution changes
+      messagePlane.userData.messageText = { text, language };
       anchor.add(messagePlane);
       
       // Add glowing border effect
@@ -255,6 +384,26 @@ const ARScene = ({
       borderPlane.position.set(0, 0, 0.05);
       anchor.add(borderPlane);
       
+      // A 3D model joins or replaces the text, which comes back if the model fails to load
+      const model = !message?.locked && message?.message?.model
+        ? { ...MODEL_DEFAULTS, ...message.message.model }
+        : null;
+      if (model && modelsRef.current) {
+        const textPlanes = [messagePlane, borderPlane];
+        textPlanes.forEach(plane => { plane.visible = model.showText; });
+        modelsRef.current.attach(THREE, anchor, model).then(loaded => {
+          if (!loaded) {
+            textPlanes.forEach(plane => { plane.visible = true; });
+          }
+        });
+      }
+      
+      // Fog, bats, dripping blood and candle light; the candle also pulses the border glow
+      effectsRef.current?.attach(THREE, anchor, {
+        glow: borderMaterial,
+        bloodDrip: !model || model.showText
+      });
+      
       // Add to scene
       scene.add(anchor);
       
@@ -265,11 +414,77 @@ const ARScene = ({
     }
   }, [vampireMessage]);
 
+  // Swap in the content of targets unlocked after the scene was built, by the guest's own scan or by teammates
+  const applyTeamUnlocks = useCallback(async () => {
+    const THREE = window.THREE;
+    if (!THREE || !threeSceneRef.current || anchorsRef.current.size === 0) {
+      return;
+    }
+
+    const targetSet = await fetchTargetSet();
+    if (!targetSet) return;
+
+    targetSet.markers.forEach(marker => {
+      const entry = anchorsRef.current.get(marker.index);
+      if (!entry || !entry.target.locked || marker.locked) return;
+
+      if (entry.content) {
+        modelsRef.current?.detach(entry.content);
+        effectsRef.current?.detach(entry.content);
+        entry.anchor.group.remove(entry.content);
+      }
+      // Anchor event handlers read the same target object, so update it in place
+      Object.assign(entry.target, marker);
+      entry.content = createARContent(THREE, threeSceneRef.current, entry.target);
+      if (entry.content) {
+        entry.anchor.group.add(entry.content);
+      }
+    });
+  }, [fetchTargetSet, createARContent]);
+
+  // Record the scanned clue so the next one in the hunt unlocks
+  const recordClueScan = useCallback(async (hunt) => {
+    // A scan in flight blocks repeats from the next detections; a failed one is retried on the next detection
+    if (!hunt || hunt.scanned || hunt.scanning || !session?.id) {
+      return;
+    }
+
+    hunt.scanning = true;
+    try {
+      const response = await fetch('/api/ar/message', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'scan_clue',
+          data: { sessionId: session.id, clueId: hunt.id, lang: i18n.getLocale() }
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to record clue scan (${response.status})`);
+      }
+      hunt.scanned = true;
+
+      const result = await response.json();
+      if (result.team) {
+        setTeamProgress(result.team);
+      }
+      if (result.status === 'scanned') {
+        // The guest moved on, so the hint panel follows the next clue and the next marker unseals
+        setScanCount(count => count + 1);
+        await applyTeamUnlocks();
+      }
+    } catch (error) {
+      console.error('Failed to record clue scan:', error);
+    } finally {
+      hunt.scanning = false;
+    }
+  }, [session?.id, applyTeamUnlocks]);
+
   // Initialize MindAR
   const initializeMindAR = useCallback(async () => {
     try {
       console.log('Starting MindAR initialization...');
-      setArState(prev => ({ ...prev, loadingLibraries: true, loadingStatus: 'Carregando bibliotecas AR...' }));
+      setArState(prev => ({ ...prev, loadingLibraries: true, loadingStatus: i18n.t('scene.loadingLibraries') }));
       
       const { MINDAR, THREE } = await loadLibraries();
       
@@ -284,10 +499,10 @@ const ARScene = ({
       
       console.log('AR libraries verified successfully');
       
-      setArState(prev => ({ ...prev, loadingStatus: 'Preparando marcador AR...' }));
+      setArState(prev => ({ ...prev, loadingStatus: i18n.t('scene.preparingMarker') }));
       
-      // Create QR code marker image
-      const markerImage = await createQRMarkerImage();
+      // Create QR code marker image (only needed without a compiled target set)
+      const markerImage = targetSetRef.current ? null : await createQRMarkerImage();
       
       // Ensure container is ready
       if (!containerRef.current) {
@@ -305,14 +520,22 @@ const ARScene = ({
         height: containerRect.height
       });
       
-      setArState(prev => ({ ...prev, loadingStatus: 'Inicializando sistema AR...' }));
+      setArState(prev => ({ ...prev, loadingStatus: i18n.t('scene.initializing') }));
       
+      // Track every target in the compiled set when available, up to the profile's marker limit
+      const targetSet = targetSetRef.current;
+      const profile = PERFORMANCE_PROFILES[capabilities?.device?.class] || PERFORMANCE_PROFILES.low_end;
+      const targets = targetSet
+        ? targetSet.markers
+        : [{ index: 0, marker: messageId || 'default', message: null, hunt: messageRef.current?.hunt }];
+      const maxTrack = Math.max(1, Math.min(profile.markerTracking.maxMarkers, targets.length));
+
       // Initialize MindAR with proper configuration
       // Note: MindAR will handle its own camera stream internally
       const mindar = new MINDAR.IMAGE.MindARThree({
         container: containerRef.current,
-        imageTargetSrc: markerImage,
-        maxTrack: 1,
+        imageTargetSrc: targetSet ? targetSet.src : markerImage,
+        maxTrack,
         uiLoading: 'no',
         uiScanning: 'no',
         uiError: 'no',
@@ -339,50 +562,111 @@ const ARScene = ({
       threeSceneRef.current = mindARScene;
       cameraRef.current = mindARCamera;
       rendererRef.current = mindARRenderer;
+      visibleTargetsRef.current = new Set();
+      anchorsRef.current = new Map();
       
-      // Create AR content
-      const arContent = createARContent(THREE, mindARScene);
+      // Start from the device's performance profile; the optimizer adjusts it while AR runs
+      performanceProfileRef.current = { ...profile };
+      mindARRenderer.setPixelRatio(window.devicePixelRatio * profile.renderScale);
+      schedulerRef.current?.setTargetFPS(getTargetFPS(deviceProfileRef.current, profile));
       
-      // Add anchor for marker tracking
-      const anchor = mindar.addAnchor(0);
-      if (arContent) {
-        anchor.group.add(arContent);
-      }
+      // Effects follow both the message API device profile and the local performance profile
+      effectsRef.current?.setLevel(getEffectLevel(deviceProfileRef.current, profile));
       
-      // Set up marker events
-      anchor.onTargetFound = () => {
-        console.log('AR marker found');
-        setArState(prev => ({ ...prev, markerVisible: true }));
-        setShowMessage(true);
-        
-        updateSession({
-          ar_session: {
-            marker_found: true,
-            marker_found_at: new Date().toISOString()
-          }
-        });
-        
-        if (onMarkerFound) {
-          onMarkerFound(anchor);
-        }
-      };
+      // Light the scene for 3D models; the text planes use unlit materials
+      mindARScene.add(new THREE.HemisphereLight(0xffffff, 0x330011, 1.2));
+      const moonlight = new THREE.DirectionalLight(0xccccff, 1);
+      moonlight.position.set(0, 2, 3);
+      mindARScene.add(moonlight);
       
-      anchor.onTargetLost = () => {
-        console.log('AR marker lost');
-        setArState(prev => ({ ...prev, markerVisible: false }));
-        setShowMessage(false);
+      // Add an anchor with its own content for each target
+      targets.forEach(target => {
+        const arContent = createARContent(THREE, mindARScene, target.message || target.locked ? target : null);
+        const anchor = mindar.addAnchor(target.index);
+        if (arContent) {
+          anchor.group.add(arContent);
+        }
+        anchorsRef.current.set(target.index, { anchor, target, content: arContent });
         
-        updateSession({
-          ar_session: {
-            marker_found: false,
-            marker_lost_at: new Date().toISOString()
+        // Set up marker events
+        anchor.onTargetFound = () => {
+          console.log('AR marker found:', target.marker);
+          visibleTargetsRef.current.add(target.index);
+          setArState(prev => ({ ...prev, markerVisible: true }));
+          
+          // The overlay follows the most recently found target
+          if (target.message) {
+            messageRef.current = { message: target.message, hunt: target.hunt };
+            setVampireMessage(messageRef.current);
           }
-        });
+          setShowMessage(!target.locked);
+          
+          // Narration or ambience for this target, locked clues stay silent
+          const targetMessage = target.message || messageRef.current?.message;
+          if (!target.locked && targetMessage?.audio) {
+            audioRef.current?.play(target.index, targetMessage.audio);
+          }
+          // Spoken text for guests who cannot read the message in the dark
+          if (!target.locked && targetMessage?.narration) {
+            audioRef.current?.play(`${target.index}:narration`, {
+              enabled: true,
+              soundFile: targetMessage.narration.file,
+              volume: 1
+            });
+          }
+          
+          if (!target.locked) {
+            recordClueScan(target.hunt || messageRef.current?.hunt);
+          }
+          
+          // Report the detection for the organizer dashboard
+          const lastReported = markerReportsRef.current.get(target.index) || 0;
+          if (Date.now() - lastReported > MARKER_REPORT_WINDOW) {
+            markerReportsRef.current.set(target.index, Date.now());
+            const clueId = (target.hunt || messageRef.current?.hunt)?.id;
+            trackMarkerFound({ marker: target.marker, clueId, locked: Boolean(target.locked) });
+            if (!target.locked) {
+              trackARMessageView({ marker: target.marker, clueId, messageKey: target.messageKey || messageId });
+            }
+          }
+          
+          updateSession({
+            ar_session: {
+              marker_found: true,
+              marker_id: target.marker,
+              marker_found_at: new Date().toISOString()
+            }
+          });
+          
+          if (onMarkerFound) {
+            onMarkerFound(anchor);
+          }
+        };
         
-        if (onMarkerLost) {
-          onMarkerLost(anchor);
-        }
-      };
+        anchor.onTargetLost = () => {
+          console.log('AR marker lost:', target.marker);
+          visibleTargetsRef.current.delete(target.index);
+          audioRef.current?.fadeOut(target.index);
+          audioRef.current?.fadeOut(`${target.index}:narration`);
+          const anyVisible = visibleTargetsRef.current.size > 0;
+          setArState(prev => ({ ...prev, markerVisible: anyVisible }));
+          if (!anyVisible) {
+            setShowMessage(false);
+          }
+          
+          updateSession({
+            ar_session: {
+              marker_found: anyVisible,
+              marker_id: target.marker,
+              marker_lost_at: new Date().toISOString()
+            }
+          });
+          
+          if (onMarkerLost) {
+            onMarkerLost(anchor);
+          }
+        };
+      });
       
       setArState(prev => ({ ...prev, loadingLibraries: false, loadingStatus: '' }));
       
@@ -392,35 +676,123 @@ const ARScene = ({
       setArState(prev => ({ ...prev, loadingLibraries: false, loadingStatus: '' }));
       throw error;
     }
-  }, [loadLibraries, createARContent, onMarkerFound, onMarkerLost, updateSession]);
+  }, [loadLibraries, createARContent, recordClueScan, capabilities, messageId, onMarkerFound, onMarkerLost, updateSession]);
 
-  // Create QR marker image from QR code data
-  const createQRMarkerImage = useCallback(async () => {
-    try {
-      if (!qrCodeData) {
-        // Use default QR code if none provided
-        const QRCode = (await import('qrcode')).default;
-        const qrDataURL = await QRCode.toDataURL('https://halloween-vampire-ar.vercel.app/', {
-          errorCorrectionLevel: 'M',
-          type: 'image/png',
-          quality: 1,
-          margin: 1,
-          color: {
-            dark: '#000000',
-            light: '#FFFFFF'
-          },
-          width: 256
+  // Redraw every target in the language the guest switched to
+  const applyLocaleChange = useCallback(async () => {
+    const THREE = window.THREE;
+    if (!THREE || !threeSceneRef.current || anchorsRef.current.size === 0) {
+      return;
+    }
+
+    // Without a compiled target set, the single target shows the session's message
+    const targetSet = await fetchTargetSet();
+    const singleMessage = targetSet ? null : await fetchVampireMessage();
+    if (!targetSet && !singleMessage) return;
+
+    anchorsRef.current.forEach((entry, index) => {
+      const marker = targetSet?.markers.find(item => item.index === index);
+      if (targetSet && !marker) return;
+
+      if (entry.content) {
+        modelsRef.current?.detach(entry.content);
+        effectsRef.current?.detach(entry.content);
+        entry.anchor.group.remove(entry.content);
+      }
+      if (marker) {
+        Object.assign(entry.target, marker);
+      }
+      entry.content = createARContent(THREE, threeSceneRef.current, marker ? entry.target : singleMessage);
+      if (entry.content) {
+        entry.anchor.group.add(entry.content);
+      }
+
+      // Keep the overlay in step when it shows this target
+      if (marker?.message && messageRef.current?.hunt?.id === marker.hunt?.id) {
+        messageRef.current = { message: marker.message, hunt: marker.hunt };
+        setVampireMessage(messageRef.current);
+      }
+    });
+  }, [fetchTargetSet, fetchVampireMessage, createARContent]);
+
+  // Apply an optimizer profile to the running renderer: frame rate cap, pixel ratio, message textures and effects
+  const applyPerformanceProfile = useCallback((nextProfile) => {
+    const THREE = window.THREE;
+    const previous = performanceProfileRef.current;
+    // The optimizer keeps changing the same object, so compare against a copy
+    const profile = { ...nextProfile };
+    performanceProfileRef.current = profile;
+
+    schedulerRef.current?.setTargetFPS(getTargetFPS(deviceProfileRef.current, profile));
+
+    if (rendererRef.current && profile.renderScale !== previous?.renderScale) {
+      rendererRef.current.setPixelRatio(window.devicePixelRatio * profile.renderScale);
+    }
+
+    if (THREE && previous && profile.textureResolution !== previous.textureResolution) {
+      anchorsRef.current.forEach(entry => {
+        entry.content?.traverse(node => {
+          const drawn = node.userData.messageText;
+          if (!drawn) return;
+
+          node.material.map.dispose();
+          node.material.map = new THREE.CanvasTexture(drawMessageCanvas(drawn.text, drawn.language, profile.textureResolution));
         });
-        return qrDataURL;
+      });
+    }
+
+    effectsRef.current?.setLevel(getEffectLevel(deviceProfileRef.current, profile));
+  }, []);
+
+  useEffect(() => {
+    if (!arState.running) {
+      return;
+    }
+    return subscribeLocale(applyLocaleChange);
+  }, [arState.running, applyLocaleChange]);
+
+  // Follow the team's progress while AR is running
+  useEffect(() => {
+    if (!arState.running || !teamProgress || !session?.id) {
+      return;
+    }
+
+    const foundCount = teamProgress.clues.filter(clue => clue.found).length;
+    const timer = setInterval(async () => {
+      try {
+        const response = await fetch(`/api/team?sessionId=${encodeURIComponent(session.id)}`);
+        const { team } = await response.json();
+        setTeamProgress(team);
+
+        if (team && team.clues.filter(clue => clue.found).length > foundCount) {
+          await applyTeamUnlocks();
+        }
+      } catch (error) {
+        console.error('Failed to refresh team progress:', error);
       }
-      
+    }, TEAM_REFRESH_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [arState.running, teamProgress, session?.id, applyTeamUnlocks]);
+
+  // Get the compiled MindAR target for the QR code the guest scanned
+  const createQRMarkerImage = useCallback(async () => {
+    if (qrCodeData) {
       return qrCodeData;
-    } catch (error) {
-      console.error('Failed to create QR marker image:', error);
-      // Return a simple data URL as fallback
-      return 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg==';
     }
-  }, [qrCodeData]);
+
+    // A code scanned in the page is compiled from exactly what it encodes. Otherwise rebuild the printed payload:
+    // the AR page URL with its message ID (bound as /api/qr-code's bindMessageId does), or the home page URL.
+    // The current URL is not used: it can carry hashes or tracking parameters the print lacks.
+    // The server renders that payload with the same QR settings and compiles it into a .mind file.
+    let payload = markerPayload || `${window.location.origin}/`;
+    if (!markerPayload && messageId) {
+      const printed = new URL('/ar', window.location.origin);
+      printed.searchParams.set('qr', messageId);
+      payload = printed.toString();
+    }
+    return `/api/ar/target?data=${encodeURIComponent(payload)}`;
+  }, [qrCodeData, markerPayload, messageId]);
 
   // Start AR experience
   const startAR = useCallback(async () => {
@@ -434,13 +806,55 @@ const ARScene = ({
       // Start MindAR (this will request camera permission)
       await mindARRef.current.start();
       
+      // Cap tracking and rendering to the frame rate of the device and performance profiles
+      schedulerRef.current.reset();
+      schedulerRef.current.attachTracking(mindARRef.current.controller);
+      
+      // Animate models and render every anchor's content on the scheduler's frames
+      rendererRef.current.setAnimationLoop((time) => {
+        if (!schedulerRef.current?.shouldRender(time)) {
+          return;
+        }
+        
+        modelsRef.current?.update(time);
+        effectsRef.current?.update(time);
+        rendererRef.current.render(threeSceneRef.current, cameraRef.current);
+      });
+      
       // Notify parent that camera is ready
       if (onCameraReady) {
         onCameraReady(null, { source: 'mindar' });
       }
       
-      // Start performance monitoring
-      startPerformanceMonitoring();
+      // The optimizer watches frame times and may disable effects while AR runs
+      optimizerRef.current?.stopMonitoring();
+      optimizerRef.current = new ARPerformanceOptimizer(capabilities);
+      optimizerRef.current.startMonitoring();
+      
+      // Upload periodic performance summaries, used to tune the device classes
+      telemetryRef.current?.stop({ flush: false });
+      telemetryRef.current = new ARTelemetryReporter(() => {
+        if (!optimizerRef.current || !capabilities?.device?.class) {
+          return null;
+        }
+        
+        const { optimizations, ...summary } = optimizerRef.current.takeTelemetry();
+        return {
+          deviceClass: capabilities.device.class,
+          classifierVersion: capabilities.device.classification?.version,
+          browser: capabilities.browser?.name,
+          mobile: capabilities.browser?.mobile,
+          summary: {
+            ...summary,
+            renderFPS: schedulerRef.current?.renderRate.getFPS(),
+            fpsCap: schedulerRef.current?.getCap()
+          },
+          optimizations
+        };
+      }, { getSessionId: getServerSessionId });
+      telemetryRef.current.start();
+      
+      trackARStart({ deviceClass: capabilities?.device?.class, messageId });
       
       updateSession({
         ar_session: {
@@ -464,16 +878,24 @@ const ARScene = ({
         error: error.message 
       }));
       
+      trackError({ message: error.message, name: error.name, source: 'ar_start' });
+      
       if (onError) {
         onError(error);
       }
     }
-  }, [capabilities, onCameraReady, updateSession, onError]);
+  }, [capabilities, messageId, onCameraReady, updateSession, onError]);
 
   // Stop AR experience
   const stopAR = useCallback(async () => {
     try {
       if (mindARRef.current) {
+        rendererRef.current?.setAnimationLoop(null);
+        schedulerRef.current?.detachTracking();
+        modelsRef.current?.pause();
+        effectsRef.current?.pause();
+        telemetryRef.current?.stop();
+        optimizerRef.current?.stopMonitoring();
         await mindARRef.current.stop();
       }
       
@@ -484,6 +906,9 @@ const ARScene = ({
       }));
       
       setShowMessage(false);
+      audioRef.current?.stopAll();
+      
+      trackAREnd({ stoppedAt: new Date().toISOString() });
       
       updateSession({
         ar_session: {
@@ -497,39 +922,91 @@ const ARScene = ({
     }
   }, [updateSession]);
 
-  // Performance monitoring
-  const startPerformanceMonitoring = useCallback(() => {
-    const monitor = () => {
-      if (!arState.running) return;
-      
-      performanceRef.current.frameCount++;
-      const now = Date.now();
-      const elapsed = now - performanceRef.current.startTime;
-      
-      if (elapsed >= 1000) { // Update every second
-        const fps = Math.round((performanceRef.current.frameCount * 1000) / elapsed);
-        performanceRef.current.lastFPS = fps;
-        performanceRef.current.frameCount = 0;
-        performanceRef.current.startTime = now;
-        
+  // Frame scheduler; its cap survives restarts so a hot phone is not pushed back up
+  useEffect(() => {
+    const scheduler = new ARFrameScheduler({
+      onReport: ({ fps, trackingFPS, cap }) => {
         setArState(prev => ({
           ...prev,
-          performance: { fps, timestamp: now }
+          performance: { fps, trackingFPS, cap, timestamp: Date.now() }
         }));
       }
-      
-      requestAnimationFrame(monitor);
+    });
+    schedulerRef.current = scheduler;
+
+    return () => {
+      scheduler.detachTracking();
+      schedulerRef.current = null;
     };
-    
-    monitor();
-  }, [arState.running]);
+  }, []);
+
+  // Model loader for 3D message content
+  useEffect(() => {
+    const models = new ARModelLoader();
+    modelsRef.current = models;
+
+    return () => {
+      models.dispose();
+      modelsRef.current = null;
+    };
+  }, []);
+
+  // Scene effects
+  useEffect(() => {
+    const effects = new ARSceneEffects();
+    effectsRef.current = effects;
+
+    return () => {
+      effects.dispose();
+      effectsRef.current = null;
+    };
+  }, []);
+
+  // Follow the performance optimizer as it lowers and restores quality
+  useEffect(() => {
+    const handleOptimization = (event) => {
+      applyPerformanceProfile(event.detail.profile);
+    };
+
+    window.addEventListener('ar-optimization', handleOptimization);
+    return () => window.removeEventListener('ar-optimization', handleOptimization);
+  }, [applyPerformanceProfile]);
+
+  // Audio player for message narration and ambience
+  useEffect(() => {
+    const player = new ARAudioPlayer();
+    audioRef.current = player;
+    setAudioState(player.getState());
+    const unsubscribe = player.subscribe(setAudioState);
+
+    return () => {
+      unsubscribe();
+      player.dispose();
+      audioRef.current = null;
+    };
+  }, []);
+
+  // Mute toggle; the first tap also unlocks audio on mobile browsers
+  const handleAudioToggle = () => {
+    const player = audioRef.current;
+    if (!player) return;
+
+    if (!audioState.unlocked) {
+      player.unlock();
+      if (player.muted) {
+        player.setMuted(false);
+      }
+      return;
+    }
+    player.setMuted(!player.muted);
+  };
 
   // Initialize AR when component mounts
   useEffect(() => {
     if (!arState.initialized) {
       // Add a small delay to ensure DOM is ready
       const initTimer = setTimeout(() => {
-        fetchVampireMessage().then(() => {
+        Promise.all([fetchVampireMessage(), fetchTargetSet()]).then(() => {
           initializeMindAR().then(() => {
             setArState(prev => ({ ...prev, initialized: true }));
           }).catch(error => {
@@ -562,7 +1039,7 @@ const ARScene = ({
       
       return () => clearTimeout(initTimer);
     }
-  }, [arState.initialized, fetchVampireMessage, initializeMindAR, onError]);
+  }, [arState.initialized, fetchVampireMessage, fetchTargetSet, initializeMindAR, onError]);
 
   // Auto-start AR when initialized
   useEffect(() => {
@@ -612,7 +1089,7 @@ const ARScene = ({
       {/* Message Overlay */}
       {vampireMessage && (
         <MessageOverlay
-          message={vampireMessage.content?.text}
+          message={vampireMessage.message?.text}
           isVisible={showMessage && arState.markerVisible}
           animationType="vampire-whisper"
           autoHide={false}
@@ -627,7 +1104,7 @@ const ARScene = ({
           <div className="loading-content">
             <div className="loading-spinner"></div>
             <p>{arState.loadingStatus}</p>
-            <small>Isso pode levar alguns segundos...</small>
+            <small>{t('scene.mayTakeSeconds')}</small>
           </div>
         </div>
       )}
@@ -636,24 +1113,62 @@ const ARScene = ({
       <div className="ar-status">
         {arState.running && (
           <div className="status-indicator active">
-            <span>AR Ativo</span>
+            <span>{t('scene.active')}</span>
             {arState.performance && (
-              <span className="fps">{arState.performance.fps} FPS</span>
+              <span className="fps" title={`${arState.performance.trackingFPS} tracking / ${arState.performance.cap} max`}>
+                {arState.performance.fps} FPS
+              </span>
             )}
           </div>
         )}
         
         {arState.error && (
           <div className="status-indicator error">
-            <span>Erro AR: {arState.error}</span>
+            <span>{t('scene.error', { message: arState.error })}</span>
           </div>
         )}
         
         {!arState.markerVisible && arState.running && (
           <div className="scan-instruction">
-            <span>Aponte a câmera para o código QR</span>
+            <span>{t('scene.pointCamera')}</span>
           </div>
         )}
+        
+        {teamProgress && arState.running && (
+          <div className="team-progress">
+            <span className="team-name">👥 {teamProgress.name}</span>
+            <ol>
+              {teamProgress.clues.map(clue => (
+                <li
+                  key={clue.id}
+                  className={clue.found ? 'found' : clue.unlocked ? 'unlocked' : 'locked'}
+                  title={clue.scannedBy ? t('scene.foundBy', { name: clue.scannedBy }) : undefined}
+                >
+                  {clue.found ? '✓' : clue.unlocked ? '?' : '🔒'} {clue.order}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+        
+        {arState.running && (
+          <button
+            onClick={handleAudioToggle}
+            className="audio-toggle"
+            aria-label={audioState.muted || !audioState.unlocked ? t('scene.enableSound') : t('scene.mute')}
+          >
+            {!audioState.unlocked
+              ? t('scene.tapForSound')
+              : audioState.muted ? t('scene.soundOff') : t('scene.soundOn')}
+          </button>
+        )}
+        
+        {arState.running && session?.id && (
+          <HintPanel
+            sessionId={session.id}
+            refreshKey={`${scanCount}-${teamProgress?.clues.filter(clue => clue.found).length || 0}`}
+          />
+        )}
       </div>
       
       {/* Additional content */}
@@ -752,6 +1267,53 @@ const ARScene = ({
           animation: pulse 2s ease-in-out infinite;
         }
         
+        .team-progress {
+          display: inline-flex;
+          align-items: center;
+          gap: 0.75rem;
+          background: rgba(0, 0, 0, 0.7);
+          color: white;
+          padding: 0.5rem 1rem;
+          border-radius: 0.5rem;
+          font-size: 0.9rem;
+        }
+        
+        .team-progress ol {
+          display: flex;
+          gap: 0.4rem;
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+        
+        .team-progress li {
+          padding: 0.15rem 0.5rem;
+          border-radius: 1rem;
+          border: 1px solid rgba(255, 255, 255, 0.3);
+        }
+        
+        .team-progress li.found {
+          background: rgba(139, 0, 0, 0.8);
+          border-color: #8b0000;
+        }
+        
+        .team-progress li.locked {
+          opacity: 0.5;
+        }
+        
+        .audio-toggle {
+          display: block;
+          margin-top: 0.5rem;
+          padding: 0.4rem 1rem;
+          border: 1px solid rgba(255, 255, 255, 0.3);
+          border-radius: 2rem;
+          background: rgba(0, 0, 0, 0.7);
+          color: white;
+          font-size: 0.9rem;
+          cursor: pointer;
+          pointer-events: auto;
+        }
+        
         @keyframes pulse {
           0%, 100% { opacity: 0.8; transform: translateX(-50%) scale(1); }
           50% { opacity: 1; transform: translateX(-50%) scale(1.05); }
@@ -6,11 +6,14 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useSession } from '../../lib/session';
 import { useDeviceCapabilities } from '../hooks/useDeviceCapabilities';
+import i18n, { useTranslation } from '../../lib/i18n';
 import CameraHandler from './CameraHandler';
 import ARScene from './ARScene';
 
 const ARSessionManager = ({
   qrCodeData,
+  markerPayload,
+  messageId,
   onSessionStart,
   onSessionEnd,
   onMarkerDetected,
@@ -42,6 +45,7 @@ const ARSessionManager = ({
   // Hooks
   const { session, updateSession } = useSession();
   const { capabilities, isLoading: capabilitiesLoading, isSupported } = useDeviceCapabilities();
+  const { t } = useTranslation();
 
   // Session lifecycle management
   const startSession = useCallback(async () => {
@@ -71,7 +75,8 @@ const ARSessionManager = ({
           session_id: `session_${Date.now()}`,
           started_at: new Date().toISOString(),
           device_capabilities: capabilities,
-          qr_code_data: qrCodeData || null
+          qr_code_data: qrCodeData || null,
+          message_id: messageId || null
         }
       });
 
@@ -86,7 +91,7 @@ const ARSessionManager = ({
       console.error('Failed to start AR session:', error);
       handleSessionError(error);
     }
-  }, [capabilitiesLoading, isSupported, capabilities, qrCodeData, updateSession, onSessionStart]);
+  }, [capabilitiesLoading, isSupported, capabilities, qrCodeData, messageId, updateSession, onSessionStart]);
 
   // End session
   const endSession = useCallback(async () => {
@@ -140,7 +145,7 @@ const ARSessionManager = ({
     setSessionState(prev => ({
       ...prev,
       phase: 'error',
-      error: error.message || 'Unknown error occurred',
+      error: error.message || i18n.t('session.unknownError'),
       statistics: {
         ...prev.statistics,
         errorCount: prev.statistics.errorCount + 1
@@ -189,8 +194,8 @@ const ARSessionManager = ({
     console.error('Camera error:', error, errorType);
     
     const errorMessage = errorType === 'permission_denied' 
-      ? 'Camera permission denied. Please allow camera access and try again.'
-      : `Camera error: ${error.message}`;
+      ? i18n.t('errors.cameraAccess.permissionDenied')
+      : i18n.t('session.cameraError', { message: error.message });
       
     handleSessionError(new Error(errorMessage));
   }, [handleSessionError]);
@@ -360,7 +365,7 @@ const ARSessionManager = ({
         <div className="session-loading">
           <div className="loading-content">
             <div className="spinner"></div>
-            <p>Verificando capacidades do dispositivo...</p>
+            <p>{t('session.checking')}</p>
           </div>
         </div>
       )}
@@ -369,8 +374,8 @@ const ARSessionManager = ({
       {!capabilitiesLoading && !isSupported && (
         <div className="session-unsupported">
           <div className="unsupported-content">
-            <h3>AR não suportado</h3>
-            <p>Seu dispositivo ou navegador não suporta AR.</p>
+            <h3>{t('session.unsupportedTitle')}</h3>
+            <p>{t('session.unsupportedText')}</p>
             <div className="recommendations">
               {capabilities?.assessment?.recommendations?.map((rec, index) => (
                 <div key={index} className="recommendation">
@@ -387,13 +392,13 @@ const ARSessionManager = ({
       {sessionState.phase === 'error' && (
         <div className="session-error">
           <div className="error-content">
-            <h3>Erro na Sessão AR</h3>
+            <h3>{t('session.errorTitle')}</h3>
             <p>{sessionState.error}</p>
             <button 
               onClick={startSession}
               className="retry-button"
             >
-              Tentar Novamente
+              {t('session.retry')}
             </button>
           </div>
         </div>
@@ -403,8 +408,8 @@ const ARSessionManager = ({
       {sessionState.phase === 'requesting_camera' && (
         <div className="session-camera-request">
           <div className="camera-request-content">
-            <h3>Permissão da Câmera</h3>
-            <p>Por favor, permita o acesso à câmera para continuar.</p>
+            <h3>{t('session.cameraTitle')}</h3>
+            <p>{t('session.cameraText')}</p>
           </div>
         </div>
       )}
@@ -418,6 +423,8 @@ const ARSessionManager = ({
           <ARScene
             cameraStream={null}
             qrCodeData={qrCodeData}
+            markerPayload={markerPayload}
+            messageId={messageId}
             onMarkerFound={handleMarkerFound}
             onMarkerLost={handleMarkerLost}
             onError={handleARError}
@@ -429,7 +436,7 @@ const ARSessionManager = ({
             <button 
               onClick={endSession}
               className="end-session-button"
-              aria-label="Encerrar sessão AR"
+              aria-label={t('session.end')}
             >
               ✕
             </button>
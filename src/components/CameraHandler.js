@@ -6,6 +6,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useSession } from '../../lib/session';
 import { useDeviceCapabilities } from '../hooks/useDeviceCapabilities';
+import i18n from '../../lib/i18n';
 
 const CameraHandler = ({ 
   onCameraReady, 
@@ -174,16 +175,16 @@ const CameraHandler = ({
 
       if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
         errorType = 'permission_denied';
-        errorMessage = 'Camera permission denied. Please allow camera access and try again.';
+        errorMessage = i18n.t('errors.cameraAccess.permissionDenied');
       } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
         errorType = 'no_camera';
-        errorMessage = 'No camera found on this device.';
+        errorMessage = i18n.t('errors.cameraAccess.noCamera');
       } else if (error.name === 'NotReadableError' || error.name === 'TrackStartError') {
         errorType = 'camera_busy';
-        errorMessage = 'Camera is already in use by another application.';
+        errorMessage = i18n.t('errors.cameraAccess.busy');
       } else if (error.name === 'NotSupportedError') {
         errorType = 'not_supported';
-        errorMessage = 'Camera access is not supported in this browser.';
+        errorMessage = i18n.t('errors.cameraAccess.notSupported');
       }
 
       // Update state
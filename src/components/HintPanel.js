@@ -0,0 +1,237 @@
+/**
+ * HintPanel Component
+ * Shows the hints unlocked for the clue the guest is looking for and lets them ask for the next one early
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { trackHintUsed } from '../../lib/sessionManager';
+import { useTranslation } from '../../lib/i18n';
+
+const HINTS_API = '/api/ar/message';
+
+// Extra wait after a hint's timer so the server agrees it is due
+const TIMER_MARGIN = 1000;
+
+/**
+ * Format the time a hint unlocks on its own
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} intlLocale - Intl locale (e.g. 'pt-BR')
+ * @returns {string} HH:MM
+ */
+function formatTime(timestamp, intlLocale) {
+  return new Date(timestamp).toLocaleTimeString(intlLocale, { hour: '2-digit', minute: '2-digit' });
+}
+
+const HintPanel = ({ sessionId, refreshKey }) => {
+  const [hints, setHints] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const { t, locale, intlLocale } = useTranslation();
+
+  // Keep the latest hints and log the ones revealed by this response (scoring uses the server's record)
+  // The panel stays closed when a timer unlocks a hint; the hint only costs points once the guest opens it
+  const applyHints = useCallback((data) => {
+    setHints(data.hints);
+    (data.hints?.newlyRevealed || []).forEach(hint => {
+      trackHintUsed({ clueId: data.hints.clueId, index: hint.index, trigger: hint.trigger, early: hint.early });
+    });
+  }, []);
+
+  const fetchHints = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ format: 'hints', sessionId, lang: locale });
+      const response = await fetch(`${HINTS_API}?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch hints');
+      }
+      applyHints(await response.json());
+    } catch (error) {
+      console.error('Failed to fetch hints:', error);
+    }
+  }, [sessionId, locale, applyHints]);
+
+  // Reload when the guest moves on to another clue or switches language
+  useEffect(() => {
+    if (sessionId) {
+      fetchHints();
+    }
+  }, [sessionId, refreshKey, fetchHints]);
+
+  // Reload when the next hint unlocks on its own
+  useEffect(() => {
+    if (!hints?.next) {
+      return;
+    }
+
+    const wait = Math.max(0, new Date(hints.next.availableAt) - Date.now()) + TIMER_MARGIN;
+    const timer = setTimeout(fetchHints, wait);
+    return () => clearTimeout(timer);
+  }, [hints, fetchHints]);
+
+  const hasUnseen = Boolean(hints?.revealed.some(hint => !hint.viewedAt));
+
+  // Tell the server the guest has seen the hints on the open panel
+  useEffect(() => {
+    if (!isOpen || !hasUnseen) {
+      return;
+    }
+
+    const markViewed = async () => {
+      try {
+        const response = await fetch(HINTS_API, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            action: 'view_hints',
+            data: { sessionId, clueId: hints.clueId, lang: locale }
+          })
+        });
+        if (!response.ok) {
+          throw new Error('Failed to record viewed hints');
+        }
+        setHints((await response.json()).hints);
+      } catch (error) {
+        console.error('Failed to record viewed hints:', error);
+      }
+    };
+
+    markViewed();
+  }, [isOpen, hasUnseen, sessionId, hints?.clueId, locale]);
+
+  const handleRequestHint = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(HINTS_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          action: 'request_hint',
+          data: { sessionId, clueId: hints.clueId, lang: locale }
+        })
+      });
+      if (!response.ok) {
+        throw new Error('Failed to request hint');
+      }
+      applyHints(await response.json());
+    } catch (error) {
+      console.error('Failed to request hint:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!hints || hints.total === 0) {
+    return null;
+  }
+
+  const early = hints.next && Date.now() < new Date(hints.next.availableAt).getTime();
+
+  return (
+    <div className="hint-panel">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`hint-toggle ${hasUnseen ? 'unseen' : ''}`}
+        aria-expanded={isOpen}
+      >
+        {t('hints.toggle', { revealed: hints.revealed.length, total: hints.total })}
+      </button>
+
+      {isOpen && (
+        <div className="hint-card">
+          {hints.revealed.length ? (
+            <ol>
+              {hints.revealed.map(hint => (
+                <li key={hint.index}>{hint.text}</li>
+              ))}
+            </ol>
+          ) : (
+            <p className="hint-empty">{t('hints.empty')}</p>
+          )}
+
+          {hints.next && (
+            <>
+              <button onClick={handleRequestHint} disabled={isLoading} className="hint-request">
+                {early ? t('hints.requestNow') : t('hints.next')}
+              </button>
+              {early && (
+                <small>
+                  {t('hints.nextFree', { time: formatTime(hints.next.availableAt, intlLocale) })}
+                </small>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <style jsx>{`
+        .hint-panel {
+          margin-top: 0.5rem;
+          max-width: 320px;
+          pointer-events: auto;
+        }
+
+        button {
+          border: none;
+          border-radius: 2rem;
+          color: white;
+          cursor: pointer;
+          font-size: 0.9rem;
+        }
+
+        button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .hint-toggle {
+          padding: 0.4rem 1rem;
+          background: rgba(0, 0, 0, 0.7);
+          border: 1px solid rgba(255, 255, 255, 0.3);
+        }
+
+        .hint-toggle.unseen {
+          border-color: #ff6b35;
+          box-shadow: 0 0 8px rgba(255, 107, 53, 0.6);
+        }
+
+        .hint-card {
+          margin-top: 0.5rem;
+          padding: 0.75rem 1rem;
+          border-radius: 0.5rem;
+          background: rgba(0, 0, 0, 0.8);
+          border-left: 3px solid #ff6b35;
+          color: #f0e6d2;
+          font-size: 0.9rem;
+        }
+
+        ol {
+          margin: 0 0 0.75rem;
+          padding-left: 1.2rem;
+        }
+
+        li {
+          padding: 0.2rem 0;
+        }
+
+        .hint-empty {
+          margin: 0 0 0.75rem;
+          color: #c9b8e8;
+        }
+
+        .hint-request {
+          width: 100%;
+          padding: 0.6rem;
+          background: #8b0000;
+        }
+
+        small {
+          display: block;
+          margin-top: 0.5rem;
+          color: #a08cc0;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default HintPanel;
@@ -0,0 +1,56 @@
+/**
+ * LanguageSwitcher Component
+ * Lets guests pick the language of the experience; the choice is remembered on this device
+ */
+
+import { useTranslation } from '../../lib/i18n';
+
+const LanguageSwitcher = ({ className = '' }) => {
+  const { locale, locales, setLocale, t } = useTranslation();
+
+  return (
+    <div className={`language-switcher ${className}`} role="group" aria-label={t('language.label')}>
+      {Object.entries(locales).map(([code, info]) => (
+        <button
+          key={code}
+          onClick={() => setLocale(code)}
+          className={code === locale ? 'active' : ''}
+          aria-pressed={code === locale}
+          lang={info.intl}
+          title={info.name}
+        >
+          {info.label}
+        </button>
+      ))}
+
+      <style jsx>{`
+        .language-switcher {
+          display: inline-flex;
+          gap: 0.25rem;
+          padding: 0.2rem;
+          border-radius: 2rem;
+          background: rgba(0, 0, 0, 0.6);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+        }
+
+        button {
+          padding: 0.25rem 0.6rem;
+          border: none;
+          border-radius: 2rem;
+          background: transparent;
+          color: #c9b8e8;
+          font-size: 0.8rem;
+          font-weight: bold;
+          cursor: pointer;
+        }
+
+        button.active {
+          background: #8b0000;
+          color: white;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
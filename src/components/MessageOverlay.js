@@ -5,6 +5,7 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { useSession } from '../../lib/session';
+import { useTranslation } from '../../lib/i18n';
 
 const MessageOverlay = ({ 
   message,
@@ -42,6 +43,7 @@ const MessageOverlay = ({
 
   // Hooks
   const { session, updateSession } = useSession();
+  const { t } = useTranslation();
 
   // Animation configurations
   const animations = {
@@ -355,7 +357,7 @@ const MessageOverlay = ({
           
           {/* Optional subtitle for context */}
           <div className="message-subtitle">
-            <span>— Uma mensagem do além —</span>
+            <span>{t('scene.messageSubtitle')}</span>
           </div>
         </div>
 
@@ -368,7 +370,7 @@ const MessageOverlay = ({
                 e.stopPropagation();
                 hideMessage();
               }}
-              aria-label="Fechar mensagem"
+              aria-label={t('overlay.close')}
             >
               <span>×</span>
             </button>
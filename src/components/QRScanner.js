@@ -0,0 +1,216 @@
+/**
+ * QRScanner Component
+ * In-page QR code scanning using CameraHandler's stream and qr-scanner for decoding
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import CameraHandler from './CameraHandler';
+import { useTranslation } from '../../lib/i18n';
+
+// Scanning configuration
+const SCAN_CONFIG = {
+  interval: 250, // ms between decode attempts
+  duplicateWindow: 3000 // ignore the same payload for this long after it was rejected
+};
+
+/**
+ * Live decoding viewfinder bound to a camera stream
+ */
+const ScannerView = ({ camera, onScan, onCancel }) => {
+  const { t } = useTranslation();
+  // Catalog key, so the status follows language switches
+  const [status, setStatus] = useState('scanner.pointAtClue');
+  const videoRef = useRef(null);
+  const engineRef = useRef(null);
+  const lastRejectedRef = useRef({ data: null, at: 0 });
+
+  // Show the camera stream in the viewfinder
+  useEffect(() => {
+    if (videoRef.current && camera.stream) {
+      videoRef.current.srcObject = camera.stream;
+      videoRef.current.play().catch(console.error);
+    }
+  }, [camera.stream]);
+
+  // Decode frames while the camera is active
+  useEffect(() => {
+    if (!camera.isActive) {
+      return;
+    }
+
+    let cancelled = false;
+    let timer = null;
+    let QrScanner = null;
+    const canvas = document.createElement('canvas');
+
+    const scanFrame = async () => {
+      const video = videoRef.current;
+
+      if (video && video.readyState >= video.HAVE_CURRENT_DATA) {
+        try {
+          // Reuse one decoding engine (web worker) instead of creating one per frame
+          const { data } = await QrScanner.scanImage(video, {
+            returnDetailedScanResult: true,
+            qrEngine: engineRef.current,
+            canvas
+          });
+
+          const lastRejected = lastRejectedRef.current;
+          const isRecentReject = lastRejected.data === data &&
+            Date.now() - lastRejected.at < SCAN_CONFIG.duplicateWindow;
+
+          if (!cancelled && !isRecentReject) {
+            const accepted = onScan(data);
+            if (accepted) {
+              return; // Parent navigates away, stop scanning
+            }
+            lastRejectedRef.current = { data, at: Date.now() };
+            setStatus('scanner.notInHunt');
+          }
+        } catch (error) {
+          // qr-scanner rejects when no code is visible in the frame
+        }
+      }
+
+      if (!cancelled) {
+        timer = setTimeout(scanFrame, SCAN_CONFIG.interval);
+      }
+    };
+
+    const start = async () => {
+      try {
+        QrScanner = (await import('qr-scanner')).default;
+        engineRef.current = await QrScanner.createQrEngine();
+        if (!cancelled) {
+          scanFrame();
+        }
+      } catch (error) {
+        console.error('Failed to start QR scanner:', error);
+        setStatus('scanner.startFailed');
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      // Worker engines must be terminated explicitly
+      if (engineRef.current instanceof Worker) {
+        engineRef.current.terminate();
+      }
+      engineRef.current = null;
+    };
+  }, [camera.isActive, onScan]);
+
+  return (
+    <div className="qr-scanner-view">
+      <video ref={videoRef} autoPlay playsInline muted className="viewfinder-video" />
+
+      <div className="viewfinder-frame" aria-hidden="true">
+        <span className="corner top-left"></span>
+        <span className="corner top-right"></span>
+        <span className="corner bottom-left"></span>
+        <span className="corner bottom-right"></span>
+      </div>
+
+      <div className="scanner-status">
+        {camera.isRequesting && <p>{t('scanner.requesting')}</p>}
+        {camera.isPermissionDenied && <p>{t('scanner.permission')}</p>}
+        {camera.hasError && <p>{camera.state.error?.message}</p>}
+        {camera.isActive && <p>{t(status)}</p>}
+        {camera.state.status === 'idle' && (
+          <button onClick={() => camera.start()} className="scanner-button">
+            {t('scanner.enableCamera')}
+          </button>
+        )}
+        <button onClick={onCancel} className="scanner-button secondary">
+          {t('scanner.cancel')}
+        </button>
+      </div>
+
+      <style jsx>{`
+        .qr-scanner-view {
+          position: fixed;
+          inset: 0;
+          z-index: 200;
+          background: #000;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .viewfinder-video {
+          position: absolute;
+          inset: 0;
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+
+        .viewfinder-frame {
+          position: relative;
+          width: min(70vw, 320px);
+          height: min(70vw, 320px);
+          box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.5);
+        }
+
+        .corner {
+          position: absolute;
+          width: 2rem;
+          height: 2rem;
+          border: 4px solid #8b0000;
+        }
+
+        .top-left { top: 0; left: 0; border-right: none; border-bottom: none; }
+        .top-right { top: 0; right: 0; border-left: none; border-bottom: none; }
+        .bottom-left { bottom: 0; left: 0; border-right: none; border-top: none; }
+        .bottom-right { bottom: 0; right: 0; border-left: none; border-top: none; }
+
+        .scanner-status {
+          position: absolute;
+          bottom: 2rem;
+          left: 1rem;
+          right: 1rem;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.75rem;
+          color: white;
+          text-align: center;
+        }
+
+        .scanner-status p {
+          margin: 0;
+          background: rgba(0, 0, 0, 0.7);
+          padding: 0.5rem 1rem;
+          border-radius: 1rem;
+        }
+
+        .scanner-button {
+          background: #8b0000;
+          color: white;
+          border: none;
+          border-radius: 2rem;
+          padding: 0.8rem 1.5rem;
+          cursor: pointer;
+        }
+
+        .scanner-button.secondary {
+          background: rgba(0, 0, 0, 0.7);
+          border: 1px solid rgba(255, 255, 255, 0.3);
+        }
+      `}</style>
+    </div>
+  );
+};
+
+const QRScanner = ({ onScan, onCancel, onError }) => {
+  return (
+    <CameraHandler autoStart={true} facingMode="environment" onError={onError}>
+      {(camera) => <ScannerView camera={camera} onScan={onScan} onCancel={onCancel} />}
+    </CameraHandler>
+  );
+};
+
+export default QRScanner;
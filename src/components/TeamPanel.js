@@ -0,0 +1,242 @@
+/**
+ * TeamPanel Component
+ * Lets guests create or join a team with a join code and shows the team's shared hunt progress
+ */
+
+import { useState } from 'react';
+import { useTeam } from '../../lib/session';
+import { useTranslation } from '../../lib/i18n';
+
+const TeamPanel = ({ onClose }) => {
+  const { team, error, isLoading, createTeam, joinTeam, leaveTeam } = useTeam();
+  const { t } = useTranslation();
+  const [playerName, setPlayerName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
+  const [teamName, setTeamName] = useState('');
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    await joinTeam(joinCode, playerName);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    await createTeam(teamName, playerName);
+  };
+
+  return (
+    <div className="team-panel" role="dialog" aria-label={t('team.dialog')}>
+      <div className="team-card">
+        <button onClick={onClose} className="close-button" aria-label={t('team.close')}>×</button>
+
+        {team ? (
+          <>
+            <h2>👥 {team.name}</h2>
+            <p className="join-code-label">{t('team.joinCode')}</p>
+            <p className="join-code">{team.joinCode}</p>
+
+            <h3>{t('team.members')}</h3>
+            <ul className="members">
+              {team.members.map(member => (
+                <li key={`${member.name}-${member.joinedAt}`}>
+                  {member.name}{member.isYou ? t('team.you') : ''}
+                </li>
+              ))}
+            </ul>
+
+            <h3>{t('team.clues')}</h3>
+            <ol className="clues">
+              {team.clues.map(clue => (
+                <li key={clue.id} className={clue.found ? 'found' : ''}>
+                  {clue.found
+                    ? t('team.clueFound', { order: clue.order, name: clue.scannedBy })
+                    : clue.unlocked
+                      ? t('team.clueSearching', { order: clue.order })
+                      : t('team.clueLocked', { order: clue.order })}
+                </li>
+              ))}
+            </ol>
+
+            <button onClick={leaveTeam} disabled={isLoading} className="secondary">
+              {t('team.leave')}
+            </button>
+          </>
+        ) : (
+          <>
+            <h2>{t('team.playAsTeam')}</h2>
+
+            <label>
+              {t('team.yourName')}
+              <input
+                value={playerName}
+                onChange={(e) => setPlayerName(e.target.value)}
+                maxLength={30}
+                placeholder={t('team.namePlaceholder')}
+              />
+            </label>
+
+            <form onSubmit={handleJoin}>
+              <label>
+                {t('team.joinCode')}
+                <input
+                  value={joinCode}
+                  onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+                  maxLength={5}
+                  placeholder={t('team.codePlaceholder')}
+                  autoCapitalize="characters"
+                />
+              </label>
+              <button type="submit" disabled={isLoading || !joinCode}>{t('team.join')}</button>
+            </form>
+
+            <div className="divider">{t('team.or')}</div>
+
+            <form onSubmit={handleCreate}>
+              <label>
+                {t('team.newTeamName')}
+                <input
+                  value={teamName}
+                  onChange={(e) => setTeamName(e.target.value)}
+                  maxLength={30}
+                  placeholder={t('team.teamPlaceholder')}
+                />
+              </label>
+              <button type="submit" disabled={isLoading}>{t('team.create')}</button>
+            </form>
+          </>
+        )}
+
+        {error && <p className="team-error">{error}</p>}
+      </div>
+
+      <style jsx>{`
+        .team-panel {
+          position: fixed;
+          inset: 0;
+          z-index: 200;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(0, 0, 0, 0.8);
+          padding: 1rem;
+        }
+
+        .team-card {
+          position: relative;
+          width: 100%;
+          max-width: 360px;
+          max-height: 90vh;
+          overflow-y: auto;
+          padding: 1.5rem;
+          border-radius: 1rem;
+          background: #1a1023;
+          border: 1px solid #4b2a6b;
+          color: #f0e6d2;
+        }
+
+        h2 {
+          margin: 0 0 1rem;
+          color: #ff6b35;
+        }
+
+        h3 {
+          margin: 1rem 0 0.5rem;
+          font-size: 0.9rem;
+          color: #c9b8e8;
+        }
+
+        label {
+          display: flex;
+          flex-direction: column;
+          gap: 0.25rem;
+          margin-bottom: 0.75rem;
+          font-size: 0.875rem;
+          color: #c9b8e8;
+        }
+
+        input {
+          padding: 0.6rem;
+          border: 1px solid #4b2a6b;
+          border-radius: 0.375rem;
+          background: #0a0a0a;
+          color: #f0e6d2;
+          font-size: 1rem;
+        }
+
+        button {
+          width: 100%;
+          padding: 0.8rem;
+          border: none;
+          border-radius: 2rem;
+          background: #8b0000;
+          color: white;
+          cursor: pointer;
+          font-size: 1rem;
+        }
+
+        button:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        button.secondary {
+          margin-top: 1rem;
+          background: transparent;
+          border: 1px solid rgba(255, 255, 255, 0.3);
+        }
+
+        .close-button {
+          position: absolute;
+          top: 0.75rem;
+          right: 0.75rem;
+          width: auto;
+          padding: 0.2rem 0.6rem;
+          background: transparent;
+          font-size: 1.5rem;
+        }
+
+        .join-code-label {
+          margin: 0;
+          font-size: 0.8rem;
+          color: #a08cc0;
+        }
+
+        .join-code {
+          margin: 0.25rem 0 0;
+          font-family: monospace;
+          font-size: 2rem;
+          letter-spacing: 0.3em;
+          color: #ff6b35;
+        }
+
+        ul, ol {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+        }
+
+        li {
+          padding: 0.3rem 0;
+          font-size: 0.9rem;
+        }
+
+        .clues li.found {
+          color: #ff9a7a;
+        }
+
+        .divider {
+          margin: 1rem 0;
+          text-align: center;
+          color: #a08cc0;
+        }
+
+        .team-error {
+          margin: 1rem 0 0;
+          color: #ff8080;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default TeamPanel;
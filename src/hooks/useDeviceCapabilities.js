@@ -5,6 +5,10 @@
 
 import { useState, useEffect, useCallback } from 'react';
 
+// CPU benchmark workload; the classifier's benchmarkMs thresholds (lib/deviceClassifier.js) are tuned to it
+const BENCHMARK_ITERATIONS = 300000;
+const BENCHMARK_RUNS = 3; // Best run is kept, the first one usually pays for JIT compilation
+
 export const useDeviceCapabilities = () => {
   const [capabilities, setCapabilities] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -27,7 +31,8 @@ export const useDeviceCapabilities = () => {
           downlink: navigator.connection.downlink
         } : null,
         webgl: detectWebGLSupport(),
-        webrtc: detectWebRTCSupport()
+        webrtc: detectWebRTCSupport(),
+        benchmarkMs: runBenchmark()
       };
 
       return deviceInfo;
@@ -54,11 +59,15 @@ export const useDeviceCapabilities = () => {
       
       if (!gl) return { supported: false };
 
+      // Most browsers only name the real GPU through the debug extension
+      const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+
       const info = {
         supported: true,
         webgl2: !!gl2,
         vendor: gl.getParameter(gl.VENDOR),
         renderer: gl.getParameter(gl.RENDERER),
+        unmaskedRenderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null,
         version: gl.getParameter(gl.VERSION),
         extensions: gl.getSupportedExtensions() || []
       };
@@ -76,6 +85,28 @@ export const useDeviceCapabilities = () => {
     }
   }, []);
 
+  // Time a fixed CPU workload in ms, lower is faster
+  const runBenchmark = useCallback(() => {
+    try {
+      let best = Infinity;
+      let result = 0;
+
+      for (let run = 0; run < BENCHMARK_RUNS; run++) {
+        const start = performance.now();
+        for (let i = 0; i < BENCHMARK_ITERATIONS; i++) {
+          result += Math.sqrt(i) * Math.sin(i);
+        }
+        best = Math.min(best, performance.now() - start);
+      }
+
+      // Using the result keeps the loop from being optimized away
+      return Number.isFinite(result) ? Math.round(best * 10) / 10 : null;
+    } catch (error) {
+      console.error('Benchmark failed:', error);
+      return null;
+    }
+  }, []);
+
   // Detect WebRTC support
   const detectWebRTCSupport = useCallback(() => {
     try {
@@ -102,6 +133,8 @@ export const useDeviceCapabilities = () => {
         deviceMemory: deviceInfo.deviceMemory?.toString() || '',
         hardwareConcurrency: deviceInfo.hardwareConcurrency?.toString() || '',
         maxTouchPoints: deviceInfo.maxTouchPoints.toString(),
+        gpuRenderer: deviceInfo.webgl?.unmaskedRenderer || deviceInfo.webgl?.renderer || '',
+        benchmarkMs: deviceInfo.benchmarkMs?.toString() || '',
         format: 'detailed'
       });
 
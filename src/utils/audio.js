@@ -0,0 +1,315 @@
+/**
+ * AR Audio Utilities
+ * Plays per-message narration and ambient loops with fades, within mobile autoplay rules
+ */
+
+// Remembered across visits so a guest who muted once is not startled again
+const MUTE_STORAGE_KEY = 'halloween_ar_muted';
+
+/**
+ * Default audio settings, merged under each message's `audio` config
+ */
+export const AUDIO_DEFAULTS = {
+  enabled: false,
+  soundFile: null,
+  loop: false, // Ambient loops repeat while the marker stays visible
+  volume: 0.7,
+  fadeInDuration: 500, // ms
+  fadeOutDuration: 1500 // ms
+};
+
+/**
+ * Audio player for AR targets
+ * Browsers only allow audio after a user gesture, so sounds requested before unlock() wait until then
+ */
+export class ARAudioPlayer {
+  constructor() {
+    this.context = null;
+    this.master = null;
+    this.buffers = new Map();
+    this.voices = new Map();
+    this.loading = new Map();
+    this.pending = new Map();
+    this.listeners = [];
+    this.unlocked = false;
+    this.muted = this.loadMutePreference();
+
+    this.handleGesture = this.handleGesture.bind(this);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pointerdown', this.handleGesture);
+      window.addEventListener('keydown', this.handleGesture);
+    }
+  }
+
+  /**
+   * Read the saved mute preference
+   * @returns {boolean} True if the guest muted audio before
+   */
+  loadMutePreference() {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage.getItem(MUTE_STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Unlock audio on the first tap or key press anywhere on the page
+   */
+  handleGesture() {
+    this.unlock();
+  }
+
+  /**
+   * Create or resume the audio context
+   * Must be called from a user gesture handler on mobile browsers
+   * @returns {Promise<boolean>} True if audio can play
+   */
+  async unlock() {
+    const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContext) {
+      return false;
+    }
+
+    try {
+      if (!this.context) {
+        this.context = new AudioContext();
+        this.master = this.context.createGain();
+        this.master.gain.value = this.muted ? 0 : 1;
+        this.master.connect(this.context.destination);
+      }
+
+      if (this.context.state === 'suspended') {
+        await this.context.resume();
+      }
+    } catch (error) {
+      console.warn('Audio unlock failed:', error);
+      return false;
+    }
+
+    if (this.context.state !== 'running' || this.unlocked) {
+      return this.unlocked;
+    }
+
+    this.unlocked = true;
+    window.removeEventListener('pointerdown', this.handleGesture);
+    window.removeEventListener('keydown', this.handleGesture);
+    this.notify();
+
+    // Start sounds for targets that were found before the guest touched the screen
+    const pending = Array.from(this.pending.entries());
+    this.pending.clear();
+    pending.forEach(([key, audio]) => this.play(key, audio));
+
+    return true;
+  }
+
+  /**
+   * Load and decode a sound file once
+   * @param {string} url - Sound file URL
+   * @returns {Promise<AudioBuffer>} Decoded audio
+   */
+  async loadBuffer(url) {
+    if (!this.buffers.has(url)) {
+      const request = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load sound ${url}: HTTP ${response.status}`);
+          }
+          return response.arrayBuffer();
+        })
+        .then(data => this.context.decodeAudioData(data));
+
+      // Forget failed loads so a later attempt can retry
+      request.catch(() => this.buffers.delete(url));
+      this.buffers.set(url, request);
+    }
+    return this.buffers.get(url);
+  }
+
+  /**
+   * Play a target's sound, fading it in
+   * @param {string|number} key - Target key (one voice per target)
+   * @param {Object} audioConfig - Message audio configuration
+   */
+  async play(key, audioConfig) {
+    const audio = { ...AUDIO_DEFAULTS, ...audioConfig };
+    if (!audio.enabled || !audio.soundFile) {
+      return;
+    }
+
+    if (!this.unlocked) {
+      this.pending.set(key, audioConfig);
+      return;
+    }
+
+    // Found again while still fading out: restart cleanly
+    this.stop(key);
+    const request = {};
+    this.loading.set(key, request);
+
+    try {
+      const buffer = await this.loadBuffer(audio.soundFile);
+
+      // The target was lost (or the player disposed) while the sound was loading
+      if (!this.context || this.loading.get(key) !== request) {
+        return;
+      }
+      this.loading.delete(key);
+
+      const source = this.context.createBufferSource();
+      const gain = this.context.createGain();
+      const now = this.context.currentTime;
+      const volume = Math.min(Math.max(audio.volume, 0), 1);
+
+      source.buffer = buffer;
+      source.loop = audio.loop;
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(volume, now + audio.fadeInDuration / 1000);
+      source.connect(gain);
+      gain.connect(this.master);
+
+      const voice = { source, gain, fadeOutDuration: audio.fadeOutDuration };
+      source.onended = () => {
+        if (this.voices.get(key) === voice) {
+          this.voices.delete(key);
+        }
+      };
+
+      this.voices.set(key, voice);
+      source.start();
+    } catch (error) {
+      console.warn('Audio playback failed:', error);
+    }
+  }
+
+  /**
+   * Fade out and stop a target's sound
+   * @param {string|number} key - Target key
+   * @param {number} duration - Fade duration in ms (defaults to the message's fadeOutDuration)
+   */
+  fadeOut(key, duration) {
+    this.pending.delete(key);
+    this.loading.delete(key);
+
+    const voice = this.voices.get(key);
+    if (!voice || !this.context) {
+      return;
+    }
+
+    const seconds = (duration ?? voice.fadeOutDuration) / 1000;
+    const now = this.context.currentTime;
+    voice.gain.gain.cancelScheduledValues(now);
+    voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
+    voice.gain.gain.linearRampToValueAtTime(0, now + seconds);
+    voice.source.stop(now + seconds);
+  }
+
+  /**
+   * Stop a target's sound immediately
+   * @param {string|number} key - Target key
+   */
+  stop(key) {
+    this.loading.delete(key);
+    const voice = this.voices.get(key);
+    if (!voice) {
+      return;
+    }
+
+    this.voices.delete(key);
+    try {
+      voice.source.stop();
+    } catch (error) {
+      // Already stopped
+    }
+  }
+
+  /**
+   * Fade out every sound
+   * @param {number} duration - Fade duration in ms
+   */
+  stopAll(duration = 300) {
+    this.pending.clear();
+    this.loading.clear();
+    Array.from(this.voices.keys()).forEach(key => this.fadeOut(key, duration));
+  }
+
+  /**
+   * Mute or unmute all sounds
+   * Muting keeps sounds running silently so unmuting resumes them in place
+   * @param {boolean} muted - Muted state
+   */
+  setMuted(muted) {
+    this.muted = muted;
+
+    try {
+      localStorage.setItem(MUTE_STORAGE_KEY, String(muted));
+    } catch (error) {
+      // Storage may be unavailable in private browsing
+    }
+
+    if (this.master) {
+      const now = this.context.currentTime;
+      this.master.gain.cancelScheduledValues(now);
+      this.master.gain.setValueAtTime(this.master.gain.value, now);
+      this.master.gain.linearRampToValueAtTime(muted ? 0 : 1, now + 0.2);
+    }
+
+    this.notify();
+  }
+
+  /**
+   * Get the player state for UI
+   * @returns {Object} { muted, unlocked }
+   */
+  getState() {
+    return { muted: this.muted, unlocked: this.unlocked };
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with getState()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(entry => entry !== listener);
+    };
+  }
+
+  /**
+   * Notify listeners of a state change
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /**
+   * Stop all sounds and release the audio context
+   */
+  dispose() {
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pointerdown', this.handleGesture);
+      window.removeEventListener('keydown', this.handleGesture);
+    }
+
+    Array.from(this.voices.keys()).forEach(key => this.stop(key));
+    this.loading.clear();
+    this.pending.clear();
+    this.listeners = [];
+
+    if (this.context) {
+      this.context.close().catch(() => {});
+      this.context = null;
+      this.master = null;
+    }
+    this.unlocked = false;
+  }
+}
+
+export default {
+  AUDIO_DEFAULTS,
+  ARAudioPlayer
+};
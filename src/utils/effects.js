@@ -0,0 +1,365 @@
+/**
+ * AR Scene Effects
+ * Fog, floating bats, a blood-drip shader and flickering candle light around each AR target
+ */
+
+/**
+ * Effect settings per level
+ * The scene starts at the device's level and drops to `off` when the performance optimizer disables effects
+ */
+export const EFFECT_LEVELS = {
+  full: { fogParticles: 48, bats: 5, bloodDrip: true, candle: true },
+  reduced: { fogParticles: 16, bats: 2, bloodDrip: true, candle: true },
+  off: { fogParticles: 0, bats: 0, bloodDrip: false, candle: false }
+};
+
+// Drips run down from the top edge of the 2x1 message plane
+const BLOOD_DRIP_VERTEX_SHADER = `
+  varying vec2 vUv;
+
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+const BLOOD_DRIP_FRAGMENT_SHADER = `
+  uniform float uTime;
+  uniform vec3 uColor;
+  varying vec2 vUv;
+
+  const float COLUMNS = 20.0;
+  const float ASPECT = 5.0; // Plane height over column width, keeps drops round
+
+  float hash(float n) {
+    return fract(sin(n) * 43758.5453);
+  }
+
+  void main() {
+    float column = floor(vUv.x * COLUMNS);
+    float x = fract(vUv.x * COLUMNS) - 0.5;
+    float depth = 1.0 - vUv.y;
+
+    // Only some columns drip, each at its own pace
+    float active = step(0.45, hash(column + 1.3));
+    float phase = fract(uTime * (0.04 + hash(column) * 0.08) + hash(column + 7.0));
+    float dripLength = 0.1 + 0.7 * phase;
+    float width = 0.12 + 0.12 * hash(column + 3.0);
+
+    float trail = step(abs(x), width * (1.0 - 0.5 * depth / dripLength)) * step(depth, dripLength);
+    float drop = 1.0 - smoothstep(width * 1.1, width * 1.5, length(vec2(x, (depth - dripLength) * ASPECT)));
+    float edge = step(depth, 0.06);
+
+    float alpha = max(max(trail, drop) * active * (1.0 - smoothstep(0.85, 1.0, phase)), edge);
+    gl_FragColor = vec4(uColor, alpha * 0.85);
+  }
+`;
+
+/**
+ * Pick the effect level for a device
+ * @param {Object} deviceProfile - Message API device profile ({ quality, enableEffects })
+ * @param {Object} performanceProfile - Performance profile from PERFORMANCE_PROFILES or ARPerformanceOptimizer
+ * @returns {string} EFFECT_LEVELS key
+ */
+export function getEffectLevel(deviceProfile, performanceProfile) {
+  if (deviceProfile?.enableEffects === false || performanceProfile?.enableEffects === false) {
+    return 'off';
+  }
+  return deviceProfile?.quality === 'high' ? 'full' : 'reduced';
+}
+
+/**
+ * Effects for AR targets
+ * Each target's content group gets its own effects, rebuilt whenever the level changes
+ */
+export class ARSceneEffects {
+  constructor(level = 'reduced') {
+    this.level = EFFECT_LEVELS[level] ? level : 'reduced';
+    this.targets = new Map();
+    this.textures = null;
+    this.elapsed = 0;
+    this.lastTime = null;
+  }
+
+  /**
+   * Draw the fog puff and bat sprites once
+   * @param {Object} THREE - Three.js namespace used by the scene
+   * @returns {Object} { fog, bat }
+   */
+  getTextures(THREE) {
+    if (this.textures) {
+      return this.textures;
+    }
+
+    const fogCanvas = document.createElement('canvas');
+    fogCanvas.width = fogCanvas.height = 64;
+    const fogContext = fogCanvas.getContext('2d');
+    const gradient = fogContext.createRadialGradient(32, 32, 0, 32, 32, 32);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    fogContext.fillStyle = gradient;
+    fogContext.fillRect(0, 0, 64, 64);
+
+    const batCanvas = document.createElement('canvas');
+    batCanvas.width = 128;
+    batCanvas.height = 64;
+    const batContext = batCanvas.getContext('2d');
+    batContext.fillStyle = '#0a0005';
+    batContext.beginPath();
+    batContext.moveTo(64, 24);
+    batContext.quadraticCurveTo(40, 4, 4, 12);
+    batContext.quadraticCurveTo(20, 24, 18, 40);
+    batContext.quadraticCurveTo(30, 30, 40, 44);
+    batContext.quadraticCurveTo(50, 34, 64, 46);
+    batContext.quadraticCurveTo(78, 34, 88, 44);
+    batContext.quadraticCurveTo(98, 30, 110, 40);
+    batContext.quadraticCurveTo(108, 24, 124, 12);
+    batContext.quadraticCurveTo(88, 4, 64, 24);
+    batContext.fill();
+
+    this.textures = {
+      fog: new THREE.CanvasTexture(fogCanvas),
+      bat: new THREE.CanvasTexture(batCanvas)
+    };
+    return this.textures;
+  }
+
+  /**
+   * Add effects to a target's content
+   * @param {Object} THREE - Three.js namespace used by the scene
+   * @param {Object} group - Target content group
+   * @param {Object} options - { glow: material pulsed with the candle, bloodDrip: false to skip the drips }
+   */
+  attach(THREE, group, options = {}) {
+    this.detach(group);
+
+    const entry = {
+      THREE,
+      options,
+      glowOpacity: options.glow?.opacity,
+      objects: [],
+      fog: null,
+      bats: [],
+      drip: null,
+      candle: null
+    };
+    this.targets.set(group, entry);
+    this.build(group, entry);
+  }
+
+  /**
+   * Create the current level's effects for a target
+   * @param {Object} group - Target content group
+   * @param {Object} entry - Target effects state
+   */
+  build(group, entry) {
+    const settings = EFFECT_LEVELS[this.level];
+    const { THREE, options } = entry;
+
+    if (settings.fogParticles > 0) {
+      const textures = this.getTextures(THREE);
+      const positions = new Float32Array(settings.fogParticles * 3);
+      for (let i = 0; i < settings.fogParticles; i++) {
+        positions[i * 3] = (Math.random() - 0.5) * 2.8;
+        positions[i * 3 + 1] = -0.7 + Math.random() * 0.5;
+        positions[i * 3 + 2] = Math.random() * 0.6;
+      }
+
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      entry.fog = new THREE.Points(geometry, new THREE.PointsMaterial({
+        map: textures.fog,
+        color: 0x9988aa,
+        size: 0.6,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+      }));
+      entry.objects.push(entry.fog);
+    }
+
+    for (let i = 0; i < settings.bats; i++) {
+      const textures = this.getTextures(THREE);
+      const bat = new THREE.Sprite(new THREE.SpriteMaterial({ map: textures.bat, transparent: true }));
+      bat.userData = {
+        radius: 0.9 + Math.random() * 0.6,
+        height: 0.5 + Math.random() * 0.5,
+        speed: (0.6 + Math.random() * 0.6) * (i % 2 ? -1 : 1),
+        phase: Math.random() * Math.PI * 2
+      };
+      bat.scale.set(0.3, 0.15, 1);
+      entry.bats.push(bat);
+      entry.objects.push(bat);
+    }
+
+    if (settings.bloodDrip && options.bloodDrip !== false) {
+      entry.drip = new THREE.Mesh(
+        new THREE.PlaneGeometry(2, 0.5),
+        new THREE.ShaderMaterial({
+          uniforms: {
+            uTime: { value: this.elapsed },
+            uColor: { value: new THREE.Color(0x6b0000) }
+          },
+          vertexShader: BLOOD_DRIP_VERTEX_SHADER,
+          fragmentShader: BLOOD_DRIP_FRAGMENT_SHADER,
+          transparent: true,
+          depthWrite: false
+        })
+      );
+      entry.drip.position.set(0, 0.25, 0.11);
+      entry.objects.push(entry.drip);
+    }
+
+    if (settings.candle) {
+      entry.candle = new THREE.PointLight(0xff8c32, 1, 3);
+      entry.candle.position.set(0.9, -0.5, 0.5);
+      entry.objects.push(entry.candle);
+    }
+
+    entry.objects.forEach(object => group.add(object));
+  }
+
+  /**
+   * Remove a target's effects and free their GPU resources
+   * @param {Object} group - Target content group
+   * @param {Object} entry - Target effects state
+   */
+  clear(group, entry) {
+    entry.objects.forEach(object => {
+      group.remove(object);
+      // Sprites share one geometry across the renderer
+      if (!object.isSprite) {
+        object.geometry?.dispose();
+      }
+      object.material?.dispose();
+    });
+
+    if (entry.options.glow && entry.glowOpacity !== undefined) {
+      entry.options.glow.opacity = entry.glowOpacity;
+    }
+
+    entry.objects = [];
+    entry.fog = null;
+    entry.bats = [];
+    entry.drip = null;
+    entry.candle = null;
+  }
+
+  /**
+   * Remove the effects of a target's content before it is replaced
+   * @param {Object} group - Target content group
+   */
+  detach(group) {
+    const entry = this.targets.get(group);
+    if (!entry) {
+      return;
+    }
+
+    this.clear(group, entry);
+    this.targets.delete(group);
+  }
+
+  /**
+   * Switch every target to another effect level
+   * @param {string} level - EFFECT_LEVELS key
+   */
+  setLevel(level) {
+    if (!EFFECT_LEVELS[level] || level === this.level) {
+      return;
+    }
+
+    console.log(`AR effects level: ${this.level} -> ${level}`);
+    this.level = level;
+    this.targets.forEach((entry, group) => {
+      this.clear(group, entry);
+      this.build(group, entry);
+    });
+  }
+
+  /**
+   * Get the current effect level
+   * @returns {string} EFFECT_LEVELS key
+   */
+  getLevel() {
+    return this.level;
+  }
+
+  /**
+   * Animate every effect, called once per rendered frame
+   * @param {number} time - Frame timestamp in ms
+   */
+  update(time = performance.now()) {
+    const delta = this.lastTime === null ? 0 : Math.min((time - this.lastTime) / 1000, 0.1);
+    this.lastTime = time;
+    this.elapsed += delta;
+
+    const t = this.elapsed;
+    // Layered waves with a little noise read as a candle flame
+    const flicker = 0.75 + 0.15 * Math.sin(t * 9.1) + 0.07 * Math.sin(t * 23.7) + 0.05 * Math.random();
+
+    this.targets.forEach(entry => {
+      if (entry.fog) {
+        const positions = entry.fog.geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+          let x = positions.getX(i) + delta * (0.08 + (i % 5) * 0.02);
+          if (x > 1.4) {
+            x = -1.4;
+          }
+          positions.setX(i, x);
+        }
+        positions.needsUpdate = true;
+        entry.fog.material.opacity = 0.3 + 0.08 * Math.sin(t * 0.7);
+      }
+
+      entry.bats.forEach(bat => {
+        const { radius, height, speed, phase } = bat.userData;
+        const angle = phase + t * speed;
+        bat.position.set(
+          Math.cos(angle) * radius,
+          height + Math.sin(angle * 2) * 0.1,
+          0.4 + Math.sin(angle) * radius * 0.4
+        );
+        bat.scale.y = 0.15 * (0.4 + 0.6 * Math.abs(Math.sin(t * 12 + phase)));
+      });
+
+      if (entry.drip) {
+        entry.drip.material.uniforms.uTime.value = t;
+      }
+
+      if (entry.candle) {
+        entry.candle.intensity = flicker * 1.5;
+        if (entry.options.glow && entry.glowOpacity !== undefined) {
+          entry.options.glow.opacity = entry.glowOpacity * flicker;
+        }
+      }
+    });
+  }
+
+  /**
+   * Pause animations until the next frame, so they do not jump after the render loop restarts
+   */
+  pause() {
+    this.lastTime = null;
+  }
+
+  /**
+   * Remove every effect and release shared textures
+   */
+  dispose() {
+    this.targets.forEach((entry, group) => this.clear(group, entry));
+    this.targets.clear();
+
+    if (this.textures) {
+      this.textures.fog.dispose();
+      this.textures.bat.dispose();
+      this.textures = null;
+    }
+    this.lastTime = null;
+  }
+}
+
+export default {
+  EFFECT_LEVELS,
+  getEffectLevel,
+  ARSceneEffects
+};
@@ -0,0 +1,166 @@
+/**
+ * AR Model Utilities
+ * Loads glTF/GLB models onto AR targets and plays their embedded animation clips
+ */
+
+/**
+ * Default model settings, merged under each message's `model` config
+ */
+export const MODEL_DEFAULTS = {
+  src: null,
+  scale: 1, // Already adjusted by the server for the device profile's quality
+  position: [0, 0.6, 0.3], // Above the text plane, towards the camera
+  rotation: [0, 0, 0], // Radians
+  animation: null, // Clip name, or null to play every clip
+  loop: true,
+  showText: true // Keep the text plane under the model
+};
+
+/**
+ * Model loader for AR targets
+ * Each file is downloaded once and cloned per target; skinned meshes keep their own skeleton
+ */
+export class ARModelLoader {
+  constructor() {
+    this.modules = null;
+    this.models = new Map();
+    this.mixers = new Map();
+    this.lastTime = null;
+  }
+
+  /**
+   * Load the glTF loader modules once
+   * They come from the installed three package, the same Three.js instance the AR scene renders with
+   * @returns {Promise<Object>} { loader, clone }
+   */
+  loadModules() {
+    if (!this.modules) {
+      this.modules = Promise.all([
+        import('three/examples/jsm/loaders/GLTFLoader.js'),
+        import('three/examples/jsm/utils/SkeletonUtils.js')
+      ]).then(([{ GLTFLoader }, { clone }]) => ({ loader: new GLTFLoader(), clone }));
+
+      // Forget failed loads so a later attempt can retry
+      this.modules.catch(() => {
+        this.modules = null;
+      });
+    }
+    return this.modules;
+  }
+
+  /**
+   * Load and parse a model file once
+   * @param {string} src - glTF or GLB URL
+   * @returns {Promise<Object>} Parsed glTF ({ scene, animations })
+   */
+  async loadModel(src) {
+    if (!this.models.has(src)) {
+      const request = this.loadModules().then(({ loader }) => loader.loadAsync(src));
+      request.catch(() => this.models.delete(src));
+      this.models.set(src, request);
+    }
+    return this.models.get(src);
+  }
+
+  /**
+   * Add a message's model to a target's content and start its animation
+   * @param {Object} THREE - Three.js namespace used by the scene
+   * @param {Object} group - Target content group
+   * @param {Object} modelConfig - Message model configuration
+   * @returns {Promise<boolean>} True if the model was added
+   */
+  async attach(THREE, group, modelConfig) {
+    const model = { ...MODEL_DEFAULTS, ...modelConfig };
+    if (!model.src) {
+      return false;
+    }
+
+    try {
+      const [{ clone }, gltf] = await Promise.all([this.loadModules(), this.loadModel(model.src)]);
+
+      // The content was replaced (or the loader disposed) while the model was loading
+      if (!group.parent || !this.models.has(model.src)) {
+        return false;
+      }
+
+      const object = clone(gltf.scene);
+      object.scale.setScalar(model.scale);
+      object.position.set(...model.position);
+      object.rotation.set(...model.rotation);
+      group.add(object);
+
+      const clips = model.animation
+        ? gltf.animations.filter(clip => clip.name === model.animation)
+        : gltf.animations;
+      if (clips.length > 0) {
+        const mixer = new THREE.AnimationMixer(object);
+        clips.forEach(clip => {
+          const action = mixer.clipAction(clip);
+          if (!model.loop) {
+            action.setLoop(THREE.LoopOnce);
+            action.clampWhenFinished = true;
+          }
+          action.play();
+        });
+        this.mixers.set(group, mixer);
+      }
+
+      return true;
+    } catch (error) {
+      console.warn(`Model ${model.src} failed to load:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop the animation of a target's content before it is replaced
+   * @param {Object} group - Target content group
+   */
+  detach(group) {
+    const mixer = this.mixers.get(group);
+    if (!mixer) {
+      return;
+    }
+
+    mixer.stopAllAction();
+    mixer.uncacheRoot(mixer.getRoot());
+    this.mixers.delete(group);
+  }
+
+  /**
+   * Advance every model animation, called once per rendered frame
+   * @param {number} time - Frame timestamp in ms
+   */
+  update(time = performance.now()) {
+    const delta = this.lastTime === null ? 0 : (time - this.lastTime) / 1000;
+    this.lastTime = time;
+    this.mixers.forEach(mixer => mixer.update(delta));
+  }
+
+  /**
+   * Pause animations until the next frame, so they do not jump after the render loop restarts
+   */
+  pause() {
+    this.lastTime = null;
+  }
+
+  /**
+   * Stop all animations and release loaded models
+   */
+  dispose() {
+    Array.from(this.mixers.keys()).forEach(group => this.detach(group));
+    this.models.forEach(request => request.then(gltf => {
+      gltf.scene.traverse(node => {
+        node.geometry?.dispose();
+        [].concat(node.material || []).forEach(material => material.dispose());
+      });
+    }).catch(() => {}));
+    this.models.clear();
+    this.lastTime = null;
+  }
+}
+
+export default {
+  MODEL_DEFAULTS,
+  ARModelLoader
+};
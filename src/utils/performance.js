@@ -93,21 +93,41 @@ export class ARPerformanceMonitor {
     this.callbacks = {
       onPerformanceIssue: null,
       onFrameDrop: null,
-      onMemoryWarning: null
+      onMemoryWarning: null,
+      onRecovery: null
     };
     
     this.thresholds = {
       minFPS: 20,
       maxFrameTime: 50, // ms
       maxMemoryMB: 512,
-      maxConsecutiveDrops: 5
+      maxConsecutiveDrops: 5,
+      recoveryFPS: 25, // Healthy rate, above minFPS so quality does not bounce
+      recoveryTime: 10000, // ms without issues before reporting recovery
+      maxRecoveryTime: 160000 // Upper limit for recoveryTime as restores lengthen it
     };
     
     this.state = {
       consecutiveDrops: 0,
       lastOptimization: 0,
+      lastIssue: Date.now(),
       adaptiveQuality: true
     };
+    
+    this.resetPeriod();
+  }
+
+  /**
+   * Start a new telemetry period
+   */
+  resetPeriod() {
+    this.period = {
+      startTime: Date.now(),
+      frames: 0,
+      frameTimeSum: 0,
+      minFPS: Infinity,
+      droppedFrames: 0
+    };
   }
 
   /**
@@ -162,9 +182,15 @@ export class ARPerformanceMonitor {
     const fps = 1000 / frameTime;
     this.metrics.fps = this.smoothValue(this.metrics.fps, fps, 0.9);
     
+    // Accumulate the telemetry period, using the smoothed rate so a single slow frame is not the minimum
+    this.period.frames++;
+    this.period.frameTimeSum += frameTime;
+    this.period.minFPS = Math.min(this.period.minFPS, this.metrics.fps);
+    
     // Track dropped frames
     if (frameTime > this.thresholds.maxFrameTime) {
       this.metrics.droppedFrames++;
+      this.period.droppedFrames++;
       this.state.consecutiveDrops++;
       
       if (this.callbacks.onFrameDrop) {
@@ -225,9 +251,22 @@ export class ARPerformanceMonitor {
       issueDetected = true;
     }
     
-    if (issueDetected && this.callbacks.onPerformanceIssue) {
-      this.callbacks.onPerformanceIssue(issues, this.getMetrics());
-      this.state.lastOptimization = now;
+    if (issueDetected) {
+      this.state.lastIssue = now;
+      if (this.callbacks.onPerformanceIssue) {
+        this.callbacks.onPerformanceIssue(issues, this.getMetrics());
+        this.state.lastOptimization = now;
+      }
+      return;
+    }
+    
+    // Report recovery after a sustained healthy period
+    if (this.metrics.fps >= this.thresholds.recoveryFPS &&
+        now - this.state.lastIssue >= this.thresholds.recoveryTime) {
+      this.state.lastIssue = now;
+      if (this.callbacks.onRecovery) {
+        this.callbacks.onRecovery(this.getMetrics());
+      }
     }
   }
 
@@ -287,6 +326,24 @@ export class ARPerformanceMonitor {
     return 'stable';
   }
 
+  /**
+   * Summarize the current telemetry period and start the next one
+   * @returns {Object} { averageFPS, minFPS, droppedFrames, memoryMB, memoryTrend, duration }
+   */
+  takeSummary() {
+    const { startTime, frames, frameTimeSum, minFPS, droppedFrames } = this.period;
+    this.resetPeriod();
+    
+    return {
+      averageFPS: frameTimeSum > 0 ? Math.round((frames * 10000) / frameTimeSum) / 10 : 0,
+      minFPS: frames > 0 ? Math.round(minFPS * 10) / 10 : 0,
+      droppedFrames,
+      memoryMB: Math.round(this.metrics.memoryUsage),
+      memoryTrend: this.getMemoryTrend(),
+      duration: Date.now() - startTime
+    };
+  }
+
   /**
    * Set performance callbacks
    */
@@ -311,6 +368,7 @@ export class ARPerformanceOptimizer {
     this.currentProfile = this.getOptimalProfile();
     this.monitor = new ARPerformanceMonitor();
     this.optimizations = new Set();
+    this.periodOptimizations = new Set();
     
     this.setupMonitorCallbacks();
   }
@@ -320,7 +378,14 @@ export class ARPerformanceOptimizer {
    */
   getOptimalProfile() {
     const deviceClass = this.capabilities?.device?.class || 'low_end';
-    return PERFORMANCE_PROFILES[deviceClass] || PERFORMANCE_PROFILES.low_end;
+    const profile = PERFORMANCE_PROFILES[deviceClass] || PERFORMANCE_PROFILES.low_end;
+
+    // Copy so optimizations never change the shared profiles
+    return {
+      ...profile,
+      markerTracking: { ...profile.markerTracking },
+      camera: { ...profile.camera }
+    };
   }
 
   /**
@@ -338,6 +403,9 @@ export class ARPerformanceOptimizer {
       },
       onMemoryWarning: (memoryMB) => {
         this.applyOptimization('memory_cleanup');
+      },
+      onRecovery: () => {
+        this.restoreQuality();
       }
     });
   }
@@ -373,6 +441,7 @@ export class ARPerformanceOptimizer {
     
     console.log(`Applying optimization: ${type}`);
     this.optimizations.add(type);
+    this.periodOptimizations.add(type);
     
     switch (type) {
       case 'reduce_render_scale':
@@ -413,6 +482,24 @@ export class ARPerformanceOptimizer {
     this.emitOptimizationEvent(type);
   }
 
+  /**
+   * Undo all optimizations once the monitor reports recovery
+   * Each restore doubles the healthy period needed for the next one, up to maxRecoveryTime, so a struggling
+   * device settles at lower quality but still gets it back after a few minutes of stable frames
+   */
+  restoreQuality() {
+    if (this.optimizations.size === 0) {
+      return;
+    }
+    
+    console.log('Performance recovered, restoring quality');
+    this.resetOptimizations();
+    const { recoveryTime, maxRecoveryTime } = this.monitor.thresholds;
+    this.monitor.setThresholds({ recoveryTime: Math.min(recoveryTime * 2, maxRecoveryTime) });
+    
+    this.emitOptimizationEvent('restore_quality');
+  }
+
   /**
    * Emit optimization event for external handlers
    */
@@ -491,6 +578,21 @@ export class ARPerformanceOptimizer {
     return this.monitor.getMetrics();
   }
 
+  /**
+   * Summarize the telemetry period for upload and start the next one
+   * Optimizations include those applied during the period, even if quality was restored since
+   * @returns {Object} Monitor summary with the optimizations applied
+   */
+  takeTelemetry() {
+    const optimizations = Array.from(new Set([...this.periodOptimizations, ...this.optimizations]));
+    this.periodOptimizations = new Set(this.optimizations);
+    
+    return {
+      ...this.monitor.takeSummary(),
+      optimizations
+    };
+  }
+
   /**
    * Get current performance profile
    */
@@ -602,10 +704,190 @@ export class FrameRateCalculator {
   }
 }
 
+/**
+ * Frame scheduler capping AR rendering and tracking to a frame rate
+ * Phones throttle when they heat up, so a cap the device stops reaching is lowered step by step
+ */
+export class ARFrameScheduler {
+  constructor(options = {}) {
+    this.options = {
+      minFPS: 15, // Floor for automatic lowering
+      step: 5, // FPS removed per lowering
+      dropRatio: 0.8, // Achieved rate below cap × ratio counts as a drop
+      sustainedDrops: 5, // Consecutive 1-second reports below the ratio before lowering
+      onReport: null, // Called every second with { fps, minFPS, trackingFPS, cap }
+      onCapChange: null, // Called with the new cap when it is lowered
+      ...options
+    };
+    
+    this.targetFPS = 30;
+    this.thermalCap = Infinity;
+    this.tracking = null;
+    this.reset();
+  }
+
+  /**
+   * Forget timing state, e.g. after the render loop restarts
+   */
+  reset() {
+    this.lastRender = null;
+    this.lastReport = 0;
+    this.lowReports = 0;
+    this.renderRate = new FrameRateCalculator(60);
+    this.trackingRate = new FrameRateCalculator(60);
+  }
+
+  /**
+   * Set the frame rate asked for by the device and performance profiles
+   * Caps lowered for heat are kept, so restoring quality does not undo them
+   * @param {number} fps - Target frame rate
+   */
+  setTargetFPS(fps) {
+    if (Number.isFinite(fps) && fps > 0) {
+      this.targetFPS = fps;
+    }
+  }
+
+  /**
+   * Get the effective frame rate cap
+   * @returns {number} Frames per second
+   */
+  getCap() {
+    return Math.min(this.targetFPS, this.thermalCap);
+  }
+
+  /**
+   * Decide whether to render on this animation frame
+   * @param {number} time - Frame timestamp in ms
+   * @returns {boolean} True if the frame should be rendered
+   */
+  shouldRender(time) {
+    const interval = 1000 / this.getCap();
+    const elapsed = time - this.lastRender;
+    
+    // 1ms of slack absorbs timer jitter on frames that land right on the interval
+    if (this.lastRender !== null && elapsed < interval - 1) {
+      return false;
+    }
+    
+    // Advance by whole intervals so caps that do not divide the display rate still average out
+    this.lastRender = this.lastRender !== null && elapsed < interval * 2 ? this.lastRender + interval : time;
+    this.renderRate.update();
+    
+    if (time - this.lastReport >= 1000) {
+      this.lastReport = time;
+      this.report();
+    }
+    return true;
+  }
+
+  /**
+   * Report the achieved rate and lower the cap after sustained drops
+   */
+  report() {
+    const fps = this.renderRate.getFPS();
+    const cap = this.getCap();
+    
+    if (fps > 0 && fps < cap * this.options.dropRatio) {
+      this.lowReports++;
+    } else {
+      this.lowReports = 0;
+    }
+    
+    if (this.lowReports >= this.options.sustainedDrops && cap > this.options.minFPS) {
+      this.lowReports = 0;
+      this.thermalCap = Math.max(this.options.minFPS, cap - this.options.step);
+      console.log(`Sustained frame drops, capping AR at ${this.thermalCap} FPS`);
+      if (this.options.onCapChange) {
+        this.options.onCapChange(this.thermalCap);
+      }
+    }
+    
+    if (this.options.onReport) {
+      this.options.onReport({
+        fps,
+        minFPS: Math.round(this.renderRate.getMinFPS()),
+        trackingFPS: this.trackingRate.getFPS(),
+        cap: this.getCap()
+      });
+    }
+  }
+
+  /**
+   * Cap a MindAR controller's tracking loop to the same rate
+   * MindAR 1.2 has no frame rate option, so its detect and track steps wait for the next slot.
+   * These are private controller methods (checked against the 1.2.5 build ARScene loads); when a
+   * MindAR version lacks them, tracking runs at its own rate and only rendering is capped.
+   * @param {Object} controller - MindAR image controller (mindar.controller, available after start)
+   * @returns {boolean} True if the tracking loop is capped
+   */
+  attachTracking(controller) {
+    this.detachTracking();
+    if (!controller) {
+      return false;
+    }
+    
+    if (typeof controller._detectAndMatch !== 'function' || typeof controller._trackAndUpdate !== 'function') {
+      console.warn('MindAR controller has no detect/track steps to cap, capping rendering only');
+      return false;
+    }
+    
+    const originals = {
+      onUpdate: controller.onUpdate,
+      _detectAndMatch: controller._detectAndMatch,
+      _trackAndUpdate: controller._trackAndUpdate
+    };
+    let lastProcessed = 0;
+    let waitPending = false;
+    
+    // Each tracking pass ends with 'processDone'; the next pass starts with detect or track
+    controller.onUpdate = (data) => {
+      if (data?.type === 'processDone') {
+        lastProcessed = performance.now();
+        waitPending = true;
+        this.trackingRate.update();
+      }
+      if (originals.onUpdate) {
+        originals.onUpdate(data);
+      }
+    };
+    
+    ['_detectAndMatch', '_trackAndUpdate'].forEach(method => {
+      controller[method] = async (...args) => {
+        if (waitPending) {
+          waitPending = false;
+          const wait = lastProcessed + 1000 / this.getCap() - performance.now();
+          if (wait > 1) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+          }
+        }
+        return originals[method].apply(controller, args);
+      };
+    });
+    
+    this.tracking = { controller, originals };
+    return true;
+  }
+
+  /**
+   * Give a MindAR controller back its own tracking loop
+   */
+  detachTracking() {
+    if (!this.tracking) {
+      return;
+    }
+    
+    const { controller, originals } = this.tracking;
+    Object.assign(controller, originals);
+    this.tracking = null;
+  }
+}
+
 export default {
   PERFORMANCE_PROFILES,
   ARPerformanceMonitor,
   ARPerformanceOptimizer,
+  ARFrameScheduler,
   debounce,
   throttle,
   checkMemoryUsage,
@@ -0,0 +1,104 @@
+/**
+ * AR Telemetry Utilities
+ * Uploads periodic performance summaries of the running AR scene to /api/ar/telemetry
+ */
+
+/**
+ * Default reporter settings
+ */
+export const TELEMETRY_DEFAULTS = {
+  endpoint: '/api/ar/telemetry',
+  interval: 30000, // ms between uploads while AR runs
+  minDuration: 5000 // Shorter periods are dropped, their averages are mostly startup noise
+};
+
+/**
+ * Periodic telemetry reporter
+ * `collect` returns the report for the period that just ended, or null to skip it.
+ * `options.getSessionId` resolves the server session the reports are counted against.
+ */
+export class ARTelemetryReporter {
+  constructor(collect, options = {}) {
+    this.collect = collect;
+    this.options = { ...TELEMETRY_DEFAULTS, ...options };
+    this.timer = null;
+    this.handlePageHide = () => this.flush();
+  }
+
+  /**
+   * Start uploading every interval, and when the page is hidden
+   */
+  start() {
+    this.stop({ flush: false });
+    this.timer = setInterval(() => this.flush(), this.options.interval);
+    window.addEventListener('pagehide', this.handlePageHide);
+  }
+
+  /**
+   * Stop uploading
+   * @param {Object} options - { flush: false to drop the current period }
+   */
+  stop({ flush = true } = {}) {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    window.removeEventListener('pagehide', this.handlePageHide);
+
+    if (flush) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Collect and upload the current period
+   */
+  flush() {
+    let report;
+    try {
+      report = this.collect();
+    } catch (error) {
+      console.warn('Telemetry collection failed:', error);
+      return;
+    }
+
+    if (!report || report.summary?.duration < this.options.minDuration) {
+      return;
+    }
+
+    this.send(report);
+  }
+
+  /**
+   * Post a report; keepalive lets it finish while the page unloads
+   * Telemetry is best effort, failures are only logged
+   * @param {Object} report - Telemetry report
+   * @returns {Promise<boolean>} True if the server accepted it
+   */
+  async send(report) {
+    try {
+      const sessionId = await this.options.getSessionId?.();
+      const url = sessionId
+        ? `${this.options.endpoint}?sessionId=${encodeURIComponent(sessionId)}`
+        : this.options.endpoint;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(report),
+        keepalive: true
+      });
+      return response.ok;
+    } catch (error) {
+      console.warn('Telemetry upload failed:', error);
+      return false;
+    }
+  }
+}
+
+export default {
+  TELEMETRY_DEFAULTS,
+  ARTelemetryReporter
+};
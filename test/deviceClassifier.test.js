@@ -0,0 +1,45 @@
+/**
+ * Device Classifier Tests
+ * Checks the rule table against real user agent and WebGL renderer strings in fixtures/devices.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { classifyDevice, getGPUTier, getPlatform, getIOSVersion } from '../lib/deviceClassifier.js';
+
+const devices = JSON.parse(readFileSync(new URL('./fixtures/devices.json', import.meta.url), 'utf8'));
+
+for (const { name, expected, ...signals } of devices) {
+  test(`classifies ${name}`, () => {
+    const result = classifyDevice(signals);
+
+    assert.equal(result.class, expected.class);
+    assert.equal(result.rule, expected.rule);
+    assert.equal(result.signals.platform, expected.platform);
+    assert.equal(result.signals.gpuTier, expected.gpuTier);
+  });
+}
+
+test('tiers Intel UHD and Xe as medium and older HD Graphics as low', () => {
+  assert.equal(getGPUTier('Intel(R) UHD Graphics 620'), 'medium');
+  assert.equal(getGPUTier('Intel(R) Iris(R) Xe Graphics'), 'medium');
+  assert.equal(getGPUTier('Intel(R) HD Graphics 520'), 'low');
+});
+
+test('reads the iOS version only from iOS user agents', () => {
+  const iPad = 'Mozilla/5.0 (iPad; CPU OS 12_5_7 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/12.1.2 Mobile/15E148 Safari/604.1';
+  const android = 'Mozilla/5.0 (Linux; Android 13; SM-A546B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/118.0.0.0 Mobile Safari/537.36';
+
+  assert.equal(getPlatform(iPad), 'ios');
+  assert.equal(getIOSVersion(iPad), 12);
+  assert.equal(getIOSVersion(android), null);
+});
+
+test('never matches conditions on unreported signals', () => {
+  const result = classifyDevice({});
+
+  assert.equal(result.class, 'low_end');
+  assert.equal(result.rule, 'default');
+  assert.equal(result.signals.platform, null);
+});